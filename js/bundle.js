@@ -0,0 +1,49 @@
+// Evidence bundle
+// Gathers what an ombudsman or tribunal will want to see — the complaint letter, a dated
+// chronology, the body's replies and the person's documents — into the form the server
+// lays out as one indexed, page-numbered PDF
+
+import { byDate } from './chronology.js';
+
+/** What each document in a bundle is, as the index describes it. */
+export const BUNDLE_DOCUMENT_KINDS = {
+  letter: 'Complaint letter',
+  response: 'Reply from the organisation',
+  evidence: 'Supporting document'
+};
+
+/**
+ * A document offered for the bundle. Its text is held in memory only and never saved.
+ * @typedef {Object} BundleDocument
+ * @property {string} id
+ * @property {string} title
+ * @property {'letter'|'response'|'evidence'} kind
+ * @property {string|null} date - As the person would write it
+ * @property {string} text
+ * @property {boolean} include
+ */
+
+/**
+ * What the server needs to make the bundle: the letter first, then the included documents
+ * in date order.
+ *
+ * @param {object} options
+ * @param {object} options.facts
+ * @param {{date: string, actor: string, what: string, source: string}[]} options.chronology - From chronologyRows
+ * @param {BundleDocument[]} options.documents
+ * @param {string|null} [options.preparedFor] - The ombudsman or tribunal it is for
+ * @returns {import('../lib/bundle.js').Bundle}
+ */
+export function buildBundle({ facts, chronology, documents, preparedFor = null }) {
+  const included = documents.filter(d => d.include && d.text.trim());
+  const letters = included.filter(d => d.kind === 'letter');
+  const rest = included.filter(d => d.kind !== 'letter').sort(byDate(new Date()));
+
+  return {
+    publicBody: facts.publicBody,
+    preparedFor,
+    references: facts.referenceNumbers || null,
+    chronology,
+    documents: [...letters, ...rest].map(({ title, kind, date, text }) => ({ title: title.trim() || BUNDLE_DOCUMENT_KINDS[kind], kind, date: date || null, text }))
+  };
+}
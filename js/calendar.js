@@ -0,0 +1,105 @@
+// Calendar export
+// Builds an iCalendar (.ics) file of complaint deadlines and expected replies, with reminders,
+// so people can put their complaint timeline in their phone calendar
+
+import { addDays, toIsoDate } from './deadlines.js';
+
+/**
+ * One all-day calendar event.
+ * @typedef {Object} CalendarEvent
+ * @property {string} uid - The same on every export, so importing again updates the event instead of adding a copy
+ * @property {Date} date
+ * @property {string} summary
+ * @property {string} [description]
+ * @property {string[]} [alarms] - iCalendar durations from the start of the day, e.g. '-PT15H' for 9am the day before
+ */
+
+/** Reminders for a deadline the person has to meet: 9am a week before and 9am the day before. */
+export const DEADLINE_ALARMS = ['-P6DT15H', '-PT15H'];
+
+/** Reminder for a reply the person is waiting for: 9am on the day. */
+export const EXPECTED_ALARMS = ['PT9H'];
+
+const PRODUCT_ID = '-//Complaints Navigator//Complaint deadlines//EN';
+
+function escapeText(text) {
+  return String(text)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+// Lines longer than 75 bytes are folded onto continuation lines that start with a space
+function foldLine(line) {
+  const encoder = new TextEncoder();
+  const parts = [];
+  let part = '';
+  let bytes = 0;
+  for (const char of line) {
+    const size = encoder.encode(char).length;
+    if (bytes + size > (parts.length === 0 ? 75 : 74)) {
+      parts.push(part);
+      part = '';
+      bytes = 0;
+    }
+    part += char;
+    bytes += size;
+  }
+  parts.push(part);
+  return parts.join('\r\n ');
+}
+
+function formatDateValue(date) {
+  return toIsoDate(date).replace(/-/g, '');
+}
+
+function formatTimestamp(date) {
+  return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+/**
+ * Build an iCalendar file of all-day events.
+ *
+ * @param {CalendarEvent[]} events
+ * @param {string} name - Calendar name shown by calendar apps
+ * @param {Date} [now]
+ * @returns {string}
+ */
+export function buildCalendar(events, name, now = new Date()) {
+  const stamp = formatTimestamp(now);
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODUCT_ID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(name)}`
+  ];
+
+  for (const event of events) {
+    lines.push(
+      'BEGIN:VEVENT',
+      `UID:${event.uid}`,
+      `DTSTAMP:${stamp}`,
+      `DTSTART;VALUE=DATE:${formatDateValue(event.date)}`,
+      `DTEND;VALUE=DATE:${formatDateValue(addDays(event.date, 1))}`,
+      `SUMMARY:${escapeText(event.summary)}`,
+      'TRANSP:TRANSPARENT'
+    );
+    if (event.description) lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+    for (const trigger of event.alarms || []) {
+      lines.push(
+        'BEGIN:VALARM',
+        'ACTION:DISPLAY',
+        `TRIGGER:${trigger}`,
+        `DESCRIPTION:${escapeText(event.summary)}`,
+        'END:VALARM'
+      );
+    }
+    lines.push('END:VEVENT');
+  }
+
+  lines.push('END:VCALENDAR');
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+}
@@ -2,15 +2,59 @@
 // Manages the full flow: landing → chat → summary → pathway → letter → diary
 // Features: postcode lookup, devolved nations, vulnerability, deadlines, MP referral, diary, print, save/resume
 
-import { sendMessage, generateOnce } from './gemini.js';
-import { INTAKE_SYSTEM_PROMPT, extractFacts, getDisplayText } from './intake.js';
-import { getPathway, adjustForStepsTaken } from './router.js';
+import { sendMessage, streamMessage, generateOnce } from './gemini.js';
+import {
+  INTAKE_SYSTEM_PROMPT, FACTS_SCHEMA, MAX_FACT_REPAIR_ATTEMPTS,
+  parseFactsBlock, validateFacts, buildRepairPrompt, sanitiseFacts, getDisplayText, getStreamingDisplayText
+} from './intake.js';
+import { loadPathways, getPathway, getPathways } from './router.js';
+import { STEP_STATUS_LABELS, withCurrentStep } from './stages.js';
+import { addTimeLimit, calculateCodeDeadlines, calculateStepDeadlines, formatDate, fromIsoDate, toIsoDate } from './deadlines.js';
+import { parseDateRange, parseEventDates } from './dates.js';
+import { findEscalationNotices } from './escalation.js';
+import { redactIdentifiers } from './redact.js';
+import {
+  DOCUMENT_ACCEPT, DOCUMENT_SUMMARY_SYSTEM_PROMPT, buildDocumentSummaryPrompt, extractDocument, mergeDocumentFacts, parseDocumentSummary
+} from './documents.js';
+import { buildCalendar, DEADLINE_ALARMS, EXPECTED_ALARMS } from './calendar.js';
+import {
+  REMINDERS_KEY, REMINDER_WINDOW_DAYS, buildReminders, buildNotificationSchedule, clearNotifications, notificationPermission,
+  remindersEnabled, requestNotificationPermission, setRemindersEnabled, syncNotifications
+} from './reminders.js';
+import {
+  RESPONSE_ANALYSIS_SYSTEM_PROMPT, RESPONSE_RECOMMENDATIONS, buildResponseAnalysisPrompt, findResponseGaps, parseResponseAnalysis, recommendResponseAction
+} from './responses.js';
+import {
+  OMBUDSMAN_FORMS, OMBUDSMAN_SYSTEM_PROMPT, buildOmbudsmanPrompt, checkOmbudsmanEligibility, findOmbudsmanStep,
+  fitToLimit, listOmbudsmanAttachments, parseOmbudsmanAnswers, splitFormFields
+} from './ombudsman.js';
+import { BUNDLE_DOCUMENT_KINDS, buildBundle } from './bundle.js';
+import {
+  CHRONOLOGY_SYSTEM_PROMPT, activeEvents, buildChronologyPrompt, chronologyRows, displayDate, formatChronology,
+  mergeConversationEvents, parseChronologyEvents, sourceLabel, syncChronology
+} from './chronology.js';
+import { ICO_COMPLAINT_URL, buildSubjectAccessRequest, trackSubjectAccessRequest } from './sar.js';
 
 // ── State ──
 
 let conversationHistory = []; // {role: 'user'|'model', text: string}
 let extractedFacts = null;
-let currentPathway = null;
+let conversationDate = null; // YYYY-MM-DD the facts were given, which "last Tuesday" and the like count from
+let invalidFactFields = []; // Fields the model got wrong and could not repair
+let userEditedFields = []; // Fields the user has corrected on the summary card
+let currentPathway = null; // Pathway for the body the current letter is addressed to
+let pathwayRoutes = null; // Ranked routes from getPathways(), one per body involved
+let jointComplaint = null; // Joint complaint option from getPathways(), if one applies
+let letterTarget = 0; // Index into pathwayRoutes for the current letter, 'joint', 'escalation' or 'clarification'
+let escalationNotice = null; // Notice the current letter escalates from, when letterTarget is 'escalation'
+let clarifiedReply = null; // Diary entry for the reply the current letter follows up, when letterTarget is 'clarification'
+let ombudsmanAnswers = null; // Answers to the ombudsman form questions, edited or written, by field id
+let bundleDocuments = []; // Documents offered for the evidence bundle; their text is kept in memory only, never saved
+let chronology = []; // Dated events from the conversation, documents and diary, with the person's edits and removals
+let chronologyReturn = null; // View to go back to from the chronology: 'bundle', or null for the letter or chat
+let seenNotices = []; // Ids of escalation notices the person has already been shown
+let stagesWhenDiaryOpened = null; // Main route's stage tracking as JSON, to spot diary changes that move it on
+let recordsWhenDiaryOpened = null; // The records request's progress as JSON, to spot diary changes to it
 let resolvedBodies = null; // { council, icb, policeForce, country }
 let resolvedMP = null; // { name, party, constituency, thumbnailUrl }
 let sessionId = null; // For save/resume
@@ -28,6 +72,9 @@ const landing = $('#landing');
 const chatContainer = $('#chat-container');
 const letterContainer = $('#letter-container');
 const diaryContainer = $('#diary-container');
+const ombudsmanContainer = $('#ombudsman-container');
+const bundleContainer = $('#bundle-container');
+const chronologyContainer = $('#chronology-container');
 const messagesEl = $('#chat-messages');
 const inputEl = $('#chat-input');
 const sendBtn = $('#chat-send');
@@ -39,15 +86,6 @@ const toast = $('#toast');
 const SpeechRecognition = window.SpeechRecognition || window.webkitSpeechRecognition;
 const speechSynthesisSupported = 'speechSynthesis' in window;
 
-// ── UK Bank Holidays (2025-2026) ──
-
-const UK_BANK_HOLIDAYS = [
-  '2025-01-01','2025-04-18','2025-04-21','2025-05-05','2025-05-26',
-  '2025-08-25','2025-12-25','2025-12-26',
-  '2026-01-01','2026-04-03','2026-04-06','2026-05-04','2026-05-25',
-  '2026-08-31','2026-12-25','2026-12-28'
-];
-
 // ── Consent ──
 
 const CONSENT_KEY = 'complaints_navigator_consent';
@@ -66,19 +104,6 @@ function revokeConsent() {
 
 // ── Identifier Redaction ──
 
-const REDACT_PATTERNS = [
-  { regex: /\b\d{3}\s?\d{3}\s?\d{4}\b/g, token: '[NHS_NUMBER]' },           // NHS number: 3-3-4 digits
-  { regex: /\b[A-Z]{2}\s?\d{2}\s?\d{2}\s?\d{2}\s?[A-D]\b/gi, token: '[NI_NUMBER]' }, // NI number
-];
-
-function redactIdentifiers(text) {
-  let redacted = text;
-  for (const { regex, token } of REDACT_PATTERNS) {
-    redacted = redacted.replace(regex, token);
-  }
-  return redacted;
-}
-
 function redactHistory(history) {
   return history.map(msg => ({
     role: msg.role,
@@ -88,7 +113,16 @@ function redactHistory(history) {
 
 // ── Initialisation ──
 
-export function init() {
+export async function init() {
+  // Pathway data must be loaded before anything can be routed
+  let pathwaysLoaded = true;
+  try {
+    await loadPathways();
+  } catch {
+    // Shown on the landing page once the rest of the page is set up
+    pathwaysLoaded = false;
+  }
+
   // Consent gate
   initConsentGate();
 
@@ -128,9 +162,25 @@ export function init() {
     });
   }
 
+  // Document upload
+  const fileInput = $('#chat-file');
+  fileInput.accept = DOCUMENT_ACCEPT;
+  $('#chat-attach').addEventListener('click', () => fileInput.click());
+  fileInput.addEventListener('change', () => {
+    const file = fileInput.files[0];
+    fileInput.value = '';
+    if (file) handleDocumentUpload(file);
+  });
+
   // Diary events
   $('#diary-back').addEventListener('click', handleDiaryBack);
   $('#diary-add').addEventListener('click', showDiaryForm);
+  $('#diary-check-reply').addEventListener('click', showReplyForm);
+  $('#ombudsman-back').addEventListener('click', handleOmbudsmanBack);
+  $('#bundle-back').addEventListener('click', handleBundleBack);
+  $('#chronology-back').addEventListener('click', handleChronologyBack);
+  $('#chronology-download-pdf').addEventListener('click', () => handleDownloadChronology('pdf'));
+  $('#chronology-download-docx').addEventListener('click', () => handleDownloadChronology('docx'));
 
   // Data management links
   const deleteAllBtn = $('#delete-all-data');
@@ -148,6 +198,34 @@ export function init() {
   purgeExpiredSessions();
   renderSavedSessions();
   renderDataLinks();
+
+  if (!pathwaysLoaded) {
+    showPathwayLoadError();
+    return;
+  }
+  renderReminders();
+
+  // A reminder notification opens the complaint it is about
+  navigator.serviceWorker?.addEventListener('message', (e) => {
+    if (e.data?.type === 'resume' && e.data.sessionId) handleResume(e.data.sessionId);
+  });
+  const resumeId = new URLSearchParams(location.search).get('resume');
+  if (resumeId) {
+    history.replaceState(null, '', location.pathname);
+    handleResume(resumeId);
+  }
+}
+
+// Without pathway data we cannot route a complaint, so stop the user starting or resuming one
+function showPathwayLoadError() {
+  $('#start-btn').disabled = true;
+  $('#saved-sessions').classList.add('hidden');
+
+  const error = document.createElement('p');
+  error.className = 'landing__error';
+  error.setAttribute('role', 'alert');
+  error.textContent = 'We could not load the complaint pathway information. Please refresh the page, or try again later.';
+  $('#start-btn').insertAdjacentElement('afterend', error);
 }
 
 function initConsentGate() {
@@ -184,16 +262,26 @@ function handleDeleteAllData() {
   const keysToRemove = [];
   for (let i = 0; i < localStorage.length; i++) {
     const key = localStorage.key(i);
-    if (key === STORAGE_KEY || key === CONSENT_KEY || key.startsWith('complaint_diary_')) {
+    if (key === STORAGE_KEY || key === CONSENT_KEY || key === REMINDERS_KEY || key.startsWith('complaint_diary_')) {
       keysToRemove.push(key);
     }
   }
   keysToRemove.forEach(k => localStorage.removeItem(k));
+  clearNotifications();
 
   // Reset in-memory state
   conversationHistory = [];
   extractedFacts = null;
+  conversationDate = null;
+  invalidFactFields = [];
+  userEditedFields = [];
   currentPathway = null;
+  escalationNotice = null;
+  clarifiedReply = null;
+  ombudsmanAnswers = null;
+  bundleDocuments = [];
+  chronology = [];
+  seenNotices = [];
   resolvedBodies = null;
   resolvedMP = null;
   sessionId = null;
@@ -390,6 +478,10 @@ function showLanding() {
   chatContainer.classList.remove('active');
   letterContainer.classList.remove('active');
   if (diaryContainer) diaryContainer.classList.remove('active');
+  if (ombudsmanContainer) ombudsmanContainer.classList.remove('active');
+  if (bundleContainer) bundleContainer.classList.remove('active');
+  if (chronologyContainer) chronologyContainer.classList.remove('active');
+  renderReminders();
   renderSavedSessions();
 }
 
@@ -398,6 +490,9 @@ function showChat() {
   chatContainer.classList.add('active');
   letterContainer.classList.remove('active');
   if (diaryContainer) diaryContainer.classList.remove('active');
+  if (ombudsmanContainer) ombudsmanContainer.classList.remove('active');
+  if (bundleContainer) bundleContainer.classList.remove('active');
+  if (chronologyContainer) chronologyContainer.classList.remove('active');
   inputEl.focus();
 }
 
@@ -406,6 +501,22 @@ function showLetter() {
   chatContainer.classList.remove('active');
   letterContainer.classList.add('active');
   if (diaryContainer) diaryContainer.classList.remove('active');
+  if (ombudsmanContainer) ombudsmanContainer.classList.remove('active');
+  if (bundleContainer) bundleContainer.classList.remove('active');
+  if (chronologyContainer) chronologyContainer.classList.remove('active');
+
+  // Name the body when the complaint involves several, and the step an escalation goes to
+  const title = $('.letter-header__title');
+  const route = pathwayRoutes?.length > 1 ? pathwayRoutes[letterRouteIndex()] : null;
+  if (title) {
+    if (letterTarget === 'escalation') {
+      title.textContent = `Escalation to ${currentPathway.steps[escalationNotice.to].name}`;
+    } else if (letterTarget === 'clarification') {
+      title.textContent = `Follow-up to ${pathwayRoutes[0].publicBody}`;
+    } else {
+      title.textContent = route ? `${letterTarget === 'joint' ? 'Joint Complaint' : 'Complaint'} to ${route.publicBody}` : 'Your Complaint Text';
+    }
+  }
 
   // Reset review gate — user must re-confirm on each visit
   const reviewCheck = $('#letter-review-check');
@@ -419,10 +530,15 @@ function showLetter() {
 }
 
 function showDiary() {
+  stagesWhenDiaryOpened = JSON.stringify(pathwayRoutes?.[0].stages ?? null);
+  recordsWhenDiaryOpened = JSON.stringify(trackSubjectAccessRequest(getDiaryEntries()));
   landing.classList.add('hidden');
   chatContainer.classList.remove('active');
   letterContainer.classList.remove('active');
   if (diaryContainer) diaryContainer.classList.add('active');
+  if (ombudsmanContainer) ombudsmanContainer.classList.remove('active');
+  if (bundleContainer) bundleContainer.classList.remove('active');
+  if (chronologyContainer) chronologyContainer.classList.remove('active');
   renderDiaryEntries();
 }
 
@@ -472,7 +588,16 @@ function proceedToChat() {
   // Reset state
   conversationHistory = [];
   extractedFacts = null;
+  conversationDate = null;
+  invalidFactFields = [];
+  userEditedFields = [];
   currentPathway = null;
+  escalationNotice = null;
+  clarifiedReply = null;
+  ombudsmanAnswers = null;
+  bundleDocuments = [];
+  chronology = [];
+  seenNotices = [];
   resolvedBodies = null;
   resolvedMP = null;
   sessionId = crypto.randomUUID();
@@ -486,17 +611,20 @@ function proceedToChat() {
 
 async function sendInitialGreeting() {
   setTyping(true);
+  const bubble = addStreamingMessage();
   try {
-    const response = await sendMessage(
+    const response = await streamMessage(
       INTAKE_SYSTEM_PROMPT,
       [],
-      'Hello, I need help making a complaint.'
+      'Hello, I need help making a complaint.',
+      bubble.update
     );
     conversationHistory.push({ role: 'user', text: 'Hello, I need help making a complaint.' });
     conversationHistory.push({ role: 'model', text: response });
-    addMessage('ai', getDisplayText(response));
+    bubble.finish(getDisplayText(response));
     saveSession();
   } catch (err) {
+    bubble.cancel();
     addMessage('error', err.message);
     showFallbackPathways();
   } finally {
@@ -515,29 +643,63 @@ async function handleSend() {
   isSending = true;
   sendBtn.disabled = true;
   setTyping(true);
+  const bubble = addStreamingMessage();
 
   try {
     // Redact identifiers before sending to Gemini API
     const redactedHistory = redactHistory(conversationHistory);
     const redactedText = redactIdentifiers(text);
 
-    const response = await sendMessage(
+    const response = await streamMessage(
       INTAKE_SYSTEM_PROMPT,
       redactedHistory,
-      redactedText
+      redactedText,
+      bubble.update
     );
 
     // Store original (unredacted) text in local history for display/resume
     conversationHistory.push({ role: 'user', text });
     conversationHistory.push({ role: 'model', text: response });
 
-    const facts = extractFacts(response);
+    // The facts block is only parsed once the whole reply has arrived
     const displayText = getDisplayText(response);
+    bubble.finish(displayText);
+
+    let extraction = parseFactsBlock(response);
+    if (extraction.found && extraction.errors.length > 0) {
+      extraction = await repairFactsBlock(extraction, [
+        ...redactedHistory,
+        { role: 'user', text: redactedText },
+        { role: 'model', text: response }
+      ]);
+      if (extraction.errors.length === 0) {
+        // Keep the corrected block in history so a resumed session replays valid facts
+        conversationHistory[conversationHistory.length - 1].text =
+          `${displayText}\n\n\`\`\`json\n${JSON.stringify({ extractionComplete: true, facts: extraction.facts }, null, 2)}\n\`\`\``;
+      }
+    }
 
-    addMessage('ai', displayText);
+    let facts = null;
+    if (extraction.found && extraction.facts) {
+      if (extraction.errors.length > 0) {
+        const sanitised = sanitiseFacts(extraction.facts, extraction.errors);
+        facts = sanitised.facts;
+        invalidFactFields = sanitised.invalidFields;
+        addMessage('system', `Some details in the summary could not be read correctly, so please check them carefully:\n${extraction.errors.map(e => `- ${e.message}`).join('\n')}`);
+      } else {
+        facts = extraction.facts;
+        invalidFactFields = [];
+      }
+    } else if (extraction.found) {
+      addMessage('system', 'Sorry — the summary of your complaint could not be read. Please ask me to summarise again.');
+    }
 
     if (facts) {
+      // Events from uploaded documents are not part of the conversation, so carry them over
+      if (extractedFacts?.timeline && !facts.timeline) facts.timeline = extractedFacts.timeline;
       extractedFacts = facts;
+      conversationDate = toIsoDate(new Date());
+      userEditedFields = [];
       sessionStatus = 'summary';
 
       // Postcode lookup
@@ -550,6 +712,7 @@ async function handleSend() {
 
     saveSession();
   } catch (err) {
+    bubble.cancel();
     addMessage('error', err.message);
     // If no facts extracted yet, show fallback pathways so user can still find help
     if (!extractedFacts) {
@@ -563,6 +726,124 @@ async function handleSend() {
   }
 }
 
+// ── Document Upload ──
+
+/**
+ * Read an uploaded letter and show its text, with identifiers hidden, for the person to
+ * check and edit. Nothing goes to the AI until they approve it.
+ */
+async function handleDocumentUpload(file) {
+  addMessage('system', `Reading ${file.name}...`);
+  let extracted;
+  try {
+    extracted = await extractDocument(file);
+  } catch (err) {
+    addMessage('error', `Could not read ${file.name}: ${err.message}`);
+    return;
+  }
+
+  const notes = [];
+  if (extracted.redactions) notes.push(`We hid ${extracted.redactions === 1 ? 'one NHS or National Insurance number' : `${extracted.redactions} NHS or National Insurance numbers`}.`);
+  if (extracted.truncated) notes.push('The document is long, so only the first part is shown.');
+
+  const card = document.createElement('div');
+  card.className = 'document-card';
+  card.setAttribute('role', 'region');
+  card.setAttribute('aria-label', 'Check document text');
+  card.innerHTML = `
+    <div class="document-card__title">Check the text from ${escapeHtml(file.name)}</div>
+    <p class="document-card__text">This is the text we found. Nothing has been sent to the AI yet. Remove anything you do not want to share, such as other people's details, then press <strong>Use this document</strong>. ${escapeHtml(notes.join(' '))}</p>
+    <textarea class="document-card__textarea" rows="10" aria-label="Document text">${escapeHtml(extracted.text)}</textarea>
+    <div class="document-card__actions">
+      <button class="btn btn--primary btn--sm document-card__approve">Use this document</button>
+      <button class="btn btn--secondary btn--sm document-card__cancel">Do not use it</button>
+    </div>
+  `;
+  messagesEl.insertBefore(card, typingIndicator);
+  scrollToBottom();
+
+  card.querySelector('.document-card__cancel').addEventListener('click', () => {
+    card.remove();
+    addMessage('system', `${file.name} was not used.`);
+  });
+  card.querySelector('.document-card__approve').addEventListener('click', () => {
+    const text = card.querySelector('.document-card__textarea').value.trim();
+    if (!text) {
+      showToast('There is no text left to use.');
+      return;
+    }
+    card.remove();
+    bundleDocuments.push({ id: crypto.randomUUID(), title: file.name, kind: 'evidence', date: null, text, include: true });
+    summariseDocument(file.name, text);
+  });
+}
+
+// Summarise an approved document into timeline facts, or into the message box while the
+// complaint is still being described
+async function summariseDocument(name, text) {
+  setTyping(true);
+  try {
+    const response = await generateOnce(DOCUMENT_SUMMARY_SYSTEM_PROMPT, buildDocumentSummaryPrompt(extractedFacts, name, redactIdentifiers(text)));
+    const { summary } = parseDocumentSummary(response);
+    if (!summary) {
+      throw new Error('The summary did not come back in the expected form. Please try again.');
+    }
+
+    const events = summary.events.map(e => `- ${e.date ? `${e.date}: ` : ''}${e.what}`).join('\n');
+    if (!extractedFacts) {
+      inputEl.value = `From my ${summary.documentType ? summary.documentType.toLowerCase() : 'document'}: ${summary.summary}${events ? `\n${events}` : ''}`;
+      inputEl.dispatchEvent(new Event('input'));
+      addMessage('system', `Here is a summary of ${name}. It is in the message box — check it, change anything that is wrong, and send it when you are ready.`);
+      return;
+    }
+
+    const merged = mergeDocumentFacts(extractedFacts, summary, name);
+    extractedFacts = merged.facts;
+    addMessage('system', `${summary.summary}\n\n${merged.added ? `Added ${merged.added === 1 ? 'one date' : `${merged.added} dates`} from ${name} to your complaint:\n${events}` : `Nothing new from ${name} was added to your complaint.`}`);
+    const summaryCard = [...messagesEl.querySelectorAll('.summary-card')].pop();
+    if (sessionStatus === 'summary' && summaryCard) renderSummaryCard(summaryCard, extractedFacts);
+    saveSession();
+  } catch (err) {
+    addMessage('error', `Could not summarise ${name}: ${err.message}`);
+  } finally {
+    setTyping(false);
+  }
+}
+
+// ── Fact Extraction Repair ──
+
+/**
+ * Ask the model to correct a facts block that failed the schema, feeding back
+ * the validation errors each time. Gives up after MAX_FACT_REPAIR_ATTEMPTS and
+ * returns the last extraction, which may still have errors.
+ *
+ * @param {{found: boolean, facts: object|null, errors: object[]}} extraction
+ * @param {Array<{role: string, text: string}>} history - Redacted history ending with the bad reply
+ */
+async function repairFactsBlock(extraction, history) {
+  const repairHistory = [...history];
+  const label = $('#typing-label');
+
+  for (let attempt = 1; attempt <= MAX_FACT_REPAIR_ATTEMPTS && extraction.errors.length > 0; attempt++) {
+    setTyping(true);
+    if (label) label.textContent = 'Checking your summary...';
+
+    const prompt = buildRepairPrompt(extraction.errors);
+    let reply;
+    try {
+      reply = await sendMessage(INTAKE_SYSTEM_PROMPT, repairHistory, prompt);
+    } catch {
+      break; // Keep what we have — the user can still correct it
+    }
+    repairHistory.push({ role: 'user', text: prompt }, { role: 'model', text: reply });
+
+    const next = parseFactsBlock(reply);
+    if (next.found) extraction = next;
+  }
+
+  return extraction;
+}
+
 // ── Postcode Lookup ──
 
 async function lookupPostcode(postcode) {
@@ -603,11 +884,17 @@ function showFallbackPathways() {
   const bodies = [
     { type: 'nhs_trust', label: 'NHS (hospital or trust)', desc: 'Complain to the trust, then PHSO' },
     { type: 'gp', label: 'GP surgery', desc: 'Complain to the practice, then PHSO' },
+    { type: 'chc', label: 'NHS Continuing Healthcare funding', desc: 'ICB local resolution, then Independent Review Panel' },
     { type: 'council', label: 'Council', desc: 'Complain to the council, then LGSCO' },
+    { type: 'housing', label: 'Housing association / council landlord', desc: 'Complain to your landlord, then Housing Ombudsman' },
     { type: 'police', label: 'Police', desc: 'Complain to the force, then IOPC' },
     { type: 'dwp', label: 'DWP (benefits)', desc: 'Mandatory reconsideration, then tribunal' },
     { type: 'hmrc', label: 'HMRC (tax)', desc: 'Complain to HMRC, then Adjudicator\'s Office' },
+    { type: 'home_office', label: 'Home Office / UKVI (immigration)', desc: 'Complain to the Home Office, then PHSO via your MP' },
     { type: 'school', label: 'School', desc: 'Complain to the school, then Ofsted or ESFA' },
+    { type: 'send', label: 'SEND / EHC plan decision', desc: 'Mediation certificate, then SEND Tribunal' },
+    { type: 'prison', label: 'Prison', desc: 'COMP1, then COMP1A, then Prisons and Probation Ombudsman' },
+    { type: 'probation', label: 'Probation', desc: 'Complain to probation, then Prisons and Probation Ombudsman' },
     { type: 'social_care', label: 'Social care / care home', desc: 'Complain to provider, then LGSCO' }
   ];
 
@@ -639,6 +926,8 @@ function showFallbackPathways() {
         // Minimal extractedFacts for the pathway card display
         extractedFacts = { bodyType, publicBody: btn.querySelector('.fallback-pathways__item-label').textContent, withinTimeLimit: 'unknown' };
         currentPathway = pathway;
+        pathwayRoutes = null;
+        jointComplaint = null;
         sessionStatus = 'pathway';
         showPathwayCard(pathway);
       }
@@ -656,18 +945,57 @@ function addMessage(type, text) {
   div.innerHTML = renderMarkdown(text);
 
   if (type === 'ai') {
-    const speakBtn = createSpeakButton(text);
-    if (speakBtn) div.appendChild(speakBtn);
-
-    if (autoReadEnabled) {
-      setTimeout(() => speakText(text), 200);
-    }
+    addSpeechControls(div, text);
   }
 
   messagesEl.insertBefore(div, typingIndicator);
   scrollToBottom();
 }
 
+function addSpeechControls(div, text) {
+  const speakBtn = createSpeakButton(text);
+  if (speakBtn) div.appendChild(speakBtn);
+
+  if (autoReadEnabled) {
+    setTimeout(() => speakText(text), 200);
+  }
+}
+
+/**
+ * Create an AI message bubble that fills in as a streamed reply arrives.
+ * The typing indicator stays up until the first visible text; the facts
+ * JSON block is never shown while streaming.
+ *
+ * @returns {{update: function(string): void, finish: function(string): void, cancel: function(): void}}
+ */
+function addStreamingMessage() {
+  const div = document.createElement('div');
+  div.className = 'message message--ai message--streaming';
+  div.setAttribute('role', 'log');
+  div.setAttribute('aria-busy', 'true');
+  messagesEl.insertBefore(div, typingIndicator);
+
+  return {
+    update(partialText) {
+      const visible = getStreamingDisplayText(partialText);
+      if (!visible) return;
+      typingIndicator.classList.remove('active');
+      div.innerHTML = renderMarkdown(visible);
+      scrollToBottom();
+    },
+    finish(text) {
+      div.classList.remove('message--streaming');
+      div.removeAttribute('aria-busy');
+      div.innerHTML = renderMarkdown(text);
+      addSpeechControls(div, text);
+      scrollToBottom();
+    },
+    cancel() {
+      div.remove();
+    }
+  };
+}
+
 function renderMarkdown(text) {
   return text
     .replace(/&/g, '&amp;')
@@ -734,6 +1062,13 @@ function showSummaryCard(facts) {
   card.setAttribute('role', 'region');
   card.setAttribute('aria-label', 'Complaint summary');
 
+  renderSummaryCard(card, facts);
+
+  messagesEl.insertBefore(card, typingIndicator);
+  scrollToBottom();
+}
+
+function renderSummaryCard(card, facts) {
   // Build warnings
   let warnings = '';
 
@@ -795,6 +1130,11 @@ function showSummaryCard(facts) {
         icon: '&#9888;',
         cls: 'summary-card__warning--safeguarding',
         text: '<strong>This may warrant a report to a regulatory body.</strong> Consider contacting: CQC (0300 061 6161) for care services, GMC (0161 923 6602) for doctors, or NMC (020 7637 7181) for nurses. This tool cannot make regulatory reports — we can help with the formal complaint.'
+      },
+      other: {
+        icon: '&#9888;',
+        cls: 'summary-card__warning--safeguarding',
+        text: '<strong>What you have described may put someone at risk.</strong> If anyone is in immediate danger, call 999. Otherwise, your local council\'s safeguarding team or the police on 101 can advise. This tool cannot make reports or referrals on your behalf. We can still help you complain about the service separately.'
       }
     };
     const banner = safeguardingBanners[facts.safeguardingConcern];
@@ -814,6 +1154,15 @@ function showSummaryCard(facts) {
     </div>`;
   }
 
+  // Fields the model could not fill in correctly
+  if (invalidFactFields.length > 0) {
+    const labels = invalidFactFields.map(f => FACTS_SCHEMA.properties[f]?.title || f);
+    warnings += `<div class="summary-card__warning summary-card__warning--invalid">
+      <span class="summary-card__warning-icon">&#9888;</span>
+      <span>We could not work out the following from our conversation: <strong>${escapeHtml(labels.join(', '))}</strong>. Please check the summary, and tell me if anything needs changing.</span>
+    </div>`;
+  }
+
   // Resolved bodies from postcode
   let resolvedHtml = '';
   if (resolvedBodies) {
@@ -829,19 +1178,26 @@ function showSummaryCard(facts) {
 
   const fields = [
     { label: 'Public Body', value: facts.publicBody },
+    { label: 'Type of Body', value: formatFactValue('bodyType', facts.bodyType) },
+    { label: 'Nation', value: getNation() },
     { label: 'Service', value: facts.service },
     { label: 'Issue', value: facts.issue },
     { label: 'When', value: facts.dateRange },
+    { label: 'Found Out', value: facts.awarenessDate },
     { label: 'Time Limit Status', value: formatTimeLimit(facts.withinTimeLimit), alert: facts.withinTimeLimit === 'at_risk' || facts.withinTimeLimit === 'no' },
     { label: 'Severity', value: facts.severity },
     { label: 'Personal Impact', value: facts.personalImpact },
     { label: 'Desired Outcome', value: facts.desiredOutcome },
     { label: 'Steps Taken', value: facts.stepsTaken },
     { label: 'Tried Direct Resolution', value: formatYesNo(facts.triedDirectResolution) },
+    { label: 'Complaint Stage', value: formatComplaintStage(facts) },
     { label: 'Complaint Type', value: formatComplaintType(facts.complaintType) },
+    { label: 'Continuing Healthcare', value: facts.continuingHealthcare ? 'Challenging an eligibility decision' : null },
     { label: 'Complaining on Behalf of', value: facts.thirdParty ? (facts.thirdPartyName || 'Someone else') : null },
     { label: 'Reference Numbers', value: facts.referenceNumbers },
+    { label: 'Other Bodies Involved', value: Array.isArray(facts.otherBodies) && facts.otherBodies.length ? facts.otherBodies.map(b => `${b.publicBody} — ${b.issue}`).join('; ') : null },
     { label: 'Staff Involved', value: facts.staffInvolved },
+    { label: 'From Documents', value: Array.isArray(facts.timeline) && facts.timeline.length ? facts.timeline.map(e => `${e.date ? `${e.date}: ` : ''}${e.what}`).join('; ') : null },
     { label: 'Legal Action', value: formatLegalStatus(facts.legalActionStatus) },
     { label: 'Contact Preference', value: formatContactPref(facts.contactPreference) }
   ];
@@ -858,13 +1214,11 @@ function showSummaryCard(facts) {
     ` : '').join('')}
     <div class="summary-card__actions">
       <button class="btn btn--primary" id="confirm-summary">Looks correct — show me the pathway</button>
+      <button class="btn btn--outline" id="correct-summary">Correct the details</button>
       <button class="btn btn--secondary" id="edit-summary">I need to add/change something</button>
     </div>
   `;
 
-  messagesEl.insertBefore(card, typingIndicator);
-  scrollToBottom();
-
   card.querySelector('#confirm-summary').addEventListener('click', () => {
     // Gate with safeguarding acknowledgment if a concern was flagged
     if (facts.safeguardingConcern && facts.safeguardingConcern !== 'none') {
@@ -873,12 +1227,206 @@ function showSummaryCard(facts) {
       handleConfirmSummary();
     }
   });
+  card.querySelector('#correct-summary').addEventListener('click', () => renderSummaryEditForm(card));
   card.querySelector('#edit-summary').addEventListener('click', () => {
     addMessage('system', 'No problem — just type what you\'d like to add or change, and I\'ll update the summary.');
     inputEl.focus();
   });
 }
 
+// ── Summary Card Editing ──
+
+// Fields offered for correction, in display order. Enum fields become dropdowns with
+// options from FACTS_SCHEMA. safeguardingConcern is deliberately not editable so a
+// flagged concern cannot be edited away before the safeguarding gate.
+const EDITABLE_FACTS = [
+  'publicBody', 'bodyType', 'nation', 'service', 'issue', 'details', 'dateRange', 'dateSpecific', 'awarenessDate',
+  'withinTimeLimit', 'severity', 'personalImpact', 'desiredOutcome', 'stepsTaken', 'triedDirectResolution',
+  'complaintStage', 'stageSubmittedDate', 'responseStatus', 'responseDate', 'complaintType',
+  'continuingHealthcare', 'thirdParty', 'thirdPartyName', 'referenceNumbers', 'staffInvolved', 'legalActionStatus',
+  'contactPreference', 'postcode', 'vulnerabilityFlags', 'reasonableAdjustments', 'additionalNotes'
+];
+
+const LONG_TEXT_FACTS = ['details', 'personalImpact', 'desiredOutcome', 'stepsTaken', 'additionalNotes'];
+
+// Changing any of these can change the pathway or the current step
+const ROUTING_FACTS = [
+  'bodyType', 'nation', 'complaintType', 'triedDirectResolution',
+  'complaintStage', 'stageSubmittedDate', 'responseStatus', 'responseDate'
+];
+
+const ENUM_LABELS = {
+  bodyType: {
+    nhs_trust: 'NHS hospital or trust',
+    gp: 'GP surgery',
+    social_care: 'Social care / care home',
+    council: 'Council',
+    housing: 'Social housing landlord',
+    police: 'Police',
+    school: 'School or education',
+    dwp: 'DWP (benefits)',
+    hmrc: 'HMRC (tax)',
+    home_office: 'Home Office / UKVI (immigration)',
+    prison: 'Prison',
+    probation: 'Probation',
+    other_gov: 'Other government body'
+  },
+  nation: { England: 'England', Scotland: 'Scotland', Wales: 'Wales', 'Northern Ireland': 'Northern Ireland' },
+  withinTimeLimit: { yes: 'Within time limit', at_risk: 'Approaching time limit', no: 'May be outside time limit', unknown: 'Not sure' },
+  severity: { low: 'Low', medium: 'Medium', high: 'High', urgent: 'Urgent' },
+  triedDirectResolution: { yes: 'Yes', no: 'No', unknown: 'Not sure' },
+  complaintType: { decision: 'Challenging a decision', service: 'Service complaint', general: 'General complaint' },
+  complaintStage: { not_started: 'Not raised yet', informal: 'Raised informally', formal: 'Formal complaint made', review: 'Review or second stage asked for', external: 'Gone to an ombudsman, tribunal or court', unknown: 'Not sure' },
+  responseStatus: { none: 'No reply yet', acknowledged: 'Acknowledged only', response: 'Reply received', final_response: 'Final response received', unknown: 'Not sure' },
+  legalActionStatus: { none: 'No legal action', planned: 'Legal action planned', underway: 'Legal action underway', unknown: 'Not sure' },
+  contactPreference: { email: 'Email', phone: 'Phone', letter: 'Letter', not_stated: 'Not stated' }
+};
+
+function formatFactValue(field, value) {
+  if (value === null || value === undefined) return null;
+  return ENUM_LABELS[field]?.[value] || value;
+}
+
+function renderFactControl(field, value) {
+  const spec = FACTS_SCHEMA.properties[field];
+  const id = `fact-edit-${field}`;
+  const label = `<label class="summary-edit__label" for="${id}">${escapeHtml(spec.title)}</label>`;
+
+  if (spec.type === 'boolean') {
+    return `<div class="summary-edit__field summary-edit__field--check">
+      <input type="checkbox" id="${id}" name="${field}" ${value ? 'checked' : ''}>
+      ${label}
+    </div>`;
+  }
+
+  if (spec.enum) {
+    const options = spec.enum.map(option => {
+      const optionLabel = option === null ? 'Not known' : formatFactValue(field, option);
+      return `<option value="${escapeHtml(option ?? '')}" ${option === value ? 'selected' : ''}>${escapeHtml(optionLabel)}</option>`;
+    }).join('');
+    return `<div class="summary-edit__field">${label}<select id="${id}" name="${field}" class="summary-edit__input">${options}</select></div>`;
+  }
+
+  const text = escapeHtml(value ?? '');
+  if (spec.format === 'date') {
+    return `<div class="summary-edit__field">${label}<input type="date" id="${id}" name="${field}" class="summary-edit__input" value="${text}"></div>`;
+  }
+  const control = LONG_TEXT_FACTS.includes(field)
+    ? `<textarea id="${id}" name="${field}" class="summary-edit__input summary-edit__textarea" rows="3">${text}</textarea>`
+    : `<input type="text" id="${id}" name="${field}" class="summary-edit__input" value="${text}">`;
+  return `<div class="summary-edit__field">${label}${control}</div>`;
+}
+
+function renderSummaryEditForm(card) {
+  const facts = extractedFacts;
+  // Show the nation actually used for routing, which may have come from the postcode
+  const current = { ...facts, nation: userEditedFields.includes('nation') ? facts.nation : getNation() };
+
+  card.innerHTML = `
+    <div class="summary-card__title">Correct Your Complaint Summary</div>
+    <p class="summary-edit__intro">Change anything we got wrong. Your changes are used to choose the complaint pathway and draft your complaint.</p>
+    <form class="summary-edit" novalidate>
+      ${EDITABLE_FACTS.map(field => renderFactControl(field, current[field])).join('')}
+      <div class="summary-edit__errors" role="alert"></div>
+      <div class="summary-card__actions">
+        <button type="submit" class="btn btn--primary">Save changes</button>
+        <button type="button" class="btn btn--secondary summary-edit__cancel">Cancel</button>
+      </div>
+    </form>
+  `;
+
+  const form = card.querySelector('.summary-edit');
+  form.querySelector(`[name="${EDITABLE_FACTS[0]}"]`).focus();
+
+  form.querySelector('.summary-edit__cancel').addEventListener('click', () => {
+    renderSummaryCard(card, extractedFacts);
+  });
+
+  form.addEventListener('submit', async (e) => {
+    e.preventDefault();
+
+    const updated = readSummaryEditForm(form, facts);
+    const errors = validateFacts(updated);
+    if (errors.length > 0) {
+      const titles = [...new Set(errors.map(err => FACTS_SCHEMA.properties[err.path.split(/[.[]/)[0]]?.title || err.path))];
+      form.querySelector('.summary-edit__errors').textContent = `Please fill in: ${titles.join(', ')}`;
+      return;
+    }
+
+    const changed = EDITABLE_FACTS.filter(field => (updated[field] ?? null) !== (current[field] ?? null));
+    await applySummaryEdits(updated, changed);
+    renderSummaryCard(card, extractedFacts);
+  });
+}
+
+function readSummaryEditForm(form, facts) {
+  const updated = { ...facts };
+  for (const field of EDITABLE_FACTS) {
+    const spec = FACTS_SCHEMA.properties[field];
+    const el = form.querySelector(`[name="${field}"]`);
+    if (spec.type === 'boolean') {
+      updated[field] = el.checked;
+    } else if (spec.enum) {
+      updated[field] = el.value === '' ? null : el.value;
+    } else {
+      const value = el.value.trim();
+      // Required text fields stay as strings so validation can flag them as empty
+      updated[field] = value || (spec.type === 'string' ? '' : null);
+    }
+  }
+  return updated;
+}
+
+/**
+ * Store the user's corrections. If a routing-relevant field changed after the
+ * pathway was shown, re-run routing so the pathway matches the corrected facts.
+ */
+async function applySummaryEdits(updated, changed) {
+  if (changed.length === 0) return;
+
+  extractedFacts = updated;
+  if (['dateRange', 'dateSpecific', 'awarenessDate'].some(field => changed.includes(field))) conversationDate = toIsoDate(new Date());
+  userEditedFields = [...new Set([...userEditedFields, ...changed])];
+  invalidFactFields = invalidFactFields.filter(f => !changed.includes(f));
+
+  if (changed.includes('postcode')) {
+    resolvedBodies = null;
+    resolvedMP = null;
+    if (updated.postcode) await lookupPostcode(updated.postcode);
+  }
+
+  const routingChanged = changed.filter(f => ROUTING_FACTS.includes(f));
+  if (routingChanged.length > 0 && (sessionStatus === 'pathway' || sessionStatus === 'letter')) {
+    const labels = routingChanged.map(f => FACTS_SCHEMA.properties[f].title.toLowerCase());
+    addMessage('system', `You changed the ${labels.join(', ')}, so here is your updated pathway.`);
+    handleConfirmSummary();
+  } else {
+    saveSession();
+  }
+  showToast('Summary updated');
+}
+
+/**
+ * The nation used for routing: a nation the user set on the summary card wins,
+ * then the postcode lookup, then what the AI extracted, then England.
+ */
+function getNation() {
+  return nationFor({ extractedFacts, resolvedBodies, userEditedFields });
+}
+
+/** getNation() for a saved session. */
+function nationFor({ extractedFacts: facts, resolvedBodies: resolved, userEditedFields: edited = [] }) {
+  if (edited.includes('nation') && facts?.nation) return facts.nation;
+  return resolved?.country || facts?.nation || 'England';
+}
+
+/** Where getNation() got its answer, for the routing explanation. */
+function getNationSource() {
+  if (userEditedFields.includes('nation') && extractedFacts?.nation) return 'you';
+  if (resolvedBodies?.country) return 'postcode';
+  return extractedFacts?.nation ? 'conversation' : 'default';
+}
+
 // ── Safeguarding Acknowledgment Gate ──
 
 // Serious concerns: tool will NOT process the complaint — signpost only
@@ -891,7 +1439,7 @@ function showSafeguardingGate(concernType) {
   gate.setAttribute('aria-label', 'Important safeguarding notice');
 
   const isSerious = SERIOUS_CONCERNS.includes(concernType);
-  const nation = resolvedBodies?.country || extractedFacts?.nation || 'England';
+  const nation = getNation();
 
   // Nation-specific regulatory contacts
   const regulatoryContacts = {
@@ -996,6 +1544,15 @@ function showSafeguardingGate(concernType) {
       title: 'This may need reporting to a regulatory body',
       action: 'Regulators can investigate unsafe practice and take enforcement action.',
       contacts: regulatoryContacts[nation] || regulatoryContacts.England
+    },
+    other: {
+      title: 'What you described may put someone at risk',
+      action: 'If anyone is in immediate danger, call <strong>999</strong> now. Otherwise, a safeguarding team or the police can advise.',
+      contacts: [
+        { label: 'Emergency services', value: '999' },
+        { label: policeLabel, value: '101' },
+        ...(adultSafeguardingContacts[nation] || adultSafeguardingContacts.England).slice(0, 1)
+      ]
     }
   };
 
@@ -1068,6 +1625,17 @@ function formatYesNo(val) {
   return val === 'yes' ? 'Yes' : 'No';
 }
 
+function formatComplaintStage(facts) {
+  if (!facts.complaintStage || facts.complaintStage === 'unknown') return null;
+  let text = formatFactValue('complaintStage', facts.complaintStage);
+  if (facts.stageSubmittedDate) text += ` on ${formatDate(fromIsoDate(facts.stageSubmittedDate))}`;
+  if (facts.complaintStage !== 'not_started' && facts.responseStatus && facts.responseStatus !== 'unknown') {
+    text += ` — ${formatFactValue('responseStatus', facts.responseStatus).toLowerCase()}`;
+    if (facts.responseDate) text += ` (${formatDate(fromIsoDate(facts.responseDate))})`;
+  }
+  return text;
+}
+
 function formatComplaintType(type) {
   if (!type || type === 'general') return null;
   const labels = { decision: 'Challenging a decision', service: 'Service complaint' };
@@ -1086,215 +1654,318 @@ function formatContactPref(pref) {
   return labels[pref] || null;
 }
 
+// Get a pathway for each body involved — complaintType picks decision routes, nation the devolved
+// pathways, and the stage facts and diary entries how far the main complaint has got
+function routeComplaint() {
+  const { routes, joint } = getPathways(extractedFacts, getNation(), {
+    nation: getNationSource(),
+    edited: userEditedFields,
+    invalid: invalidFactFields
+  }, getDiaryEntries());
+  pathwayRoutes = routes;
+  jointComplaint = joint;
+}
+
+// The route the current letter goes to. A joint complaint goes to its lead body, and an
+// escalation or a follow-up to a reply continues the main complaint.
+function letterRouteIndex() {
+  if (letterTarget === 'joint') return jointComplaint.lead;
+  if (letterTarget === 'escalation' || letterTarget === 'clarification') return 0;
+  return letterTarget;
+}
+
+// Route again with the same facts, keeping the letter's target. Deadlines move on with time and
+// diary entries move the main complaint on, so this runs on resume and after diary changes.
+function refreshRoutes() {
+  if (!pathwayRoutes || !extractedFacts) return;
+  routeComplaint();
+  const { pathway } = pathwayRoutes[letterRouteIndex()];
+  if (letterTarget === 'escalation') currentPathway = withCurrentStep(pathway, escalationNotice.to);
+  else if (letterTarget === 'clarification') currentPathway = withCurrentStep(pathway, clarifiedReply.stepIndex);
+  else currentPathway = pathway;
+}
+
+// ── Escalation Notices ──
+
+// Missed deadlines and escalation dates for the main complaint
+function getEscalationNotices() {
+  const route = pathwayRoutes?.[0];
+  return route?.stages ? findEscalationNotices(route.pathway, route.stages) : [];
+}
+
+// Returns whether any of the notices were new
+function markNoticesSeen(notices) {
+  const unseen = notices.filter(n => !seenNotices.includes(n.id));
+  seenNotices.push(...unseen.map(n => n.id));
+  return unseen.length > 0;
+}
+
+// Tell the person about anything that has become due since they last looked, such as a
+// deadline the body missed while they were away. The pathway card and Next Steps panel
+// show the notices themselves.
+function announceEscalations() {
+  announceLateRecords();
+  const due = getEscalationNotices().filter(n => n.kind !== 'escalate_later' && !seenNotices.includes(n.id));
+  if (due.length === 0) return;
+
+  const canEscalate = due.some(n => n.canEscalate);
+  if (sessionStatus === 'letter') {
+    showToast(canEscalate ? 'You can now escalate your complaint — see Next Steps.' : 'A deadline has passed — see Next Steps.');
+    return;
+  }
+  const offer = canEscalate ? ' I can draft the escalation for you — use the button on your pathway below.' : '';
+  addMessage('system', `Update on your complaint: ${due.map(n => n.message).join(' ')}${offer}`);
+}
+
+// A records request the body has not answered in time can go to the ICO. Said once per request.
+function announceLateRecords() {
+  const request = trackSubjectAccessRequest(getDiaryEntries());
+  const id = request && `records_overdue:${request.requested}`;
+  if (!request?.overdue || seenNotices.includes(id)) return;
+  seenNotices.push(id);
+
+  if (sessionStatus === 'letter') {
+    showToast('Your records are late — see Next Steps.');
+    return;
+  }
+  addMessage('system', `Update on your records: ${extractedFacts.publicBody} should have sent them by ${formatDate(fromIsoDate(request.due))}. If a reminder does not work, you can complain to the Information Commissioner's Office (ICO) at ${ICO_COMPLAINT_URL}`);
+}
+
+/**
+ * @param {import('./escalation.js').EscalationNotice[]} notices
+ * @returns {string}
+ */
+function renderEscalationNotices(notices) {
+  return notices.map((notice, i) => {
+    const drafting = letterTarget === 'escalation' && escalationNotice?.id === notice.id && sessionStatus === 'letter';
+    const to = notice.canEscalate ? pathwayRoutes[0].pathway.steps[notice.to].name : null;
+    return `
+      <div class="pathway-escalation pathway-escalation--${notice.kind.replace(/_/g, '-')}">
+        <div class="pathway-escalation__title">${escapeHtml(notice.title)}</div>
+        <p class="pathway-escalation__text">${escapeHtml(notice.message)}</p>
+        ${to && !drafting ? `
+          <div class="pathway-escalation__actions">
+            <button class="btn btn--green btn--sm pathway-escalation__draft" data-notice="${i}">Draft escalation to ${escapeHtml(to)}</button>
+            ${OMBUDSMAN_FORMS[pathwayRoutes[0].pathway.steps[notice.to].ombudsman] ? '<button class="btn btn--outline btn--sm pathway-escalation__ombudsman">Prepare the online form</button>' : ''}
+          </div>
+        ` : ''}
+      </div>
+    `;
+  }).join('');
+}
+
+function wireEscalationNotices(container, notices) {
+  container.querySelectorAll('.pathway-escalation__draft').forEach(btn => {
+    btn.addEventListener('click', () => handleGenerateLetter('escalation', notices[Number(btn.dataset.notice)]));
+  });
+  container.querySelectorAll('.pathway-escalation__ombudsman').forEach(btn => {
+    btn.addEventListener('click', showOmbudsmanAssistant);
+  });
+}
+
 function handleConfirmSummary() {
   if (!extractedFacts) return;
 
-  // Determine nation from postcode lookup, or from AI-extracted nation field, or default to England
-  const nation = resolvedBodies?.country || extractedFacts.nation || 'England';
-
-  // Get pathway — pass complaintType for DWP routing, nation for devolved nations
-  const pathway = getPathway(extractedFacts.bodyType, extractedFacts.complaintType, nation);
-  currentPathway = adjustForStepsTaken(pathway, extractedFacts.stepsTaken);
+  routeComplaint();
+  letterTarget = 0;
+  escalationNotice = null;
+  clarifiedReply = null;
+  currentPathway = pathwayRoutes[0].pathway;
   sessionStatus = 'pathway';
 
   showPathwayCard(currentPathway);
   saveSession();
+
+  // The conversation is read for dated events in the background. The chronology works without
+  // them, and the person can read it again from the chronology, so a failure is not shown here.
+  findConversationEvents().catch(() => {});
 }
 
 // ── Deadline Calculator ──
 
-function parseEventDate(facts) {
-  // Try to parse dateSpecific first, then dateRange
-  const dateStr = facts.dateSpecific || facts.dateRange;
-  if (!dateStr) return null;
-
-  // Try direct parse
-  let d = new Date(dateStr);
-  if (!isNaN(d.getTime()) && d.getFullYear() > 2000) return d;
-
-  // Try common UK date formats
-  const ukMatch = dateStr.match(/(\d{1,2})\s*[\/\-\.]\s*(\d{1,2})\s*[\/\-\.]\s*(\d{2,4})/);
-  if (ukMatch) {
-    const year = ukMatch[3].length === 2 ? 2000 + parseInt(ukMatch[3]) : parseInt(ukMatch[3]);
-    d = new Date(year, parseInt(ukMatch[2]) - 1, parseInt(ukMatch[1]));
-    if (!isNaN(d.getTime())) return d;
-  }
-
-  // Try month name patterns like "March 2024", "15 March 2024"
-  const monthMatch = dateStr.match(/(\d{1,2})?\s*(January|February|March|April|May|June|July|August|September|October|November|December)\s*(\d{4})/i);
-  if (monthMatch) {
-    const months = { january:0, february:1, march:2, april:3, may:4, june:5, july:6, august:7, september:8, october:9, november:10, december:11 };
-    const month = months[monthMatch[2].toLowerCase()];
-    const day = monthMatch[1] ? parseInt(monthMatch[1]) : 1;
-    d = new Date(parseInt(monthMatch[3]), month, day);
-    if (!isNaN(d.getTime())) return d;
-  }
-
-  return null;
-}
-
-function addWorkingDays(fromDate, days) {
-  const result = new Date(fromDate);
-  let added = 0;
-  while (added < days) {
-    result.setDate(result.getDate() + 1);
-    const dayOfWeek = result.getDay();
-    const dateStr = result.toISOString().slice(0, 10);
-    if (dayOfWeek !== 0 && dayOfWeek !== 6 && !UK_BANK_HOLIDAYS.includes(dateStr)) {
-      added++;
-    }
-  }
-  return result;
-}
-
-function addMonths(fromDate, months) {
-  const result = new Date(fromDate);
-  result.setMonth(result.getMonth() + months);
-  return result;
+/**
+ * When the time limit starts: when it happened or, for pathways whose limit can run from
+ * when the person found out, whichever of the two was later.
+ *
+ * @returns {{earliest: Date, latest: Date, exact: boolean, text: string, clock: 'event'|'awareness', awarenessUnclear?: boolean}|null}
+ */
+function findClockStart(facts, pathway, reference) {
+  const event = parseEventDates(facts, reference);
+  const aware = pathway.timeLimitFromAwareness ? parseDateRange(facts.awarenessDate, reference) : null;
+  if (!aware) return event && { ...event, clock: 'event', awarenessUnclear: Boolean(pathway.timeLimitFromAwareness && facts.awarenessDate) };
+  if (!event) return { ...aware, text: facts.awarenessDate, clock: 'awareness' };
+  if (aware.earliest <= event.earliest) return { ...event, clock: 'event' };
+
+  const latest = aware.latest > event.latest ? aware.latest : event.latest;
+  return { earliest: aware.earliest, latest, exact: aware.exact && latest.getTime() === aware.latest.getTime(), text: facts.awarenessDate, clock: 'awareness' };
 }
 
-function formatDate(date) {
-  return date.toLocaleDateString('en-GB', { day: 'numeric', month: 'long', year: 'numeric' });
+/**
+ * The sentences of a pathway's time limit detail about late complaints being accepted.
+ *
+ * @param {string} [detail]
+ * @returns {string}
+ */
+function extensionWording(detail) {
+  const sentences = (detail || '').match(/[^.!?]+[.!?]+/g) || [];
+  return sentences
+    .filter(s => /discretion|extend|good reason|special circumstances|exceptional|late (complaint|request|appeal|reference)/i.test(s))
+    .map(s => s.trim())
+    .join(' ');
 }
 
-function calculateDeadlines(facts, pathway) {
-  const eventDate = parseEventDate(facts);
-  if (!eventDate) return null;
-
+/**
+ * @param {object} facts
+ * @param {import('./router.js').Pathway} pathway
+ * @param {Date} [sentOn] - When the current step was submitted; response dates count from today if not yet
+ * @param {string} [nation] - Whose bank holidays to skip
+ * @param {string|null} [factsDate] - YYYY-MM-DD the facts were given, which relative dates count from
+ */
+function calculateDeadlines(facts, pathway, sentOn, nation = getNation(), factsDate = conversationDate) {
   const today = new Date();
-  const deadlines = {};
-
-  // Submission deadline based on timeLimit text
-  const tl = pathway.timeLimit.toLowerCase();
-  if (tl.includes('1 month')) {
-    deadlines.submitBy = addMonths(eventDate, 1);
-  } else if (tl.includes('6 month')) {
-    deadlines.submitBy = addMonths(eventDate, 6);
-  } else if (tl.includes('12 month')) {
-    deadlines.submitBy = addMonths(eventDate, 12);
+  const received = sentOn || today;
+  const currentStep = pathway.steps.find(s => s.current) || pathway.steps[0];
+  const start = findClockStart(facts, pathway, factsDate ? fromIsoDate(factsDate) : today);
+  if (!start) {
+    // Code timescales run from when the complaint is sent, so they don't need the event date
+    return currentStep.codeTimescales ? { ...calculateCodeDeadlines(currentStep.codeTimescales, received, nation), sentOn } : null;
   }
 
-  if (deadlines.submitBy) {
-    const daysRemaining = Math.ceil((deadlines.submitBy - today) / (1000 * 60 * 60 * 24));
+  const deadlines = { clock: start.clock, awarenessUnclear: start.awarenessUnclear };
+  const daysUntil = date => Math.ceil((date - today) / (1000 * 60 * 60 * 24));
+
+  // The time limit counts from the earliest the clock could have started, to be safe
+  const submitBy = addTimeLimit(start.earliest, pathway.timeLimit);
+  if (submitBy) {
+    const daysRemaining = daysUntil(submitBy);
+    deadlines.submitBy = submitBy;
     deadlines.submitUrgent = daysRemaining <= 30;
     deadlines.submitExpired = daysRemaining < 0;
     deadlines.daysRemaining = daysRemaining;
-  }
 
-  // Expected acknowledgment and response from current step
-  const currentStep = pathway.steps.find(s => s.current) || pathway.steps[0];
-  if (currentStep.acknowledgmentTimeline) {
-    const ackMatch = currentStep.acknowledgmentTimeline.match(/(\d+)\s*working\s*day/i);
-    if (ackMatch) {
-      deadlines.acknowledgmentBy = addWorkingDays(today, parseInt(ackMatch[1]));
-    }
-  }
-  if (currentStep.timeline) {
-    const respMatch = currentStep.timeline.match(/(\d+)\s*working\s*day/i);
-    if (respMatch) {
-      deadlines.responseBy = addWorkingDays(today, parseInt(respMatch[1]));
-    } else {
-      const monthMatch = currentStep.timeline.match(/(\d+)\s*month/i);
-      if (monthMatch) {
-        deadlines.responseBy = addMonths(today, parseInt(monthMatch[1]));
-      }
+    if (!start.exact) {
+      deadlines.eventDates = start;
+      deadlines.latestSubmitBy = addTimeLimit(start.latest, pathway.timeLimit);
+      deadlines.submitUncertain = deadlines.submitExpired && daysUntil(deadlines.latestSubmitBy) >= 0;
     }
   }
 
-  return deadlines;
+  // Expected acknowledgment and response from current step
+  return { ...deadlines, ...calculateStepDeadlines(currentStep, received, nation), sentOn };
 }
 
 // ── Pathway Card ──
 
-function showPathwayCard(pathway) {
-  const card = document.createElement('div');
-  card.className = 'pathway-card';
-  card.setAttribute('role', 'region');
-  card.setAttribute('aria-label', 'Recommended complaint pathway');
-
-  // Nation banner for devolved nations
-  const nation = resolvedBodies?.country || extractedFacts?.nation;
-  let nationBanner = '';
-  if (nation && nation !== 'England') {
-    nationBanner = `<div class="pathway-nation-banner">This pathway is specific to ${escapeHtml(nation)}</div>`;
+function renderTimeLimitBanner(pathway, withinTimeLimit) {
+  if (!pathway.timeLimit) return '';
+
+  let bannerClass = 'pathway-time-limit';
+  let icon = '&#128339;';
+  if (withinTimeLimit === 'at_risk') {
+    bannerClass += ' pathway-time-limit--at-risk';
+    icon = '&#9888;';
+  } else if (withinTimeLimit === 'no') {
+    bannerClass += ' pathway-time-limit--expired';
+    icon = '&#9888;';
   }
+  return `
+    <div class="${bannerClass}">
+      <span class="pathway-time-limit__icon">${icon}</span>
+      <div class="pathway-time-limit__text">
+        <div class="pathway-time-limit__title">Time limit: ${escapeHtml(pathway.timeLimit)}</div>
+        ${pathway.timeLimitDetail ? `<div class="pathway-time-limit__detail">${escapeHtml(pathway.timeLimitDetail)}</div>` : ''}
+      </div>
+    </div>
+  `;
+}
 
-  // Time limit banner
-  let timeLimitBanner = '';
-  if (pathway.timeLimit) {
-    let bannerClass = 'pathway-time-limit';
-    let icon = '&#128339;';
-    if (extractedFacts && extractedFacts.withinTimeLimit === 'at_risk') {
-      bannerClass += ' pathway-time-limit--at-risk';
-      icon = '&#9888;';
-    } else if (extractedFacts && extractedFacts.withinTimeLimit === 'no') {
-      bannerClass += ' pathway-time-limit--expired';
-      icon = '&#9888;';
+/**
+ * @param {object} facts
+ * @param {import('./router.js').Pathway} pathway
+ * @param {import('./stages.js').StageTracking|null} [stages] - The main complaint's progress
+ * @param {boolean} [calendar] - Offer the dates as a calendar file
+ */
+function renderDeadlines(facts, pathway, stages = null, calendar = false) {
+  // Once the current step has been sent, the body's response dates count from then
+  const sent = stages?.steps[stages.currentIndex].submitted;
+  const deadlines = calculateDeadlines(facts, pathway, sent ? fromIsoDate(sent) : undefined);
+  if (!deadlines) return '';
+
+  let rows = '';
+  if (deadlines.submitBy) {
+    let urgentClass = deadlines.submitExpired ? 'pathway-deadlines__date--expired' : deadlines.submitUrgent ? 'pathway-deadlines__date--urgent' : '';
+    let label = deadlines.submitExpired ? 'Deadline passed' : `${deadlines.daysRemaining} days remaining`;
+    if (deadlines.submitUncertain) {
+      urgentClass = 'pathway-deadlines__date--urgent';
+      label = 'may have passed';
     }
-    timeLimitBanner = `
-      <div class="${bannerClass}">
-        <span class="pathway-time-limit__icon">${icon}</span>
-        <div class="pathway-time-limit__text">
-          <div class="pathway-time-limit__title">Time limit: ${escapeHtml(pathway.timeLimit)}</div>
-          ${pathway.timeLimitDetail ? `<div class="pathway-time-limit__detail">${escapeHtml(pathway.timeLimitDetail)}</div>` : ''}
-        </div>
-      </div>
-    `;
+    rows += `<div class="pathway-deadlines__row ${urgentClass}"><span class="pathway-deadlines__label">Submit by:</span> <span class="pathway-deadlines__date">${formatDate(deadlines.submitBy)}</span> <span class="pathway-deadlines__remaining">(${label})</span></div>`;
   }
-
-  // Deadline calculator
-  let deadlinesHtml = '';
-  if (extractedFacts) {
-    const deadlines = calculateDeadlines(extractedFacts, pathway);
-    if (deadlines) {
-      let rows = '';
-      if (deadlines.submitBy) {
-        const urgentClass = deadlines.submitExpired ? 'pathway-deadlines__date--expired' : deadlines.submitUrgent ? 'pathway-deadlines__date--urgent' : '';
-        const label = deadlines.submitExpired ? 'Deadline passed' : `${deadlines.daysRemaining} days remaining`;
-        rows += `<div class="pathway-deadlines__row ${urgentClass}"><span class="pathway-deadlines__label">Submit by:</span> <span class="pathway-deadlines__date">${formatDate(deadlines.submitBy)}</span> <span class="pathway-deadlines__remaining">(${label})</span></div>`;
-      }
-      if (deadlines.acknowledgmentBy) {
-        rows += `<div class="pathway-deadlines__row"><span class="pathway-deadlines__label">Expect acknowledgment by:</span> <span class="pathway-deadlines__date">${formatDate(deadlines.acknowledgmentBy)}</span></div>`;
-      }
-      if (deadlines.responseBy) {
-        rows += `<div class="pathway-deadlines__row"><span class="pathway-deadlines__label">Expect response by:</span> <span class="pathway-deadlines__date">${formatDate(deadlines.responseBy)}</span></div>`;
-      }
-      if (rows) {
-        deadlinesHtml = `<div class="pathway-deadlines"><div class="pathway-deadlines__title">Key Dates</div>${rows}</div>`;
-      }
+  if (pathway.timeLimitFromAwareness && deadlines.submitBy) {
+    let clockNote;
+    if (deadlines.clock === 'awareness') {
+      clockNote = 'The time limit counts from when you found out about the problem, as that was later than when it happened.';
+    } else if (deadlines.awarenessUnclear) {
+      clockNote = `We could not work out a date from when you said you found out ("${escapeHtml(facts.awarenessDate)}"), so the time limit counts from when it happened. If you found out later, give the month and year in your summary.`;
+    } else if (facts.awarenessDate) {
+      clockNote = 'The time limit counts from when it happened, as you found out about it at the time.';
+    } else {
+      clockNote = 'If you only found out about the problem later, the time limit can count from when you found out instead. Add when you found out to your summary to update this date.';
     }
+    rows += `<div class="pathway-deadlines__note">${clockNote}</div>`;
   }
-
-  // Warnings section
-  let warningsHtml = '';
-  if (pathway.warnings && pathway.warnings.length > 0) {
-    warningsHtml = `
-      <div class="pathway-warnings">
-        ${pathway.warnings.map(w => `
-          <div class="pathway-warning">
-            <span class="pathway-warning__icon">&#9888;</span>
-            <span>${escapeHtml(w)}</span>
-          </div>
-        `).join('')}
-      </div>
-    `;
+  if (deadlines.eventDates) {
+    const { text, earliest, latest, clock } = deadlines.eventDates;
+    rows += `<div class="pathway-deadlines__note">You said ${clock === 'awareness' ? 'you found out' : 'it happened'} "${escapeHtml(text)}", which could mean any time from ${formatDate(earliest)} to ${formatDate(latest)}. To be safe, the submit-by date counts from ${formatDate(earliest)}.</div>`;
   }
-
-  // Pre-requirements section
-  let prereqsHtml = '';
-  if (pathway.preRequirements && pathway.preRequirements.length > 0) {
-    prereqsHtml = `
-      <div class="pathway-prereqs">
-        <div class="pathway-prereqs__title">Before You Start</div>
-        <ul class="pathway-prereqs__list">
-          ${pathway.preRequirements.map(p => `<li class="pathway-prereqs__item">${escapeHtml(p)}</li>`).join('')}
-        </ul>
-      </div>
-    `;
+  if (deadlines.submitUncertain) {
+    rows += `<div class="pathway-deadlines__note pathway-deadlines__note--warning">Depending on exactly when it happened, the time limit may already have passed, or it may run until ${formatDate(deadlines.latestSubmitBy)}. Check letters, emails or records for the exact date, and send your complaint as soon as you can.</div>`;
+  }
+  if (deadlines.submitExpired) {
+    const wording = extensionWording(pathway.timeLimitDetail);
+    rows += `<div class="pathway-deadlines__note pathway-deadlines__note--extension">${wording
+      ? `Even after the time limit, a late complaint can still be looked at: ${escapeHtml(wording)}`
+      : 'Even after the time limit, it is worth asking whether they will still look at your complaint.'} Explain why you could not complain sooner, such as illness, caring responsibilities, or not knowing about the problem.</div>`;
+  }
+  if (deadlines.acknowledgmentBy) {
+    rows += `<div class="pathway-deadlines__row"><span class="pathway-deadlines__label">Expect acknowledgment by:</span> <span class="pathway-deadlines__date">${formatDate(deadlines.acknowledgmentBy)}</span></div>`;
+  }
+  if (deadlines.responseBy) {
+    rows += `<div class="pathway-deadlines__row"><span class="pathway-deadlines__label">Expect response by:</span> <span class="pathway-deadlines__date">${formatDate(deadlines.responseBy)}</span></div>`;
+  }
+  if (deadlines.extendedResponseBy) {
+    rows += `<div class="pathway-deadlines__row"><span class="pathway-deadlines__label">Latest response if they extend:</span> <span class="pathway-deadlines__date">${formatDate(deadlines.extendedResponseBy)}</span></div>`;
   }
+  if (deadlines.deadlineSource) {
+    rows += `<div class="pathway-deadlines__source">Response dates are set by the ${escapeHtml(deadlines.deadlineSource)}, counting from ${deadlines.sentOn ? `when you sent it on ${formatDate(deadlines.sentOn)}` : 'today'}. If they are missed, you can escalate.</div>`;
+  }
+  if (!rows) return '';
+  const calendarHtml = calendar ? '<div class="pathway-deadlines__actions"><button class="btn btn--outline btn--sm pathway-deadlines__calendar">Add dates to calendar</button></div>' : '';
+  return `<div class="pathway-deadlines"><div class="pathway-deadlines__title">Key Dates</div>${rows}${calendarHtml}</div>`;
+}
+
+function renderStepProgress(progress) {
+  if (!progress || progress.status === 'not_started') return '';
+
+  const dates = [];
+  if (progress.submitted) dates.push(`sent ${formatDate(fromIsoDate(progress.submitted))}`);
+  if (progress.responded) dates.push(`reply ${formatDate(fromIsoDate(progress.responded))}`);
+  else if (progress.responseDue) dates.push(`reply ${progress.responseDueBinding ? 'due' : 'expected by'} ${formatDate(fromIsoDate(progress.responseDue))}`);
+  return `
+    <div class="pathway-step__progress">
+      <span class="pathway-step__status pathway-step__status--${progress.status}">${STEP_STATUS_LABELS[progress.status]}</span>
+      ${dates.length > 0 ? `<span class="pathway-step__dates">${dates.join(' · ')}</span>` : ''}
+      ${progress.source === 'inferred' ? '<span class="pathway-step__dates">(assumed, as you have moved on)</span>' : ''}
+    </div>
+  `;
+}
 
-  // Build steps
-  const stepsHtml = pathway.steps.map(step => {
+/**
+ * @param {import('./router.js').Pathway} pathway
+ * @param {import('./stages.js').StageTracking|null} [stages] - Progress to show against each step
+ */
+function renderPathwaySteps(pathway, stages = null) {
+  return pathway.steps.map((step, i) => {
     let infoNeededHtml = '';
     if (step.current && step.infoNeeded && step.infoNeeded.length > 0) {
       infoNeededHtml = `
@@ -1315,6 +1986,7 @@ function showPathwayCard(pathway) {
     return `
       <li class="pathway-step ${step.current ? 'pathway-step--current' : ''}">
         <div class="pathway-step__name">${escapeHtml(step.name)}</div>
+        ${renderStepProgress(stages?.steps[i])}
         <div class="pathway-step__desc">${escapeHtml(step.description)}</div>
         ${portalLinkHtml}
         <div class="pathway-step__timeline">${escapeHtml(step.timeline)}</div>
@@ -1324,6 +1996,156 @@ function showPathwayCard(pathway) {
       </li>
     `;
   }).join('');
+}
+
+/**
+ * Facts as they apply to one body. The main body uses the facts as extracted;
+ * another body swaps in its own name, type and part of the story.
+ */
+function factsForRoute(route, facts = extractedFacts) {
+  if (route.primary) return facts;
+  return {
+    ...facts,
+    publicBody: route.publicBody,
+    bodyType: route.bodyType,
+    complaintType: route.complaintType,
+    issue: route.issue,
+    withinTimeLimit: 'unknown'
+  };
+}
+
+const FACT_SOURCE_LABELS = {
+  you: 'you set this',
+  postcode: 'from your postcode',
+  conversation: 'from our conversation',
+  default: 'assumed',
+  invalid: 'could not be worked out, so a default was used'
+};
+
+const CONFIDENCE_LABELS = { high: 'High confidence', medium: 'Medium confidence', low: 'Low confidence' };
+
+// "Why this route?" disclosure: the facts that chose the route and how sure the router is
+function renderRouteExplanation(explanation) {
+  if (!explanation) return '';
+
+  return `
+    <details class="pathway-why">
+      <summary class="pathway-why__summary">
+        Why this route?
+        <span class="pathway-why__confidence pathway-why__confidence--${explanation.confidence}">${CONFIDENCE_LABELS[explanation.confidence]}</span>
+      </summary>
+      <ul class="pathway-why__list">
+        ${explanation.factors.map(f => `
+          <li class="pathway-why__item">
+            <strong>${escapeHtml(FACTS_SCHEMA.properties[f.fact].title)}:</strong>
+            ${f.value ? `${escapeHtml(formatFactValue(f.fact, f.value))} <span class="pathway-why__source">(${FACT_SOURCE_LABELS[f.source]})</span>` : '<span class="pathway-why__source">not given</span>'}
+            <div class="pathway-why__effect">${escapeHtml(f.effect)}</div>
+          </li>
+        `).join('')}
+      </ul>
+      ${explanation.concerns.length > 0 ? `
+        <div class="pathway-why__concerns">
+          <div class="pathway-why__concerns-title">Worth checking</div>
+          <ul>${explanation.concerns.map(c => `<li>${escapeHtml(c)}</li>`).join('')}</ul>
+        </div>
+      ` : ''}
+      <p class="pathway-why__fix">If any of this is wrong, correct it on your summary and the route will be worked out again.</p>
+    </details>
+  `;
+}
+
+// Overview of every body involved, in ranked order, plus the joint complaint option
+function renderRoutesOverview() {
+  const routes = pathwayRoutes;
+  const lead = jointComplaint ? routes[jointComplaint.lead] : null;
+
+  return `
+    <div class="pathway-routes">
+      <div class="pathway-routes__title">Your complaint involves ${routes.length} bodies</div>
+      <ol class="pathway-routes__list">
+        ${routes.map(route => `
+          <li class="pathway-routes__item">
+            <div class="pathway-routes__body">${escapeHtml(route.publicBody)} — ${escapeHtml(route.pathway.title)}</div>
+            <div class="pathway-routes__reason">${escapeHtml(route.reason)}</div>
+          </li>
+        `).join('')}
+      </ol>
+      ${lead ? `
+        <div class="pathway-joint">
+          <div class="pathway-joint__title">Or make one joint complaint</div>
+          <p class="pathway-joint__text">${escapeHtml(jointComplaint.reason)}</p>
+          <button class="btn btn--outline" id="generate-joint-letter">Draft one joint complaint to ${escapeHtml(lead.publicBody)}</button>
+        </div>
+      ` : ''}
+    </div>
+  `;
+}
+
+// Condensed pathway for each body after the first
+function renderOtherRoutes() {
+  return pathwayRoutes.slice(1).map((route, i) => `
+    <details class="pathway-other-route">
+      <summary class="pathway-other-route__summary">${escapeHtml(route.publicBody)}: ${escapeHtml(route.pathway.title)}</summary>
+      <p class="pathway-other-route__desc">${escapeHtml(route.pathway.description)}</p>
+      ${renderTimeLimitBanner(route.pathway, null)}
+      ${renderDeadlines(factsForRoute(route), route.pathway)}
+      ${renderRouteExplanation(route.explanation)}
+      <ol class="pathway-steps">
+        ${renderPathwaySteps(route.pathway)}
+      </ol>
+      <button class="btn btn--outline pathway-other-route__draft" data-route="${i + 1}">Draft complaint to ${escapeHtml(route.publicBody)}</button>
+    </details>
+  `).join('');
+}
+
+function showPathwayCard(pathway) {
+  const card = document.createElement('div');
+  card.className = 'pathway-card';
+  card.setAttribute('role', 'region');
+  card.setAttribute('aria-label', 'Recommended complaint pathway');
+
+  // Nation banner for devolved nations
+  const nation = getNation();
+  let nationBanner = '';
+  if (nation && nation !== 'England') {
+    nationBanner = `<div class="pathway-nation-banner">This pathway is specific to ${escapeHtml(nation)}</div>`;
+  }
+
+  const stages = pathwayRoutes?.[0].stages || null;
+  const notices = getEscalationNotices();
+  markNoticesSeen(notices);
+  const timeLimitBanner = renderTimeLimitBanner(pathway, extractedFacts?.withinTimeLimit);
+  const deadlinesHtml = extractedFacts ? renderDeadlines(extractedFacts, pathway, stages, true) : '';
+
+  // Warnings section
+  let warningsHtml = '';
+  if (pathway.warnings && pathway.warnings.length > 0) {
+    warningsHtml = `
+      <div class="pathway-warnings">
+        ${pathway.warnings.map(w => `
+          <div class="pathway-warning">
+            <span class="pathway-warning__icon">&#9888;</span>
+            <span>${escapeHtml(w)}</span>
+          </div>
+        `).join('')}
+      </div>
+    `;
+  }
+
+  // Pre-requirements section
+  let prereqsHtml = '';
+  if (pathway.preRequirements && pathway.preRequirements.length > 0) {
+    prereqsHtml = `
+      <div class="pathway-prereqs">
+        <div class="pathway-prereqs__title">Before You Start</div>
+        <ul class="pathway-prereqs__list">
+          ${pathway.preRequirements.map(p => `<li class="pathway-prereqs__item">${escapeHtml(p)}</li>`).join('')}
+        </ul>
+      </div>
+    `;
+  }
+
+  const stepsHtml = renderPathwaySteps(pathway, stages);
 
   // Evidence guidance
   let evidenceHtml = '';
@@ -1338,12 +2160,17 @@ function showPathwayCard(pathway) {
     `;
   }
 
+  const multiRoute = pathwayRoutes?.length > 1;
+
   card.innerHTML = `
-    <div class="pathway-card__title">${escapeHtml(pathway.title)}</div>
+    ${multiRoute ? renderRoutesOverview() : ''}
+    <div class="pathway-card__title">${multiRoute ? `${escapeHtml(pathwayRoutes[0].publicBody)}: ` : ''}${escapeHtml(pathway.title)}</div>
     <p style="font-size:0.9rem; color:var(--nhs-dark-grey); margin-bottom:1rem;">${escapeHtml(pathway.description)}</p>
     ${nationBanner}
+    ${renderRouteExplanation(pathwayRoutes?.[0].explanation)}
     ${timeLimitBanner}
     ${deadlinesHtml}
+    ${renderEscalationNotices(notices)}
     ${warningsHtml}
     ${prereqsHtml}
     <ol class="pathway-steps">
@@ -1361,8 +2188,12 @@ function showPathwayCard(pathway) {
     <div style="margin-top:0.75rem; font-size:0.8rem; color:var(--nhs-grey);">
       <strong>Relevant legislation:</strong> ${escapeHtml(pathway.legislation)}
     </div>
+    <div class="pathway-card__check">
+      Processes change — check the body's own website before you send.
+    </div>
+    ${multiRoute ? `<div class="pathway-other-routes">${renderOtherRoutes()}</div>` : ''}
     <div class="pathway-card__actions">
-      <button class="btn btn--green" id="generate-letter">Draft my complaint</button>
+      <button class="btn btn--green" id="generate-letter">${multiRoute ? `Draft complaint to ${escapeHtml(pathwayRoutes[0].publicBody)}` : 'Draft my complaint'}</button>
       <button class="btn btn--outline" id="open-diary-pathway">Complaint diary</button>
       <button class="btn btn--secondary" id="continue-chat">I have more questions</button>
     </div>
@@ -1371,7 +2202,13 @@ function showPathwayCard(pathway) {
   messagesEl.insertBefore(card, typingIndicator);
   scrollToBottom();
 
-  card.querySelector('#generate-letter').addEventListener('click', () => handleGenerateLetter());
+  card.querySelector('#generate-letter').addEventListener('click', () => handleGenerateLetter(0));
+  wireEscalationNotices(card, notices);
+  card.querySelector('.pathway-deadlines__calendar')?.addEventListener('click', handleDownloadCalendar);
+  card.querySelector('#generate-joint-letter')?.addEventListener('click', () => handleGenerateLetter('joint'));
+  card.querySelectorAll('.pathway-other-route__draft').forEach(btn => {
+    btn.addEventListener('click', () => handleGenerateLetter(Number(btn.dataset.route)));
+  });
   card.querySelector('#open-diary-pathway').addEventListener('click', () => showDiary());
   card.querySelector('#continue-chat').addEventListener('click', () => {
     addMessage('system', 'Of course — ask me anything about your complaint or the process.');
@@ -1381,16 +2218,53 @@ function showPathwayCard(pathway) {
 
 // ── Letter Generation ──
 
-async function handleGenerateLetter() {
+/**
+ * Draft the complaint for one body, the joint complaint, an escalation of the main complaint,
+ * or a follow-up asking the main body to clarify its reply.
+ *
+ * @param {number|'joint'|'escalation'|'clarification'} [target] - Index into pathwayRoutes, 'joint' for the
+ *   joint complaint, 'escalation' to take the main complaint to the step `notice` says it can go to,
+ *   or 'clarification' to follow up the reply in the diary entry `reply`
+ * @param {import('./escalation.js').EscalationNotice|null} [notice] - For an escalation
+ * @param {object|null} [reply] - Diary entry with the reply's analysis, for a clarification
+ */
+async function handleGenerateLetter(target = 0, notice = null, reply = null) {
   if (!extractedFacts || !currentPathway) return;
 
-  addMessage('system', 'Drafting your complaint...');
+  let facts = extractedFacts;
+  let pathway = currentPathway;
+  let context = {};
+  if (target === 'escalation') {
+    const route = pathwayRoutes[0];
+    pathway = withCurrentStep(route.pathway, notice.to);
+    context = { escalation: { notice, stages: route.stages, diary: getDiaryEntries() } };
+  } else if (target === 'clarification') {
+    pathway = withCurrentStep(pathwayRoutes[0].pathway, reply.stepIndex);
+    context = { clarification: reply };
+  } else if (pathwayRoutes) {
+    const route = pathwayRoutes[target === 'joint' ? jointComplaint.lead : target];
+    facts = factsForRoute(route);
+    pathway = route.pathway;
+    context = target === 'joint'
+      ? { jointWith: jointComplaint.routes.map(i => pathwayRoutes[i]) }
+      : { alsoComplainingTo: pathwayRoutes.filter(r => r !== route).map(r => r.publicBody) };
+  }
+
+  // An escalation lists the diary itself, so its chronology leaves the diary out
+  context.chronology = currentChronology().filter(e => target !== 'escalation' || e.source !== 'diary');
+
+  const drafting = { joint: 'Drafting your joint complaint...', escalation: 'Drafting your escalation...', clarification: 'Drafting your follow-up...' };
+  addMessage('system', drafting[target] || 'Drafting your complaint...');
   setTyping(true);
 
-  const letterPrompt = buildLetterPrompt(extractedFacts, currentPathway);
+  const letterPrompt = buildLetterPrompt(facts, pathway, context);
 
   try {
     const letter = await generateOnce(LETTER_SYSTEM_PROMPT, letterPrompt);
+    letterTarget = target;
+    escalationNotice = target === 'escalation' ? notice : null;
+    clarifiedReply = target === 'clarification' ? reply : null;
+    currentPathway = pathway;
     sessionStatus = 'letter';
     showLetter();
     $('#letter-textarea').value = letter;
@@ -1477,7 +2351,17 @@ RULES:
 - Do NOT embellish or add details not provided.
 - Output ONLY the letter text. No commentary.`;
 
-function buildLetterPrompt(facts, pathway) {
+/**
+ * @param {object} facts - Facts as they apply to the body the letter is addressed to
+ * @param {object} pathway - That body's pathway
+ * @param {object} [context]
+ * @param {string[]} [context.alsoComplainingTo] - Other bodies the person may complain to separately
+ * @param {object[]} [context.jointWith] - Routes covered by a joint complaint, the receiving body first
+ * @param {object} [context.escalation] - Escalating the main complaint: the notice that allows it,
+ *   the stage tracking and the diary entries
+ * @param {object} [context.clarification] - Following up a reply: its diary entry, with the analysis
+ */
+function buildLetterPrompt(facts, pathway, context = {}) {
   const currentStep = pathway.steps.find(s => s.current) || pathway.steps[0];
 
   let prompt = `Write complaint text in plain, simple language based on these facts. The person may copy this into an online form, send it as an email, or post it as a letter — so keep the format flexible.
@@ -1500,6 +2384,9 @@ Tried direct resolution: ${facts.triedDirectResolution || 'Unknown'}`;
   if (facts.staffInvolved) {
     prompt += `\nStaff involved: ${facts.staffInvolved}`;
   }
+  if (context.chronology?.length) {
+    prompt += `\nChronology (use these dates and set out what happened in this order):\n${formatChronology(context.chronology)}`;
+  }
   if (facts.thirdParty) {
     prompt += `\nComplaining on behalf of: ${facts.thirdPartyName || 'another person'} (consent is available)`;
   }
@@ -1512,6 +2399,66 @@ Tried direct resolution: ${facts.triedDirectResolution || 'Unknown'}`;
     prompt += `\n\nNote: The complainant has indicated the following accessibility needs: ${facts.reasonableAdjustments || facts.vulnerabilityFlags}. Include a sentence requesting reasonable adjustments.`;
   }
 
+  // Prisons and probation: families usually complain for the prisoner, and COMP1 forms are for prisoners only
+  if (facts.bodyType === 'prison' || facts.bodyType === 'probation') {
+    const person = facts.bodyType === 'prison' ? 'prisoner' : 'person on probation';
+    const onForm = /COMP1/.test(currentStep.name);
+    if (facts.thirdParty) {
+      prompt += `\n\nNote: The writer is a family member or friend complaining on behalf of the ${person}${facts.thirdPartyName ? ` (${facts.thirdPartyName})` : ''}. Write in the writer's own voice and say how they are related. Near the top, give the ${person}'s full name, their prisoner number (use [PRISONER NUMBER] if it is not in the reference numbers) and the ${facts.bodyType === 'prison' ? 'prison' : 'probation office'}. Say the ${person} knows about this complaint and agrees to it. Ask for the reply to come to the writer, and for the ${person} to be told the outcome too.`;
+      if (onForm) {
+        prompt += ` Family members cannot use COMP1 or COMP1A forms, so address it to the Governor or Director and ask them to look into it. Do not call it a COMP1.`;
+      }
+    } else if (onForm) {
+      prompt += `\n\nNote: The writer is the prisoner and will copy this by hand onto a ${currentStep.name.includes('COMP1A') ? 'COMP1A' : 'COMP1'} form. Keep it under 250 words, leave out the address placeholders, and start with their name, prisoner number and wing or cell.`;
+    }
+  }
+
+  // Several bodies: either one joint complaint, or one complaint per body covering only its part
+  if (context.jointWith) {
+    const [lead, ...others] = context.jointWith;
+    prompt += `\n\nNote: This is one joint complaint about ${context.jointWith.map(r => r.publicBody).join(', ')}. It goes to ${lead.publicBody}. Set out what each body did wrong under its own heading:\n${context.jointWith.map(r => `- ${r.publicBody}: ${r.issue}`).join('\n')}\nAsk ${lead.publicBody} to share the complaint with ${others.map(r => r.publicBody).join(' and ')} and to co-ordinate one joint response, as the NHS and social care complaints regulations allow. Ask them to say who will be the main contact.`;
+  } else if (context.alsoComplainingTo?.length) {
+    prompt += `\n\nNote: Other bodies were also involved (${context.alsoComplainingTo.join(', ')}). This text goes only to ${facts.publicBody}, so focus on what ${facts.publicBody} did — the issue above. Mention other bodies only where needed to explain what happened, and do not ask ${facts.publicBody} to answer for them.`;
+  }
+
+  // Escalation: the body has already had its chance, so the history is the heart of the letter
+  if (context.escalation) {
+    const { notice, stages, diary } = context.escalation;
+    const fromStep = pathway.steps[notice.from];
+    const progress = stages.steps.slice(0, notice.from + 1).map((step, i) => {
+      if (step.status === 'not_started') return null;
+      const dates = [
+        step.submitted && `complained ${step.submitted}`,
+        step.acknowledged && `acknowledged ${step.acknowledged}`,
+        step.responded && `${step.status === 'final_response' ? 'final response' : 'reply'} ${step.responded}`
+      ].filter(Boolean);
+      return `- ${pathway.steps[i].name}: ${STEP_STATUS_LABELS[step.status]}${dates.length ? ` (${dates.join(', ')})` : ''}`;
+    }).filter(Boolean);
+    const events = [...diary]
+      .sort((a, b) => (a.date || '').localeCompare(b.date || ''))
+      .map(e => `- ${e.date || 'Undated'}: ${DIARY_TYPE_LABELS[e.type] || 'Other'} — ${e.title}${e.notes ? ` (${e.notes})` : ''}`);
+
+    // A reply that was checked here says what it failed to deal with
+    const checked = diary.filter(e => e.analysis && e.stepIndex === notice.from).sort((a, b) => (b.date || '').localeCompare(a.date || ''))[0];
+    const gaps = checked ? findResponseGaps(checked.analysis) : [];
+
+    prompt += `\n\nNote: This is an escalation, not a first complaint. The person already complained to ${facts.publicBody} at "${fromStep.name}". Why they can escalate now: ${notice.message} Say near the top that this is an escalation and when they first complained. Set out what has happened since, in date order, using only the history below. If ${facts.publicBody} replied, say the person is not happy with the reply and ${gaps.length ? 'set out what the reply did not deal with, from the list below' : 'write [WHAT YOU DISAGREE WITH IN THEIR RESPONSE] rather than guessing why'}. If they have not replied, say so plainly. Say that copies of the complaint and any replies are enclosed.`;
+    if (fromStep.escalationTrigger) prompt += `\nWhat the process says about escalating: ${fromStep.escalationTrigger}`;
+    if (gaps.length) prompt += `\nWhat their reply of ${checked.date} did not deal with:\n${gaps.map(g => `- ${g}`).join('\n')}`;
+    if (progress.length) prompt += `\nComplaint so far:\n${progress.join('\n')}`;
+    if (events.length) prompt += `\nComplaint diary:\n${events.join('\n')}`;
+  }
+
+  // Follow-up: ask the body to deal with what its reply missed, without starting again
+  if (context.clarification) {
+    const { date, analysis } = context.clarification;
+    const gaps = findResponseGaps(analysis);
+    prompt += `\n\nNote: This is a follow-up to ${facts.publicBody}'s reply${date ? ` of ${date}` : ''}, not a new complaint. Thank them briefly for the reply, then ask them to deal with each point below that it did not. Do not repeat the whole story — refer to the original complaint. Keep it under 300 words and ask for a reply within 20 working days.
+What their reply said: ${analysis.summary}
+What it did not deal with:
+${(gaps.length ? gaps : ['[WHAT YOU WANT THEM TO EXPLAIN]']).map(g => `- ${g}`).join('\n')}`;
+  }
+
   prompt += `\nAdditional notes: ${facts.additionalNotes || 'None'}
 
 The complaint is directed to: ${currentStep.name}
@@ -1534,6 +2481,18 @@ function renderNextStepsPanel() {
 
   let sections = '';
 
+  // Escalation notices for the main complaint
+  const notices = getEscalationNotices();
+  markNoticesSeen(notices);
+  if (notices.length > 0) {
+    sections += `
+      <div class="next-steps-panel__section">
+        <div class="next-steps-panel__label">Escalation</div>
+        ${renderEscalationNotices(notices)}
+      </div>
+    `;
+  }
+
   // Online portal
   if (portalUrl) {
     sections += `
@@ -1637,6 +2596,17 @@ function renderNextStepsPanel() {
     `;
   }
 
+  // Subject access request for the person's records
+  if (extractedFacts) {
+    sections += `
+      <div class="next-steps-panel__section">
+        <div class="next-steps-panel__label">Get Your Records</div>
+        ${renderSubjectAccessStatus(trackSubjectAccessRequest(getDiaryEntries()))}
+        <div id="sar-letter-container" class="sar-letter-container"></div>
+      </div>
+    `;
+  }
+
   // Third-party consent reminder
   if (extractedFacts && extractedFacts.thirdParty) {
     sections += `
@@ -1649,13 +2619,62 @@ function renderNextStepsPanel() {
     `;
   }
 
+  // Ombudsman form, for pathways that end with an ombudsman we have the form for
+  const ombudsmanStep = pathwayRoutes ? findOmbudsmanStep(pathwayRoutes[0].pathway) : -1;
+  if (ombudsmanStep >= 0) {
+    const form = OMBUDSMAN_FORMS[pathwayRoutes[0].pathway.steps[ombudsmanStep].ombudsman];
+    sections += `
+      <div class="next-steps-panel__section">
+        <div class="next-steps-panel__label">Going to the Ombudsman</div>
+        <div class="next-steps-panel__text">If ${escapeHtml(pathwayRoutes[0].publicBody)}'s complaints process does not put things right, the ${escapeHtml(form.name)} can look at your complaint. Check whether you can apply yet, and get answers ready for each question on its online form.</div>
+        <div class="next-steps-panel__actions">
+          <button class="btn btn--outline" id="ns-ombudsman-form">Prepare the ombudsman form</button>
+        </div>
+      </div>
+    `;
+  }
+
+  // Chronology
+  sections += `
+    <div class="next-steps-panel__section">
+      <div class="next-steps-panel__label">Chronology</div>
+      <div class="next-steps-panel__text">A dated list of what happened, who did it and where it came from — from what you told us, your documents and your complaint diary. Check it, correct it and add anything missing, then download it as a table to send with your complaint.</div>
+      <div class="next-steps-panel__actions">
+        <button class="btn btn--outline" id="ns-chronology">View the chronology</button>
+      </div>
+    </div>
+  `;
+
+  // Evidence bundle
+  sections += `
+    <div class="next-steps-panel__section">
+      <div class="next-steps-panel__label">Evidence Bundle</div>
+      <div class="next-steps-panel__text">If your complaint goes to an ombudsman or tribunal, put your complaint, a dated chronology, their replies and your documents together in one PDF with an index and page numbers.</div>
+      <div class="next-steps-panel__actions">
+        <button class="btn btn--outline" id="ns-evidence-bundle">Make an evidence bundle</button>
+      </div>
+    </div>
+  `;
+
+  // Checking the reply when it comes
+  sections += `
+    <div class="next-steps-panel__section">
+      <div class="next-steps-panel__label">Got a Reply?</div>
+      <div class="next-steps-panel__text">When ${escapeHtml(pathwayRoutes?.[0].publicBody || 'they')} reply, paste their reply into your diary. We will check it against your complaint, show you anything they did not answer, and suggest whether to accept it, ask them to clarify, or escalate.</div>
+      <div class="next-steps-panel__actions">
+        <button class="btn btn--outline" id="ns-check-reply">Check a reply</button>
+      </div>
+    </div>
+  `;
+
   // Diary link
   sections += `
     <div class="next-steps-panel__section">
       <div class="next-steps-panel__label">Track Your Progress</div>
-      <div class="next-steps-panel__text">Use the complaint diary to log events as you go through the process.</div>
+      <div class="next-steps-panel__text">Use the complaint diary to log events as you go through the process. Add your deadlines and expected replies to your phone calendar, and download them again after updating the diary to move any dates that have changed.</div>
       <div class="next-steps-panel__actions">
         <button class="btn btn--outline" id="ns-open-diary">Open complaint diary</button>
+        <button class="btn btn--outline" id="ns-download-calendar">Add dates to calendar</button>
       </div>
     </div>
   `;
@@ -1677,6 +2696,8 @@ function renderNextStepsPanel() {
     </div>
   `;
 
+  wireEscalationNotices(container, notices);
+
   // Wire up download buttons
   const nsPdfBtn = container.querySelector('#ns-download-pdf');
   const nsDocxBtn = container.querySelector('#ns-download-docx');
@@ -1700,6 +2721,15 @@ function renderNextStepsPanel() {
   if (diaryBtn) {
     diaryBtn.addEventListener('click', () => showDiary());
   }
+  container.querySelector('#ns-download-calendar')?.addEventListener('click', handleDownloadCalendar);
+  container.querySelector('#ns-ombudsman-form')?.addEventListener('click', showOmbudsmanAssistant);
+  container.querySelector('#ns-evidence-bundle')?.addEventListener('click', showEvidenceBundle);
+  container.querySelector('#ns-chronology')?.addEventListener('click', () => showChronology());
+  wireSubjectAccessStatus(container);
+  container.querySelector('#ns-check-reply')?.addEventListener('click', () => {
+    showDiary();
+    showReplyForm();
+  });
 
   // Load MP info if available
   if (extractedFacts && extractedFacts.postcode) {
@@ -1778,6 +2808,109 @@ CRITICAL: Do NOT embellish. Keep it under 250 words. Plain language only.`;
   }
 }
 
+// ── Subject Access Request ──
+
+// Where the records request has got to, for the Next Steps panel
+function renderSubjectAccessStatus(request) {
+  const body = escapeHtml(extractedFacts.publicBody);
+  const formatIso = iso => formatDate(fromIsoDate(iso));
+  const letterButton = `<button class="btn btn--outline" id="ns-sar-letter">${request ? 'Show the request letter' : 'Write a records request'}</button>`;
+
+  if (!request) {
+    return `
+      <div class="next-steps-panel__text">If you do not have your records — notes, letters and emails about you — you can ask ${body} for a copy with a subject access request. It is free, and they must reply within one calendar month. Having your records makes it easier to show what happened.</div>
+      <div class="next-steps-panel__actions">${letterButton}</div>
+    `;
+  }
+
+  if (request.received) {
+    return `
+      <div class="next-steps-panel__text">You asked for your records on ${formatIso(request.requested)} and got them on ${formatIso(request.received)}. Add anything useful to your complaint with the attach button in the chat, or to your evidence bundle.</div>
+      <div class="next-steps-panel__actions">${letterButton}</div>
+    `;
+  }
+
+  if (request.overdue) {
+    return `
+      <div class="next-steps-panel__text"><strong>Your records are late.</strong> ${body} should have sent them by ${formatIso(request.due)}. Remind them in writing. If they still do not send them, you can complain to the Information Commissioner's Office (ICO), which enforces your right to your records.</div>
+      <div class="next-steps-panel__actions">
+        <a href="${ICO_COMPLAINT_URL}" target="_blank" rel="noopener noreferrer" class="btn btn--primary">Complain to the ICO</a>
+        <button class="btn btn--outline" id="ns-sar-received">I have my records</button>
+        ${letterButton}
+      </div>
+    `;
+  }
+
+  const due = request.extended
+    ? `${formatIso(request.due)}, as they told you they need more time`
+    : `${formatIso(request.responseDue)}, or ${formatIso(request.extendedResponseDue)} if they tell you before then that they need more time`;
+  return `
+    <div class="next-steps-panel__text">You asked ${body} for your records on ${formatIso(request.requested)}. They must send them by ${due}. The date is in your diary and calendar dates, and if it passes you can go to the ICO.</div>
+    <div class="next-steps-panel__actions">
+      <button class="btn btn--outline" id="ns-sar-received">I have my records</button>
+      ${request.extended ? '' : '<button class="btn btn--outline" id="ns-sar-extended">They need more time</button>'}
+      ${letterButton}
+    </div>
+  `;
+}
+
+function wireSubjectAccessStatus(container) {
+  container.querySelector('#ns-sar-letter')?.addEventListener('click', handleWriteSubjectAccessRequest);
+  container.querySelector('#ns-sar-received')?.addEventListener('click', () => recordSubjectAccess('records_received', `Received my records from ${extractedFacts.publicBody}`));
+  container.querySelector('#ns-sar-extended')?.addEventListener('click', () => recordSubjectAccess('records_extended', `${extractedFacts.publicBody} said they need more time to send my records`));
+}
+
+// The request letter is filled in from the facts, not drafted by the model
+function handleWriteSubjectAccessRequest() {
+  const sarContainer = $('#sar-letter-container');
+  if (!sarContainer || !extractedFacts) return;
+
+  sarContainer.innerHTML = `
+    <div class="sar-letter">
+      <textarea class="mp-letter-textarea" id="sar-letter-textarea" rows="16">${escapeHtml(buildSubjectAccessRequest(extractedFacts))}</textarea>
+      <div class="next-steps-panel__text">Fill in the parts in [BRACKETS], then send it to their data protection officer. Their privacy notice, usually linked at the bottom of their website, gives the address.</div>
+      <div class="mp-letter-actions">
+        <button class="btn btn--primary btn--sm" id="sar-letter-copy">Copy letter</button>
+        <button class="btn btn--outline btn--sm" id="sar-letter-pdf">Download PDF</button>
+        <button class="btn btn--outline btn--sm" id="sar-letter-docx">Download Word</button>
+      </div>
+      <div class="sar-letter__sent">
+        <label class="diary-form__label" for="sar-sent-date">Sent on</label>
+        <input type="date" id="sar-sent-date" class="diary-form__input" value="${toIsoDate(new Date())}">
+        <button class="btn btn--outline btn--sm" id="sar-letter-sent">I have sent it</button>
+      </div>
+    </div>
+  `;
+
+  const textarea = sarContainer.querySelector('#sar-letter-textarea');
+  sarContainer.querySelector('#sar-letter-copy').addEventListener('click', () => {
+    navigator.clipboard.writeText(textarea.value).then(() => showToast('Records request copied')).catch(() => {
+      textarea.select();
+      document.execCommand('copy');
+      showToast('Records request copied');
+    });
+  });
+  const letter = () => ({ text: textarea.value, title: 'Subject Access Request', name: 'records-request' });
+  sarContainer.querySelector('#sar-letter-pdf').addEventListener('click', () => handleDownloadLetter('pdf', letter()));
+  sarContainer.querySelector('#sar-letter-docx').addEventListener('click', () => handleDownloadLetter('docx', letter()));
+  sarContainer.querySelector('#sar-letter-sent').addEventListener('click', () => {
+    const date = sarContainer.querySelector('#sar-sent-date').value;
+    if (!date) {
+      showToast('Please enter the date you sent it.');
+      return;
+    }
+    recordSubjectAccess('records_requested', `Asked ${extractedFacts.publicBody} for my records`, date, 'Subject access request under UK GDPR Article 15');
+  });
+}
+
+function recordSubjectAccess(type, title, date = toIsoDate(new Date()), notes = '') {
+  addDiaryEntry({ date, type, title, notes, stepIndex: null });
+  renderNextStepsPanel();
+  const request = trackSubjectAccessRequest(getDiaryEntries());
+  if (type !== 'records_received' && request) showToast(`Added to your diary — your records are due by ${formatDate(fromIsoDate(request.due))}`);
+  else showToast('Added to your diary');
+}
+
 // ── Email ──
 
 async function handleSendEmail(toEmail) {
@@ -1825,6 +2958,531 @@ async function handleSendEmail(toEmail) {
   }
 }
 
+// ── Ombudsman Form ──
+
+const ELIGIBILITY_LABELS = { pass: 'OK', fail: 'Problem', check: 'Check' };
+const LEGAL_ACTION_OPTIONS = { unknown: 'Choose an answer', none: 'No', planned: 'I am thinking about it', underway: 'Yes, it has started' };
+
+// The main complaint's ombudsman step and form, with what the form is answered from
+function getOmbudsmanContext() {
+  const route = pathwayRoutes?.[0];
+  if (!route?.stages || !extractedFacts) return null;
+  const stepIndex = findOmbudsmanStep(route.pathway);
+  if (stepIndex < 0) return null;
+  return {
+    form: OMBUDSMAN_FORMS[route.pathway.steps[stepIndex].ombudsman],
+    context: { facts: extractedFacts, pathway: route.pathway, stages: route.stages, stepIndex, mp: resolvedMP }
+  };
+}
+
+function showOmbudsmanAssistant() {
+  if (!getOmbudsmanContext()) return;
+  landing.classList.add('hidden');
+  chatContainer.classList.remove('active');
+  letterContainer.classList.remove('active');
+  if (diaryContainer) diaryContainer.classList.remove('active');
+  if (bundleContainer) bundleContainer.classList.remove('active');
+  if (chronologyContainer) chronologyContainer.classList.remove('active');
+  ombudsmanContainer.classList.add('active');
+  renderOmbudsmanAssistant();
+}
+
+function handleOmbudsmanBack() {
+  if (sessionStatus === 'letter') {
+    showLetter();
+  } else {
+    showChat();
+  }
+}
+
+/**
+ * The eligibility checks, an answer for each question on the ombudsman's form with its
+ * character count, and what to attach. Answers taken from the facts are filled in straight
+ * away; the rest are written when the person asks.
+ */
+function renderOmbudsmanAssistant() {
+  const content = $('#ombudsman-content');
+  const found = getOmbudsmanContext();
+  if (!content || !found) return;
+  const { form, context } = found;
+
+  $('.ombudsman-header__title').textContent = form.name;
+
+  const checks = checkOmbudsmanEligibility(form, context);
+  const { written, filled } = splitFormFields(form, context);
+  const answers = { ...filled, ...(ombudsmanAnswers || {}) };
+  const hasWritten = written.some(field => answers[field.id]);
+
+  content.innerHTML = `
+    <section class="ombudsman-section">
+      <h2 class="ombudsman-section__title">Can you apply?</h2>
+      <ul class="ombudsman-checks">
+        ${checks.map(check => `
+          <li class="ombudsman-check ombudsman-check--${check.status}">
+            <span class="ombudsman-check__status">${ELIGIBILITY_LABELS[check.status]}</span>
+            <span class="ombudsman-check__text">${escapeHtml(check.message)}</span>
+          </li>
+        `).join('')}
+      </ul>
+      <div class="diary-form__field">
+        <label class="diary-form__label" for="ombudsman-legal">Have you taken legal action about this?</label>
+        <select id="ombudsman-legal" class="diary-form__input">
+          ${Object.entries(LEGAL_ACTION_OPTIONS).map(([value, label]) => `<option value="${value}" ${value === (extractedFacts.legalActionStatus || 'unknown') ? 'selected' : ''}>${label}</option>`).join('')}
+        </select>
+      </div>
+    </section>
+
+    <section class="ombudsman-section">
+      <h2 class="ombudsman-section__title">Your answers</h2>
+      <p class="ombudsman-section__text">Copy each answer into the matching question on the <a href="${escapeHtml(form.portalUrl)}" target="_blank" rel="noopener noreferrer">${escapeHtml(form.name)} online form</a>. Read them through and change anything that is not right before you send it. The questions and character limits here are a guide and the form may have changed, so check each answer fits when you paste it in.</p>
+      <button class="btn btn--primary btn--sm" id="ombudsman-prepare">${hasWritten ? 'Write my answers again' : 'Write my answers'}</button>
+      ${form.fields.map(field => {
+        const value = answers[field.id] || '';
+        return `
+          <div class="ombudsman-field" data-field="${field.id}">
+            <label class="diary-form__label" for="ombudsman-field-${field.id}">${escapeHtml(field.label)}</label>
+            <textarea id="ombudsman-field-${field.id}" class="diary-form__input diary-form__textarea ombudsman-field__input" rows="${field.maxLength > 300 ? 5 : 1}" placeholder="${field.fill ? '' : 'Press "Write my answers" to fill this in'}">${escapeHtml(value)}</textarea>
+            <div class="ombudsman-field__footer">
+              <span class="ombudsman-field__count ${value.length > field.maxLength ? 'ombudsman-field__count--over' : ''}">${value.length} / ${field.maxLength} characters</span>
+              <button class="btn btn--outline btn--sm ombudsman-field__copy">Copy</button>
+            </div>
+          </div>
+        `;
+      }).join('')}
+    </section>
+
+    <section class="ombudsman-section">
+      <h2 class="ombudsman-section__title">What to attach</h2>
+      <ul class="ombudsman-attachments">
+        ${listOmbudsmanAttachments(form, context).map(item => `<li>${escapeHtml(item)}</li>`).join('')}
+      </ul>
+      <button class="btn btn--outline btn--sm" id="ombudsman-bundle">Put them in an evidence bundle</button>
+    </section>
+  `;
+
+  content.querySelector('#ombudsman-legal').addEventListener('change', (e) => {
+    extractedFacts.legalActionStatus = e.target.value;
+    saveSession();
+    renderOmbudsmanAssistant();
+  });
+
+  content.querySelector('#ombudsman-prepare').addEventListener('click', handlePrepareOmbudsmanAnswers);
+  content.querySelector('#ombudsman-bundle').addEventListener('click', showEvidenceBundle);
+
+  content.querySelectorAll('.ombudsman-field').forEach(el => {
+    const field = form.fields.find(f => f.id === el.dataset.field);
+    const input = el.querySelector('textarea');
+    const count = el.querySelector('.ombudsman-field__count');
+    input.addEventListener('input', () => {
+      count.textContent = `${input.value.length} / ${field.maxLength} characters`;
+      count.classList.toggle('ombudsman-field__count--over', input.value.length > field.maxLength);
+    });
+    input.addEventListener('change', () => {
+      ombudsmanAnswers = { ...(ombudsmanAnswers || {}), [field.id]: input.value };
+      saveSession();
+    });
+    el.querySelector('.ombudsman-field__copy').addEventListener('click', () => {
+      navigator.clipboard.writeText(input.value).then(() => showToast('Answer copied')).catch(() => {
+        input.select();
+        document.execCommand('copy');
+        showToast('Answer copied');
+      });
+    });
+  });
+}
+
+async function handlePrepareOmbudsmanAnswers() {
+  const found = getOmbudsmanContext();
+  if (!found) return;
+  const { form, context } = found;
+  const btn = $('#ombudsman-prepare');
+  btn.disabled = true;
+  btn.textContent = 'Writing...';
+
+  // What the body's latest checked reply missed
+  const checked = getDiaryEntries().filter(e => e.analysis).sort((a, b) => (b.date || '').localeCompare(a.date || ''))[0];
+  const prompt = buildOmbudsmanPrompt(form, context, {
+    letterText: sessionStatus === 'letter' ? $('#letter-textarea').value : '',
+    gaps: checked ? findResponseGaps(checked.analysis) : [],
+    chronology: formatChronology(currentChronology())
+  });
+
+  try {
+    const { answers } = parseOmbudsmanAnswers(await generateOnce(OMBUDSMAN_SYSTEM_PROMPT, prompt), form);
+    if (!answers) {
+      throw new Error('The answers did not come back in the expected form. Please try again.');
+    }
+
+    // Written answers replace earlier ones; answers from the facts the person edited are kept
+    const kept = Object.fromEntries(Object.entries(ombudsmanAnswers || {}).filter(([id]) => form.fields.find(f => f.id === id)?.fill));
+    let trimmed = 0;
+    for (const field of form.fields.filter(f => !f.fill)) {
+      const fitted = fitToLimit(answers[field.id], field.maxLength);
+      kept[field.id] = fitted.text;
+      if (fitted.trimmed) trimmed++;
+    }
+    ombudsmanAnswers = kept;
+    saveSession();
+    renderOmbudsmanAssistant();
+    if (trimmed) showToast(`${trimmed === 1 ? 'One answer was' : `${trimmed} answers were`} cut to fit the form. Check the ending still makes sense.`);
+  } catch (err) {
+    showToast(`Could not write the answers: ${err.message}`);
+    btn.disabled = false;
+    btn.textContent = 'Write my answers';
+  }
+}
+
+// ── Chronology ──
+
+// The chronology brought up to date with the facts and diary, without removed events
+function currentChronology() {
+  if (!extractedFacts) return [];
+  chronology = syncChronology(chronology, {
+    facts: extractedFacts,
+    diary: getDiaryEntries(),
+    reference: conversationDate ? fromIsoDate(conversationDate) : new Date()
+  });
+  return activeEvents(chronology);
+}
+
+/**
+ * Have the AI read the intake conversation for dated events, replacing those it found before.
+ *
+ * @returns {Promise<number|null>} How many events it found, or null if there is no conversation to read
+ */
+async function findConversationEvents() {
+  if (!extractedFacts || !conversationHistory.some(m => m.role === 'user')) return null;
+  const forSession = sessionId;
+  const prompt = buildChronologyPrompt(extractedFacts, redactHistory(conversationHistory), conversationDate || toIsoDate(new Date()));
+  const { events } = parseChronologyEvents(await generateOnce(CHRONOLOGY_SYSTEM_PROMPT, prompt));
+  if (!events) {
+    throw new Error('The events did not come back in the expected form. Please try again.');
+  }
+
+  // The person may have moved on to another complaint while this was running
+  if (sessionId !== forSession) return null;
+  chronology = mergeConversationEvents(chronology, events);
+  currentChronology();
+  saveSession();
+  if (chronologyContainer?.classList.contains('active')) renderChronology();
+  return events.length;
+}
+
+function showChronology(returnTo = null) {
+  if (!extractedFacts) return;
+  chronologyReturn = returnTo;
+  landing.classList.add('hidden');
+  chatContainer.classList.remove('active');
+  letterContainer.classList.remove('active');
+  if (diaryContainer) diaryContainer.classList.remove('active');
+  if (ombudsmanContainer) ombudsmanContainer.classList.remove('active');
+  if (bundleContainer) bundleContainer.classList.remove('active');
+  chronologyContainer.classList.add('active');
+  renderChronology();
+}
+
+function handleChronologyBack() {
+  if (chronologyReturn === 'bundle') {
+    showEvidenceBundle();
+  } else if (sessionStatus === 'letter') {
+    showLetter();
+  } else {
+    showChat();
+  }
+}
+
+/**
+ * Each event with its date, who and what to edit, and where it came from. Changes are saved
+ * as they are made and kept when the diary or documents change; events are put back in date
+ * order when a date changes.
+ */
+function renderChronology() {
+  const content = $('#chronology-content');
+  if (!content || !extractedFacts) return;
+  currentChronology();
+  const shown = chronology.filter(e => !e.removed);
+  const canRead = conversationHistory.some(m => m.role === 'user');
+
+  content.innerHTML = `
+    <section class="chronology-section">
+      <p class="chronology-section__text">What happened in your complaint, oldest first. Check each event and correct anything that is wrong — your changes are kept when you add to your diary or upload documents. Use dates like "5 March 2026" where you know them.</p>
+      ${shown.length ? '' : '<p class="chronology-section__text">There are no events yet.</p>'}
+      <ol class="chronology-events">
+        ${shown.map(event => `
+          <li class="chronology-event" data-id="${event.id}">
+            <div class="chronology-event__fields">
+              <input type="text" class="diary-form__input chronology-event__date" aria-label="Date" placeholder="Date" value="${escapeHtml(event.date || '')}">
+              <input type="text" class="diary-form__input chronology-event__actor" aria-label="Who" placeholder="Who" value="${escapeHtml(event.actor || '')}">
+              <textarea class="diary-form__input diary-form__textarea chronology-event__what" aria-label="What happened" rows="2" placeholder="What happened">${escapeHtml(event.what)}</textarea>
+            </div>
+            <div class="chronology-event__footer">
+              <span class="chronology-event__source">${escapeHtml(sourceLabel(event))}${event.date && displayDate(event.date) !== event.date ? ` · ${escapeHtml(displayDate(event.date))}` : ''}${event.edited && event.source !== 'added' ? ' · edited' : ''}</span>
+              <button class="btn btn--outline btn--sm chronology-event__remove" aria-label="Remove this event">Remove</button>
+            </div>
+          </li>
+        `).join('')}
+      </ol>
+      <div class="chronology-actions">
+        <button class="btn btn--outline btn--sm" id="chronology-add">Add an event</button>
+        ${canRead ? '<button class="btn btn--outline btn--sm" id="chronology-read">Find events in our conversation again</button>' : ''}
+      </div>
+    </section>
+  `;
+
+  content.querySelectorAll('.chronology-event').forEach(el => {
+    const event = chronology.find(e => e.id === el.dataset.id);
+    const edit = (field, value, resort = false) => {
+      event[field] = value;
+      event.edited = true;
+      saveSession();
+      if (resort) renderChronology();
+    };
+    el.querySelector('.chronology-event__date').addEventListener('change', (e) => edit('date', e.target.value.trim(), true));
+    el.querySelector('.chronology-event__actor').addEventListener('change', (e) => edit('actor', e.target.value.trim() || null));
+    el.querySelector('.chronology-event__what').addEventListener('change', (e) => edit('what', e.target.value.trim()));
+    el.querySelector('.chronology-event__remove').addEventListener('click', () => {
+      // Removed events from a source are kept, hidden, so they are not added back
+      chronology = event.source === 'added' ? chronology.filter(e => e !== event) : chronology.map(e => e === event ? { ...e, removed: true } : e);
+      saveSession();
+      renderChronology();
+    });
+  });
+
+  content.querySelector('#chronology-add').addEventListener('click', () => {
+    chronology.push({ id: crypto.randomUUID(), date: '', actor: null, what: '', source: 'added', sourceRef: null, edited: true });
+    renderChronology();
+    [...content.querySelectorAll('.chronology-event__date')].pop()?.focus();
+  });
+
+  content.querySelector('#chronology-read')?.addEventListener('click', async (e) => {
+    const btn = e.target;
+    btn.disabled = true;
+    btn.textContent = 'Reading...';
+    try {
+      const found = await findConversationEvents();
+      showToast(found ? `Found ${found === 1 ? 'one event' : `${found} events`} in our conversation` : 'No dated events were found in our conversation');
+    } catch (err) {
+      showToast(`Could not read the conversation: ${err.message}`);
+      btn.disabled = false;
+      btn.textContent = 'Find events in our conversation again';
+    }
+  });
+}
+
+async function handleDownloadChronology(format) {
+  const events = chronologyRows(currentChronology());
+  if (events.length === 0) {
+    showToast('There are no events to download yet.');
+    return;
+  }
+
+  try {
+    const response = await fetch(`/api/generate-chronology-${format}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ publicBody: extractedFacts.publicBody, events })
+    });
+
+    if (!response.ok) {
+      const data = await response.json().catch(() => ({}));
+      showToast(data.error || `Failed to generate ${format.toUpperCase()}.`);
+      return;
+    }
+
+    const blob = await response.blob();
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `chronology-${new Date().toISOString().slice(0, 10)}.${format}`;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+    showToast(`${format.toUpperCase()} downloaded`);
+  } catch (err) {
+    showToast(`Failed to download ${format.toUpperCase()}.`);
+  }
+}
+
+// ── Evidence Bundle ──
+
+function showEvidenceBundle() {
+  if (!extractedFacts) return;
+  landing.classList.add('hidden');
+  chatContainer.classList.remove('active');
+  letterContainer.classList.remove('active');
+  if (diaryContainer) diaryContainer.classList.remove('active');
+  if (ombudsmanContainer) ombudsmanContainer.classList.remove('active');
+  if (chronologyContainer) chronologyContainer.classList.remove('active');
+  bundleContainer.classList.add('active');
+  renderEvidenceBundle();
+}
+
+function handleBundleBack() {
+  if (sessionStatus === 'letter') {
+    showLetter();
+  } else {
+    showChat();
+  }
+}
+
+// The letter as it stands in the editor is offered first, and kept up to date with it
+function syncBundleLetter() {
+  const letterText = $('#letter-textarea')?.value.trim() || '';
+  const existing = bundleDocuments.find(d => d.id === 'letter');
+  if (existing) {
+    existing.text = letterText;
+  } else if (letterText) {
+    bundleDocuments.unshift({ id: 'letter', title: `Complaint to ${extractedFacts.publicBody}`, kind: 'letter', date: null, text: letterText, include: true });
+  }
+}
+
+/**
+ * What will go in the bundle: the chronology, and each document with a checkbox and its
+ * title, kind and date to edit. Documents are not saved, so after resuming a complaint they
+ * need adding again.
+ */
+function renderEvidenceBundle() {
+  const content = $('#bundle-content');
+  if (!content || !extractedFacts) return;
+  syncBundleLetter();
+
+  const events = chronologyRows(currentChronology());
+  const documents = bundleDocuments.filter(d => d.text);
+
+  content.innerHTML = `
+    <section class="bundle-section">
+      <h2 class="bundle-section__title">Chronology</h2>
+      <p class="bundle-section__text">${events.length
+        ? `${events.length === 1 ? 'One dated event' : `${events.length} dated events`} from what you told us, your documents and your complaint diary, oldest first.`
+        : 'There are no dated events yet. Add them to the chronology or your complaint diary and they will appear here.'}</p>
+      <ul class="bundle-items">
+        ${events.map(event => `
+          <li class="bundle-item">
+            <div class="bundle-item__body">
+              <div class="bundle-item__label">${escapeHtml(event.date)}${event.actor ? ` — ${escapeHtml(event.actor)}` : ''}</div>
+              <div>${escapeHtml(event.what)}</div>
+              <div class="bundle-item__meta">${escapeHtml(event.source)}</div>
+            </div>
+          </li>
+        `).join('')}
+      </ul>
+      <div class="bundle-actions">
+        <button class="btn btn--outline btn--sm" id="bundle-edit-chronology">Edit the chronology</button>
+      </div>
+    </section>
+
+    <section class="bundle-section">
+      <h2 class="bundle-section__title">Documents</h2>
+      <p class="bundle-section__text">Each document you tick goes behind its own numbered tab, with your complaint first and the rest in date order. Documents are shown as text. NHS and National Insurance numbers are hidden in documents you upload, but not in your complaint letter. Documents are only kept while this page is open.</p>
+      <ul class="bundle-items">
+        ${documents.map(doc => `
+          <li class="bundle-item" data-id="${doc.id}">
+            <input type="checkbox" class="bundle-item__include" aria-label="Include ${escapeHtml(doc.title)}" ${doc.include ? 'checked' : ''}>
+            <div class="bundle-item__body">
+              <div class="bundle-item__meta">${doc.text.length.toLocaleString('en-GB')} characters</div>
+              <div class="bundle-item__fields">
+                <input type="text" class="diary-form__input bundle-item__title" aria-label="Title" value="${escapeHtml(doc.title)}">
+                <select class="diary-form__input bundle-item__kind" aria-label="Kind of document">
+                  ${Object.entries(BUNDLE_DOCUMENT_KINDS).map(([value, label]) => `<option value="${value}" ${value === doc.kind ? 'selected' : ''}>${label}</option>`).join('')}
+                </select>
+                <input type="text" class="diary-form__input bundle-item__date" aria-label="Date" placeholder="Date" value="${escapeHtml(doc.date || '')}">
+              </div>
+            </div>
+          </li>
+        `).join('')}
+      </ul>
+      <input type="file" id="bundle-file" class="hidden" accept="${DOCUMENT_ACCEPT}" multiple>
+      <div class="bundle-actions">
+        <button class="btn btn--outline btn--sm" id="bundle-add">Add documents</button>
+      </div>
+    </section>
+
+    <section class="bundle-section">
+      <div class="bundle-actions">
+        <button class="btn btn--primary" id="bundle-download">Download evidence bundle (PDF)</button>
+      </div>
+    </section>
+  `;
+
+  content.querySelectorAll('.bundle-item[data-id]').forEach(el => {
+    const doc = bundleDocuments.find(d => d.id === el.dataset.id);
+    el.querySelector('.bundle-item__include').addEventListener('change', (e) => { doc.include = e.target.checked; });
+    el.querySelector('.bundle-item__title').addEventListener('change', (e) => { doc.title = e.target.value; });
+    el.querySelector('.bundle-item__kind').addEventListener('change', (e) => { doc.kind = e.target.value; });
+    el.querySelector('.bundle-item__date').addEventListener('change', (e) => { doc.date = e.target.value.trim() || null; });
+  });
+
+  const fileInput = content.querySelector('#bundle-file');
+  content.querySelector('#bundle-add').addEventListener('click', () => fileInput.click());
+  fileInput.addEventListener('change', () => handleAddBundleDocuments([...fileInput.files]));
+  content.querySelector('#bundle-edit-chronology').addEventListener('click', () => showChronology('bundle'));
+  content.querySelector('#bundle-download').addEventListener('click', () => handleDownloadBundle(events));
+}
+
+async function handleAddBundleDocuments(files) {
+  const btn = $('#bundle-add');
+  btn.disabled = true;
+  btn.textContent = 'Reading...';
+  for (const file of files) {
+    try {
+      const { text } = await extractDocument(file);
+      bundleDocuments.push({ id: crypto.randomUUID(), title: file.name, kind: 'evidence', date: null, text, include: true });
+    } catch (err) {
+      showToast(`Could not read ${file.name}: ${err.message}`);
+    }
+  }
+  renderEvidenceBundle();
+}
+
+async function handleDownloadBundle(events) {
+  const route = pathwayRoutes?.[0];
+  const ombudsmanStep = route ? findOmbudsmanStep(route.pathway) : -1;
+  const bundle = buildBundle({
+    facts: extractedFacts,
+    chronology: events,
+    documents: bundleDocuments,
+    preparedFor: ombudsmanStep >= 0 ? OMBUDSMAN_FORMS[route.pathway.steps[ombudsmanStep].ombudsman].name : null
+  });
+  if (bundle.chronology.length === 0 && bundle.documents.length === 0) {
+    showToast('Add some documents or diary entries first.');
+    return;
+  }
+
+  const btn = $('#bundle-download');
+  btn.disabled = true;
+  btn.textContent = 'Making your bundle...';
+  try {
+    const response = await fetch('/api/generate-bundle', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(bundle)
+    });
+
+    if (!response.ok) {
+      const data = await response.json().catch(() => ({}));
+      showToast(data.error || 'Failed to make the evidence bundle.');
+      return;
+    }
+
+    const blob = await response.blob();
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `evidence-bundle-${new Date().toISOString().slice(0, 10)}.pdf`;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+    showToast('Evidence bundle downloaded');
+  } catch (err) {
+    showToast('Failed to download the evidence bundle.');
+  } finally {
+    btn.disabled = false;
+    btn.textContent = 'Download evidence bundle (PDF)';
+  }
+}
+
 // ── Letter Actions ──
 
 function handleBackToChat() {
@@ -1842,8 +3500,15 @@ function handleCopyLetter() {
   });
 }
 
-async function handleDownloadLetter(format) {
-  const letterText = $('#letter-textarea').value;
+/**
+ * @param {'pdf'|'docx'} format
+ * @param {object} [letter] - Another letter than the complaint in the letter view
+ * @param {string} [letter.text]
+ * @param {string} [letter.title] - Heading on the document
+ * @param {string} [letter.name] - Start of the file name
+ */
+async function handleDownloadLetter(format, { text, title, name = 'complaint-letter' } = {}) {
+  const letterText = text ?? $('#letter-textarea').value;
   if (!letterText) {
     showToast('No complaint text to download.');
     return;
@@ -1856,7 +3521,7 @@ async function handleDownloadLetter(format) {
     const response = await fetch(endpoint, {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ letterText })
+      body: JSON.stringify({ letterText, title })
     });
 
     if (!response.ok) {
@@ -1869,7 +3534,7 @@ async function handleDownloadLetter(format) {
     const url = URL.createObjectURL(blob);
     const a = document.createElement('a');
     a.href = url;
-    a.download = `complaint-letter-${new Date().toISOString().slice(0, 10)}.${ext}`;
+    a.download = `${name}-${new Date().toISOString().slice(0, 10)}.${ext}`;
     document.body.appendChild(a);
     a.click();
     document.body.removeChild(a);
@@ -1880,19 +3545,142 @@ async function handleDownloadLetter(format) {
   }
 }
 
+// ── Upcoming Dates ──
+
+/**
+ * Dates still to come for each body: when to complain by and, once a step has been sent, when
+ * its acknowledgment and reply are due, and when an ombudsman will step in. Built from the diary
+ * each time, so a diary change moves them.
+ *
+ * @param {object} facts
+ * @param {import('./router.js').RankedRoute[]} routes
+ * @param {string} nation
+ * @param {string|null} factsDate - YYYY-MM-DD the facts were given
+ * @param {object[]} diary - Complaint diary entries, for a subject access request's dates
+ * @returns {import('./reminders.js').UpcomingDate[]}
+ */
+function getUpcomingDates(facts, routes, nation, factsDate, diary) {
+  const today = toIsoDate(new Date());
+  const dates = [];
+  const add = (key, kind, date, body, summary, description) => {
+    if (date && toIsoDate(date) >= today) dates.push({ key, kind, date, body, summary, description });
+  };
+
+  routes.forEach((route, i) => {
+    const stages = route.stages;
+    const step = stages?.steps[stages.currentIndex];
+    const sentOn = step?.submitted ? fromIsoDate(step.submitted) : undefined;
+    const deadlines = calculateDeadlines(factsForRoute(route, facts), route.pathway, sentOn, nation, factsDate);
+    if (!deadlines) return;
+
+    const body = route.publicBody || route.pathway.title;
+    if (!sentOn) {
+      add(`${i}-submit`, 'submit', deadlines.submitExpired ? null : deadlines.submitBy, body, `Last day to complain to ${body}`,
+        `Time limit: ${route.pathway.timeLimit}.${deadlines.eventDates ? ' Counted from the earliest date it could have started, to be safe.' : ''}`);
+      return;
+    }
+
+    const stepName = route.pathway.steps[stages.currentIndex].name;
+    const key = `${i}-${stages.currentIndex}`;
+    if (step.status === 'submitted') {
+      add(`${key}-acknowledgment`, 'acknowledgment', deadlines.acknowledgmentBy, body, `${body} should acknowledge your complaint`,
+        `${stepName}: sent ${formatDate(sentOn)}. If nothing has arrived, contact them and note it in your complaint diary.`);
+    }
+    if (['submitted', 'acknowledged'].includes(step.status)) {
+      // Only a reply date set by a complaints code lets the person escalate once it has passed
+      add(`${key}-response`, 'response', deadlines.responseBy, body, `${body} should reply to your complaint`,
+        `${stepName}: sent ${formatDate(sentOn)}. ${deadlines.deadlineSource
+          ? 'If they have not replied, you can escalate.'
+          : 'This is when a reply can usually be expected. If they have not replied, contact them to ask when they will.'}`);
+      add(`${key}-extended-response`, 'extended_response', deadlines.extendedResponseBy, body, `Latest reply from ${body} if they extend`,
+        `${stepName}: the latest they can reply if they wrote to say they needed longer.`);
+    }
+  });
+
+  const main = routes[0];
+  const notices = main?.stages ? findEscalationNotices(main.pathway, main.stages) : [];
+  for (const notice of notices) {
+    if (notice.kind !== 'escalate_later' || notice.basis !== 'time_elapsed') continue;
+    const to = main.pathway.steps[notice.to].name;
+    add(`0-escalate-${notice.to}`, 'escalate', fromIsoDate(notice.date), to, `You can take your complaint to ${to}`, notice.message);
+  }
+
+  const request = trackSubjectAccessRequest(diary);
+  if (request && !request.received) {
+    const body = facts.publicBody;
+    add(`records-${request.requested}`, 'records', fromIsoDate(request.due), body, `${body} should send your records`,
+      `Subject access request sent ${formatDate(fromIsoDate(request.requested))}. ${request.extended ? 'They said they needed more time.' : 'They can only take longer if they tell you before this date.'}`);
+    add(`records-${request.requested}-ico`, 'ico', fromIsoDate(request.icoFrom), body, 'You can complain to the ICO about your records',
+      `If ${body} has not sent your records, you can complain to the Information Commissioner's Office: ${ICO_COMPLAINT_URL}`);
+  }
+
+  return dates.sort((a, b) => a.date - b.date);
+}
+
+/**
+ * Upcoming dates for a saved complaint, routed again with its diary so they are up to date.
+ *
+ * @param {object} session - A saved session
+ * @returns {import('./reminders.js').UpcomingDate[]}
+ */
+function getSavedComplaintDates(session) {
+  const facts = session.extractedFacts;
+  if (!facts || !session.pathwayRoutes) return [];
+
+  const nation = nationFor(session);
+  const { routes } = getPathways(facts, nation, {}, getDiaryEntries(session.id));
+  const factsDate = session.conversationDate || session.createdAt?.slice(0, 10) || null;
+  return getUpcomingDates(facts, routes, nation, factsDate, getDiaryEntries(session.id)).map(date => ({ ...date, sessionId: session.id }));
+}
+
+// ── Calendar Export ──
+
+function handleDownloadCalendar() {
+  if (!pathwayRoutes || !extractedFacts) return;
+
+  const events = getUpcomingDates(extractedFacts, pathwayRoutes, getNation(), conversationDate, getDiaryEntries()).map(date => ({
+    uid: `${sessionId}-${date.key}@complaints-navigator`,
+    date: date.date,
+    summary: date.summary,
+    description: date.description,
+    alarms: date.kind === 'submit' ? DEADLINE_ALARMS : EXPECTED_ALARMS
+  }));
+  if (events.length === 0) {
+    showToast('No upcoming dates to add to your calendar.');
+    return;
+  }
+
+  const name = `Complaint: ${pathwayRoutes[0].publicBody || pathwayRoutes[0].pathway.title}`;
+  const blob = new Blob([buildCalendar(events, name)], { type: 'text/calendar;charset=utf-8' });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = `complaint-dates-${toIsoDate(new Date())}.ics`;
+  document.body.appendChild(a);
+  a.click();
+  document.body.removeChild(a);
+  URL.revokeObjectURL(url);
+  showToast(`${events.length} ${events.length === 1 ? 'date' : 'dates'} added to calendar file`);
+}
+
 function handleBackToLanding() {
   showLanding();
 }
 
 // ── Complaint Diary ──
 
-function getDiaryKey() {
-  return `complaint_diary_${sessionId || 'default'}`;
+const DIARY_TYPE_LABELS = {
+  sent: 'Sent', acknowledgment: 'Acknowledged', received: 'Received', phone: 'Phone call', meeting: 'Meeting', other: 'Other',
+  records_requested: 'Records requested', records_extended: 'More time for records', records_received: 'Records received'
+};
+
+function getDiaryKey(id = sessionId) {
+  return `complaint_diary_${id || 'default'}`;
 }
 
-function getDiaryEntries() {
+function getDiaryEntries(id = sessionId) {
   try {
-    return JSON.parse(localStorage.getItem(getDiaryKey())) || [];
+    return JSON.parse(localStorage.getItem(getDiaryKey(id))) || [];
   } catch {
     return [];
   }
@@ -1904,14 +3692,26 @@ function saveDiaryEntries(entries) {
 
 function addDiaryEntry(entry) {
   const entries = getDiaryEntries();
-  entries.unshift({ ...entry, id: crypto.randomUUID(), createdAt: new Date().toISOString() });
+  const added = { ...entry, id: crypto.randomUUID(), createdAt: new Date().toISOString() };
+  entries.unshift(added);
   saveDiaryEntries(entries);
+  refreshRoutes();
+  saveSession();
+  renderDiaryEntries();
+  return added;
+}
+
+function updateDiaryEntry(id, changes) {
+  saveDiaryEntries(getDiaryEntries().map(e => e.id === id ? { ...e, ...changes } : e));
+  saveSession();
   renderDiaryEntries();
 }
 
 function deleteDiaryEntry(id) {
   const entries = getDiaryEntries().filter(e => e.id !== id);
   saveDiaryEntries(entries);
+  refreshRoutes();
+  saveSession();
   renderDiaryEntries();
 }
 
@@ -1930,17 +3730,19 @@ function renderDiaryEntries() {
 
   emptyEl.classList.add('hidden');
 
-  const typeLabels = { sent: 'Sent', received: 'Received', phone: 'Phone call', meeting: 'Meeting', other: 'Other' };
+  const steps = pathwayRoutes?.[0].pathway.steps || [];
 
   entriesEl.innerHTML = entries.map(entry => `
     <div class="diary-entry" data-id="${entry.id}">
       <div class="diary-entry__header">
-        <span class="diary-entry__type diary-entry__type--${entry.type || 'other'}">${typeLabels[entry.type] || 'Other'}</span>
+        <span class="diary-entry__type diary-entry__type--${entry.type || 'other'}">${DIARY_TYPE_LABELS[entry.type] || 'Other'}</span>
         <span class="diary-entry__date">${entry.date ? new Date(entry.date + 'T00:00:00').toLocaleDateString('en-GB', { day: 'numeric', month: 'short', year: 'numeric' }) : ''}</span>
         <button class="diary-entry__delete" aria-label="Delete entry" title="Delete">&times;</button>
       </div>
       <div class="diary-entry__title">${escapeHtml(entry.title || '')}</div>
+      ${steps[entry.stepIndex] ? `<div class="diary-entry__stage">${escapeHtml(steps[entry.stepIndex].name)}${entry.finalResponse ? ' — final response' : ''}</div>` : ''}
       ${entry.notes ? `<div class="diary-entry__notes">${escapeHtml(entry.notes)}</div>` : ''}
+      ${entry.analysis ? renderReplyAnalysis(entry) : ''}
     </div>
   `).join('');
 
@@ -1951,6 +3753,13 @@ function renderDiaryEntries() {
       deleteDiaryEntry(id);
     });
   });
+
+  entriesEl.querySelectorAll('.diary-entry__reply-action').forEach(btn => {
+    btn.addEventListener('click', () => {
+      const entry = entries.find(e => e.id === btn.closest('.diary-entry').dataset.id);
+      handleReplyAction(entry, btn.dataset.action);
+    });
+  });
 }
 
 function showDiaryForm() {
@@ -1962,6 +3771,18 @@ function showDiaryForm() {
 
   const today = new Date().toISOString().slice(0, 10);
 
+  // Entries linked to a step of the main pathway update how far the complaint has got
+  const stages = pathwayRoutes?.[0].stages;
+  const stepField = stages ? `
+    <div class="diary-form__field" id="diary-step-field">
+      <label class="diary-form__label" for="diary-step">Complaint stage</label>
+      <select id="diary-step" class="diary-form__input">
+        ${pathwayRoutes[0].pathway.steps.map((step, i) => `<option value="${i}" ${i === stages.currentIndex ? 'selected' : ''}>${escapeHtml(step.name)}</option>`).join('')}
+        <option value="">Not about a particular stage</option>
+      </select>
+    </div>
+  ` : '';
+
   const form = document.createElement('div');
   form.className = 'diary-form';
   form.innerHTML = `
@@ -1973,12 +3794,21 @@ function showDiaryForm() {
       <label class="diary-form__label" for="diary-type">Type</label>
       <select id="diary-type" class="diary-form__input">
         <option value="sent">Sent complaint/letter</option>
+        <option value="acknowledgment">Received acknowledgment</option>
         <option value="received">Received response</option>
         <option value="phone">Phone call</option>
         <option value="meeting">Meeting</option>
         <option value="other">Other</option>
+        <option value="records_requested">Asked for my records (subject access request)</option>
+        <option value="records_extended">Told they need more time to send my records</option>
+        <option value="records_received">Received my records</option>
       </select>
     </div>
+    ${stepField}
+    <div class="diary-form__field diary-form__field--check hidden" id="diary-final-field">
+      <input type="checkbox" id="diary-final">
+      <label class="diary-form__label" for="diary-final">This is their final response (it says so, or tells you that you can go to the ombudsman)</label>
+    </div>
     <div class="diary-form__field">
       <label class="diary-form__label" for="diary-title">Title</label>
       <input type="text" id="diary-title" class="diary-form__input" placeholder="Brief description">
@@ -1995,17 +3825,28 @@ function showDiaryForm() {
 
   entriesEl.prepend(form);
 
+  const typeSelect = form.querySelector('#diary-type');
+  // A records request runs alongside the complaint rather than at one of its stages
+  const isRecords = () => typeSelect.value.startsWith('records_');
+  typeSelect.addEventListener('change', () => {
+    form.querySelector('#diary-final-field').classList.toggle('hidden', typeSelect.value !== 'received');
+    form.querySelector('#diary-step-field')?.classList.toggle('hidden', isRecords());
+  });
+
   form.querySelector('#diary-save').addEventListener('click', () => {
     const title = form.querySelector('#diary-title').value.trim();
     if (!title) {
       showToast('Please enter a title.');
       return;
     }
+    const stepValue = form.querySelector('#diary-step')?.value ?? '';
     addDiaryEntry({
       date: form.querySelector('#diary-date').value,
-      type: form.querySelector('#diary-type').value,
+      type: typeSelect.value,
       title,
-      notes: form.querySelector('#diary-notes').value.trim()
+      notes: form.querySelector('#diary-notes').value.trim(),
+      stepIndex: stepValue === '' || isRecords() ? null : Number(stepValue),
+      finalResponse: typeSelect.value === 'received' && form.querySelector('#diary-final').checked
     });
     form.remove();
   });
@@ -2013,15 +3854,215 @@ function showDiaryForm() {
   form.querySelector('#diary-cancel').addEventListener('click', () => form.remove());
 }
 
+// ── Reply Checks ──
+
+const POINT_STATUS_LABELS = { answered: 'Answered', partly_answered: 'Partly answered', not_answered: 'Not answered' };
+const REPLY_ACTION_LABELS = { accept: 'Accept the reply', clarify: 'Ask them to clarify', escalate: 'Escalate' };
+
+// The checked reply under its diary entry: what it missed, point by point, and what to do next
+function renderReplyAnalysis(entry) {
+  const { analysis, recommendation } = entry;
+  const gaps = findResponseGaps(analysis);
+
+  let actions = '';
+  if (entry.decision === 'accept') {
+    actions = '<div class="diary-entry__decision">You accepted this reply.</div>';
+  } else if (recommendation) {
+    const buttons = RESPONSE_RECOMMENDATIONS
+      .filter(action => action !== 'escalate' || recommendation.action === 'escalate')
+      .map(action => `<button class="btn ${action === recommendation.action ? 'btn--primary' : 'btn--outline'} btn--sm diary-entry__reply-action" data-action="${action}">${REPLY_ACTION_LABELS[action]}</button>`)
+      .join('');
+    actions = `
+      <div class="diary-entry__recommendation diary-entry__recommendation--${recommendation.action}">
+        <strong>Suggested next step:</strong> ${escapeHtml(recommendation.message)}
+        ${analysis.reason ? `<div class="diary-entry__reason">${escapeHtml(analysis.reason)}</div>` : ''}
+      </div>
+      <div class="diary-entry__reply-actions">${buttons}</div>
+    `;
+  }
+
+  return `
+    <div class="diary-entry__analysis">
+      ${gaps.length ? `
+        <div class="diary-entry__analysis-label">What the reply did not deal with</div>
+        <ul class="diary-entry__gaps">${gaps.map(g => `<li>${escapeHtml(g)}</li>`).join('')}</ul>
+      ` : '<div class="diary-entry__analysis-label">The reply dealt with everything you asked.</div>'}
+      ${analysis.points.length ? `
+        <details class="diary-entry__points">
+          <summary>Point by point</summary>
+          <ul>${analysis.points.map(p => `
+            <li class="diary-entry__point diary-entry__point--${p.status}">
+              <span class="diary-entry__point-status">${POINT_STATUS_LABELS[p.status]}</span>
+              ${escapeHtml(p.point)}${p.comment ? ` — ${escapeHtml(p.comment)}` : ''}
+            </li>`).join('')}
+          </ul>
+        </details>
+      ` : ''}
+      ${actions}
+    </div>
+  `;
+}
+
+async function handleReplyAction(entry, action) {
+  if (!entry) return;
+  if (action === 'accept') {
+    updateDiaryEntry(entry.id, { decision: 'accept' });
+    showToast('Marked as accepted in your diary.');
+  } else if (action === 'clarify') {
+    await handleGenerateLetter('clarification', null, entry);
+  } else if (action === 'escalate') {
+    // Escalation follows the pathway's own rules, which the diary entry has just updated
+    const notices = getEscalationNotices();
+    const notice = notices.find(n => n.canEscalate && n.from === entry.stepIndex) || notices.find(n => n.canEscalate);
+    if (notice) {
+      await handleGenerateLetter('escalation', notice);
+    } else {
+      showToast(notices[0]?.message || 'You cannot escalate yet. Ask them to clarify their reply first.');
+    }
+  }
+}
+
+/**
+ * Paste or load a reply from the body, check it against the complaint, and log it in the
+ * diary with the result. Only the analysis is kept, not the reply itself.
+ */
+function showReplyForm() {
+  const entriesEl = $('#diary-entries');
+  if (!entriesEl || !extractedFacts || !pathwayRoutes) {
+    showToast('Finish your complaint first, then you can check the reply here.');
+    return;
+  }
+  if (entriesEl.querySelector('.diary-form')) return;
+
+  const today = new Date().toISOString().slice(0, 10);
+  const { pathway, publicBody, stages } = pathwayRoutes[0];
+  const replyStep = stages.reachedIndex >= 0 ? stages.reachedIndex : stages.currentIndex;
+
+  const form = document.createElement('div');
+  form.className = 'diary-form';
+  form.innerHTML = `
+    <div class="diary-form__title">Check a reply from ${escapeHtml(publicBody)}</div>
+    <div class="diary-form__field">
+      <label class="diary-form__label" for="reply-date">Date of the reply</label>
+      <input type="date" id="reply-date" class="diary-form__input" value="${today}">
+    </div>
+    <div class="diary-form__field">
+      <label class="diary-form__label" for="reply-step">Which stage it replies to</label>
+      <select id="reply-step" class="diary-form__input">
+        ${pathway.steps.map((step, i) => `<option value="${i}" ${i === replyStep ? 'selected' : ''}>${escapeHtml(step.name)}</option>`).join('')}
+      </select>
+    </div>
+    <div class="diary-form__field">
+      <label class="diary-form__label" for="reply-text">Paste their reply</label>
+      <textarea id="reply-text" class="diary-form__input diary-form__textarea" rows="8" placeholder="Copy the text of their letter or email here"></textarea>
+    </div>
+    <div class="diary-form__field">
+      <label class="diary-form__label" for="reply-file">Or load it from a PDF, Word or text file</label>
+      <input type="file" id="reply-file" class="diary-form__input" accept="${DOCUMENT_ACCEPT}">
+    </div>
+    <div class="diary-form__field diary-form__field--check">
+      <input type="checkbox" id="reply-final">
+      <label class="diary-form__label" for="reply-final">This is their final response (it says so, or tells you that you can go to the ombudsman)</label>
+    </div>
+    <div class="diary-form__actions">
+      <button class="btn btn--primary btn--sm" id="reply-check">Check this reply</button>
+      <button class="btn btn--secondary btn--sm" id="reply-cancel">Cancel</button>
+    </div>
+  `;
+
+  entriesEl.prepend(form);
+
+  const textArea = form.querySelector('#reply-text');
+  form.querySelector('#reply-file').addEventListener('change', async (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+    // The text goes in the box with identifiers hidden, so the person sees what will be checked
+    try {
+      const { text, redactions } = await extractDocument(file);
+      textArea.value = text;
+      if (redactions) showToast(`${redactions === 1 ? 'One NHS or National Insurance number was' : `${redactions} NHS or National Insurance numbers were`} hidden.`);
+    } catch (err) {
+      showToast(err.message);
+    }
+    e.target.value = '';
+  });
+
+  const checkBtn = form.querySelector('#reply-check');
+  checkBtn.addEventListener('click', async () => {
+    const replyText = textArea.value.trim();
+    if (!replyText) {
+      showToast('Please paste their reply first.');
+      return;
+    }
+    const stepIndex = Number(form.querySelector('#reply-step').value);
+
+    checkBtn.disabled = true;
+    checkBtn.textContent = 'Checking...';
+    try {
+      const prompt = buildResponseAnalysisPrompt({
+        facts: extractedFacts,
+        pathway,
+        stepIndex,
+        letterText: $('#letter-textarea')?.value || '',
+        replyText: redactIdentifiers(replyText)
+      });
+      const { analysis } = parseResponseAnalysis(await generateOnce(RESPONSE_ANALYSIS_SYSTEM_PROMPT, prompt));
+      if (!analysis) {
+        throw new Error('The check did not come back in the expected form. Please try again.');
+      }
+
+      const date = form.querySelector('#reply-date').value;
+      const finalResponse = form.querySelector('#reply-final').checked || analysis.finalResponse;
+      form.remove();
+      // Logging the reply moves the stages on, so escalating from it is checked against them
+      addDiaryEntry({
+        date,
+        type: 'received',
+        title: `Reply from ${publicBody}`,
+        notes: analysis.summary,
+        stepIndex,
+        finalResponse,
+        analysis,
+        recommendation: recommendResponseAction({ ...analysis, finalResponse }, pathway, stepIndex)
+      });
+      bundleDocuments.push({
+        id: crypto.randomUUID(),
+        title: `Reply from ${publicBody}`,
+        kind: 'response',
+        date: date ? formatDate(fromIsoDate(date)) : null,
+        text: redactIdentifiers(replyText),
+        include: true
+      });
+    } catch (err) {
+      showToast(`Could not check the reply: ${err.message}`);
+      checkBtn.disabled = false;
+      checkBtn.textContent = 'Check this reply';
+    }
+  });
+
+  form.querySelector('#reply-cancel').addEventListener('click', () => form.remove());
+}
+
 function handleDiaryBack() {
+  const stagesChanged = JSON.stringify(pathwayRoutes?.[0].stages ?? null) !== stagesWhenDiaryOpened;
+  const recordsChanged = JSON.stringify(trackSubjectAccessRequest(getDiaryEntries())) !== recordsWhenDiaryOpened;
+
   // Go back to letter view if we have a letter, otherwise chat, otherwise landing
   if (sessionStatus === 'letter') {
     showLetter();
+    if (stagesChanged) announceEscalations();
+    if (stagesChanged || recordsChanged) renderNextStepsPanel();
   } else if (sessionStatus === 'pathway' || sessionStatus === 'summary' || sessionStatus === 'intake') {
     showChat();
+    if (stagesChanged && sessionStatus === 'pathway') {
+      addMessage('system', 'Your diary changes where your complaint is up to, so here is your updated pathway.');
+      announceEscalations();
+      showPathwayCard(pathwayRoutes[0].pathway);
+    }
   } else {
     showLanding();
   }
+  if (stagesChanged) saveSession();
 }
 
 // ── Save & Resume ──
@@ -2055,9 +4096,20 @@ function saveSession() {
     status: sessionStatus,
     conversationHistory: shouldStoreHistory ? conversationHistory : [],
     extractedFacts,
+    conversationDate,
+    invalidFactFields,
+    userEditedFields,
     resolvedBodies,
     resolvedMP,
     currentPathway,
+    pathwayRoutes,
+    jointComplaint,
+    letterTarget,
+    escalationNotice,
+    clarifiedReply,
+    ombudsmanAnswers,
+    chronology,
+    seenNotices,
     letterText: sessionStatus === 'letter' ? ($('#letter-textarea')?.value || '') : ''
   };
 
@@ -2078,6 +4130,7 @@ function deleteSession(id) {
   localStorage.setItem(STORAGE_KEY, JSON.stringify(sessions));
   // Also delete diary entries for this session
   localStorage.removeItem(`complaint_diary_${id}`);
+  renderReminders();
   renderSavedSessions();
   renderDataLinks();
 }
@@ -2130,6 +4183,83 @@ function renderSavedSessions() {
   });
 }
 
+// ── Deadline Reminders ──
+
+// Opt-in reminders, on the landing page and as notifications, of dates coming up in any saved
+// complaint. Turning them on asks for notification permission; without it they only show here.
+function renderReminders() {
+  const container = $('#reminders');
+  if (!container) return;
+
+  const dates = listSessions().flatMap(getSavedComplaintDates);
+  const enabled = remindersEnabled();
+  if (dates.length === 0) {
+    container.classList.add('hidden');
+    if (enabled) syncNotifications([]);
+    return;
+  }
+  container.classList.remove('hidden');
+
+  if (!enabled) {
+    container.innerHTML = `
+      <div class="reminders__title">Deadline reminders</div>
+      <p class="reminders__text">Get reminded here, and by notifications on this device, when a complaint deadline or an expected reply is coming up. Reminders are worked out in this browser — nothing is sent to a server.</p>
+      <button class="btn btn--outline btn--sm" id="reminders-on">Turn on reminders</button>
+    `;
+    container.querySelector('#reminders-on').addEventListener('click', async () => {
+      setRemindersEnabled(true);
+      await requestNotificationPermission();
+      renderReminders();
+    });
+    return;
+  }
+
+  const reminders = buildReminders(dates);
+  const permission = notificationPermission();
+  const notificationText = {
+    granted: 'You will also get a notification a week before, the day before, and on the day.',
+    default: 'Notifications are off, so reminders only show here.',
+    denied: 'Notifications are blocked for this site, so reminders only show here.',
+    unsupported: 'This browser cannot show notifications, so reminders only show here.'
+  }[permission];
+
+  container.innerHTML = `
+    <div class="reminders__title">Coming up</div>
+    ${reminders.length > 0 ? `
+      <ul class="reminders__list">
+        ${reminders.map(r => `
+          <li>
+            <button class="reminders__item${r.urgent ? ' reminders__item--urgent' : ''}" data-session="${escapeHtml(r.sessionId)}">
+              <span class="reminders__item-text">${escapeHtml(r.text)}</span>
+              <span class="reminders__item-date">${formatDate(r.date)}</span>
+            </button>
+          </li>
+        `).join('')}
+      </ul>
+    ` : `<p class="reminders__text">Nothing due in the next ${REMINDER_WINDOW_DAYS} days.</p>`}
+    <p class="reminders__note">${notificationText}</p>
+    <div class="reminders__actions">
+      ${permission === 'default' ? '<button class="btn btn--outline btn--sm" id="reminders-notify">Allow notifications</button>' : ''}
+      <button class="btn btn--secondary btn--sm" id="reminders-off">Turn off reminders</button>
+    </div>
+  `;
+
+  container.querySelectorAll('.reminders__item').forEach(btn => {
+    btn.addEventListener('click', () => handleResume(btn.dataset.session));
+  });
+  container.querySelector('#reminders-notify')?.addEventListener('click', async () => {
+    await requestNotificationPermission();
+    renderReminders();
+  });
+  container.querySelector('#reminders-off').addEventListener('click', () => {
+    setRemindersEnabled(false);
+    clearNotifications();
+    renderReminders();
+  });
+
+  syncNotifications(buildNotificationSchedule(dates));
+}
+
 function handleResume(id) {
   const sessions = listSessions();
   const session = sessions.find(s => s.id === id);
@@ -2139,10 +4269,23 @@ function handleResume(id) {
   sessionId = session.id;
   conversationHistory = session.conversationHistory || [];
   extractedFacts = session.extractedFacts || null;
+  conversationDate = session.conversationDate || session.createdAt?.slice(0, 10) || null;
+  invalidFactFields = session.invalidFactFields || [];
+  userEditedFields = session.userEditedFields || [];
   currentPathway = session.currentPathway || null;
+  pathwayRoutes = session.pathwayRoutes || null;
+  jointComplaint = session.jointComplaint || null;
+  letterTarget = session.letterTarget ?? 0;
+  escalationNotice = session.escalationNotice || null;
+  clarifiedReply = session.clarifiedReply || null;
+  ombudsmanAnswers = session.ombudsmanAnswers || null;
+  bundleDocuments = [];
+  chronology = session.chronology || [];
+  seenNotices = session.seenNotices || [];
   resolvedBodies = session.resolvedBodies || null;
   resolvedMP = session.resolvedMP || null;
   sessionStatus = session.status || 'intake';
+  refreshRoutes();
 
   // Re-render messages
   messagesEl.innerHTML = '';
@@ -2162,22 +4305,26 @@ function handleResume(id) {
     }
   }
 
-  // Navigate to correct view
+  // Navigate to correct view, first telling the person about deadlines missed while they were away
+  const seenBefore = seenNotices.length;
   if (sessionStatus === 'letter') {
     showLetter();
     if (session.letterText) {
       $('#letter-textarea').value = session.letterText;
     }
+    announceEscalations();
     renderNextStepsPanel();
   } else if (sessionStatus === 'pathway' && currentPathway) {
     showChat();
-    showPathwayCard(currentPathway);
+    announceEscalations();
+    showPathwayCard(pathwayRoutes ? pathwayRoutes[0].pathway : currentPathway);
   } else if (sessionStatus === 'summary' && extractedFacts) {
     showChat();
     showSummaryCard(extractedFacts);
   } else {
     showChat();
   }
+  if (seenNotices.length > seenBefore) saveSession();
 }
 
 // ── Toast ──
@@ -0,0 +1,266 @@
+// Chronology
+// The complaint's dated events — when, who, what happened and where it came from — gathered
+// from the intake conversation, uploaded documents and the complaint diary. The person can
+// correct, add and remove events, and their changes are kept when the sources change.
+
+import { validateSchema } from './schema.js';
+import { formatDate, fromIsoDate } from './deadlines.js';
+import { parseDateRange } from './dates.js';
+
+/** Where an event came from, as the chronology shows it. */
+export const CHRONOLOGY_SOURCES = {
+  conversation: 'What you told us',
+  document: 'Document',
+  diary: 'Complaint diary',
+  added: 'Added by you'
+};
+
+/**
+ * @typedef {Object} ChronologyEvent
+ * @property {string} id
+ * @property {string} date - As written: YYYY-MM-DD where known, otherwise "June 2026" and the like
+ * @property {string|null} actor - Who did it
+ * @property {string} what
+ * @property {'conversation'|'document'|'diary'|'added'} source
+ * @property {string|null} sourceRef - The diary entry, document or fact it came from
+ * @property {boolean} [edited] - Changed by the person, so later updates leave it alone
+ * @property {boolean} [removed] - Removed by the person, and kept so it is not added back
+ */
+
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}$/;
+const RELATIVE_DATE = /\b(ago|last|this|yesterday|today|recently)\b/i;
+
+// Events the conversation extraction found carry this, so a new extraction replaces them
+const INTAKE_REF = 'intake';
+
+const DIARY_ACTORS = { sent: 'You', phone: null, meeting: null, other: null, records_requested: 'You' };
+
+/**
+ * A date as people read it: "5 March 2026" for YYYY-MM-DD, otherwise as written.
+ *
+ * @param {string} date
+ * @returns {string}
+ */
+export function displayDate(date) {
+  if (!date) return 'Date unknown';
+  return ISO_DATE.test(date) ? formatDate(fromIsoDate(date)) : date;
+}
+
+// When a date written any way falls, for ordering; dates that cannot be read sort last
+function sortKey(date, reference) {
+  const range = parseDateRange(date, reference);
+  return range ? range.earliest.getTime() : Infinity;
+}
+
+/**
+ * Compare two things with a `date` for sorting oldest first.
+ *
+ * @param {Date} [reference] - When relative dates were said
+ * @returns {(a: {date: string|null}, b: {date: string|null}) => number}
+ */
+export function byDate(reference = new Date()) {
+  return (a, b) => sortKey(a.date, reference) - sortKey(b.date, reference);
+}
+
+// The events each source gives now, keyed by where they came from
+function sourceEvents(facts, diary, reference) {
+  const events = [];
+
+  // "Two months ago" means nothing to a reader later, so say when it was said
+  const dated = text => RELATIVE_DATE.test(text) ? `${text} (as at ${formatDate(reference)})` : text;
+  const when = facts.dateSpecific || facts.dateRange;
+  if (when) events.push({ date: dated(when), actor: facts.publicBody, what: facts.issue, source: 'conversation', sourceRef: 'facts:when' });
+  if (facts.awarenessDate) events.push({ date: dated(facts.awarenessDate), actor: 'You', what: 'You found out about the problem', source: 'conversation', sourceRef: 'facts:awareness' });
+
+  for (const event of facts.timeline || []) {
+    events.push({
+      date: event.date || 'Date unknown',
+      actor: event.actor || null,
+      what: event.what,
+      source: 'document',
+      sourceRef: `document:${event.source || ''}|${event.date || ''}|${event.what}`
+    });
+  }
+
+  for (const entry of diary) {
+    if (!entry.date) continue;
+    const notes = entry.analysis ? entry.analysis.summary : entry.notes;
+    events.push({
+      date: entry.date,
+      actor: entry.type in DIARY_ACTORS ? DIARY_ACTORS[entry.type] : facts.publicBody,
+      what: notes ? `${entry.title}: ${notes}` : entry.title,
+      source: 'diary',
+      sourceRef: `diary:${entry.id}`
+    });
+  }
+  return events;
+}
+
+/**
+ * Bring the chronology up to date with its sources. New diary entries and document dates are
+ * added and deleted diary entries dropped; events the person edited, added or removed, and
+ * those found in the conversation, are kept as they are. What the person said about when it
+ * happened is only used until the conversation has been read for events.
+ *
+ * @param {ChronologyEvent[]|null} events - The chronology so far
+ * @param {object} sources
+ * @param {object} sources.facts - Extracted facts
+ * @param {object[]} sources.diary - Diary entries
+ * @param {Date} [sources.reference] - When the facts were gathered
+ * @returns {ChronologyEvent[]} Oldest first, including removed events
+ */
+export function syncChronology(events, { facts, diary, reference = new Date() }) {
+  const current = events || [];
+  const fromIntake = current.some(e => e.sourceRef === INTAKE_REF);
+  const fresh = sourceEvents(facts, diary, reference)
+    .filter(e => !(fromIntake && e.sourceRef.startsWith('facts:')));
+  const freshRefs = new Set(fresh.map(e => e.sourceRef));
+
+  // Derived events whose source has gone are dropped, unless the person has made them their own
+  const kept = current.filter(e => e.edited || e.source === 'added' || e.sourceRef === INTAKE_REF || freshRefs.has(e.sourceRef));
+  const byRef = new Map(kept.filter(e => e.sourceRef).map(e => [e.sourceRef, e]));
+
+  const synced = kept.map(e => {
+    const update = !e.edited && fresh.find(f => f.sourceRef === e.sourceRef);
+    return update ? { ...e, ...update } : e;
+  });
+  for (const event of fresh) {
+    if (!byRef.has(event.sourceRef)) synced.push({ id: crypto.randomUUID(), ...event });
+  }
+  return synced.sort(byDate(reference));
+}
+
+/**
+ * The events to show and use, without those the person removed.
+ *
+ * @param {ChronologyEvent[]} events
+ * @returns {ChronologyEvent[]}
+ */
+export function activeEvents(events) {
+  return events.filter(e => !e.removed);
+}
+
+/**
+ * Where an event came from, in words.
+ *
+ * @param {ChronologyEvent} event
+ * @returns {string}
+ */
+export function sourceLabel(event) {
+  if (event.source === 'document') return event.sourceRef?.slice('document:'.length).split('|')[0] || CHRONOLOGY_SOURCES.document;
+  return CHRONOLOGY_SOURCES[event.source] || '';
+}
+
+/**
+ * The chronology as plain lines for a prompt, oldest first.
+ *
+ * @param {ChronologyEvent[]} events - Active events
+ * @returns {string}
+ */
+export function formatChronology(events) {
+  return events.map(e => `- ${displayDate(e.date)}${e.actor ? ` — ${e.actor}` : ''}: ${e.what}`).join('\n');
+}
+
+/**
+ * The chronology as rows for the PDF and Word table and the evidence bundle.
+ *
+ * @param {ChronologyEvent[]} events - Active events
+ * @returns {{date: string, actor: string, what: string, source: string}[]}
+ */
+export function chronologyRows(events) {
+  return events.map(e => ({ date: displayDate(e.date), actor: e.actor || '', what: e.what, source: sourceLabel(e) }));
+}
+
+export const CHRONOLOGY_SYSTEM_PROMPT = `You list the dated events in a UK citizen's complaint, from their conversation with an adviser, so they can be set out in date order in the complaint.
+
+RULES:
+- One event for each separate thing that happened: an appointment, a decision, a phone call, a letter, the person finding out, and so on. Include events before and after the main problem if the person mentioned them.
+- Use only what the person said. Do not guess dates or add events.
+- date: YYYY-MM-DD when a full date can be worked out, counting relative dates ("last Tuesday", "three weeks ago") back from the conversation date. Otherwise as precise as they said it, such as "March 2026" or "early 2026".
+- actor: who did it — "You" for the person, or the organisation, team or member of staff — or null if unclear.
+- what: one short, plain sentence.
+- Oldest first.
+- Reply with ONLY a \`\`\`json block in this form, and nothing else:
+\`\`\`json
+{
+  "events": [{ "date": "2026-03-05", "actor": "Ward 7", "what": "Discharged without the wound being checked" }]
+}
+\`\`\``;
+
+export const CHRONOLOGY_SCHEMA = {
+  type: 'object',
+  required: ['events'],
+  properties: {
+    events: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['date', 'what'],
+        properties: {
+          date: { type: 'string', minLength: 1 },
+          actor: { type: ['string', 'null'] },
+          what: { type: 'string', minLength: 1 }
+        }
+      }
+    }
+  }
+};
+
+/**
+ * @param {object} facts - Extracted facts
+ * @param {{role: string, text: string}[]} history - The conversation, with identifiers redacted
+ * @param {string} conversationDate - YYYY-MM-DD
+ * @returns {string}
+ */
+export function buildChronologyPrompt(facts, history, conversationDate) {
+  const transcript = history
+    .map(msg => `${msg.role === 'user' ? 'Person' : 'Adviser'}: ${msg.text.replace(/```json[\s\S]*?```/g, '').trim()}`)
+    .filter(line => !/^\w+:\s*$/.test(line))
+    .join('\n\n');
+
+  return `Conversation date: ${conversationDate}
+Public body: ${facts.publicBody}
+Issue: ${facts.issue}
+When: ${facts.dateSpecific || facts.dateRange || 'Not specified'}
+Found out: ${facts.awarenessDate || 'Not specified'}
+
+CONVERSATION:
+${transcript}`;
+}
+
+/**
+ * Find and validate the events block in the model's reply.
+ *
+ * @param {string} responseText
+ * @returns {{events: {date: string, actor?: string|null, what: string}[]|null, errors: import('./schema.js').SchemaError[]}}
+ */
+export function parseChronologyEvents(responseText) {
+  const jsonMatch = responseText.match(/```json\s*([\s\S]*?)```/);
+  if (!jsonMatch) return { events: null, errors: [{ path: '', message: 'No JSON block in the reply' }] };
+
+  let parsed;
+  try {
+    parsed = JSON.parse(jsonMatch[1].trim());
+  } catch (err) {
+    return { events: null, errors: [{ path: '', message: `The JSON block could not be parsed: ${err.message}` }] };
+  }
+
+  const errors = validateSchema(CHRONOLOGY_SCHEMA, parsed);
+  return { events: errors.length === 0 ? parsed.events : null, errors };
+}
+
+/**
+ * Replace the events found in the conversation with a new reading of it. Those the person
+ * edited or removed stay as they left them.
+ *
+ * @param {ChronologyEvent[]} events
+ * @param {{date: string, actor?: string|null, what: string}[]} found - From parseChronologyEvents
+ * @returns {ChronologyEvent[]}
+ */
+export function mergeConversationEvents(events, found) {
+  const kept = events.filter(e => e.sourceRef !== INTAKE_REF || e.edited || e.removed);
+  const added = found
+    .filter(f => !kept.some(e => e.sourceRef === INTAKE_REF && e.date === f.date && e.what.toLowerCase() === f.what.toLowerCase()))
+    .map(f => ({ id: crypto.randomUUID(), date: f.date, actor: f.actor || null, what: f.what, source: 'conversation', sourceRef: INTAKE_REF }));
+  return [...kept, ...added];
+}
@@ -0,0 +1,294 @@
+// Event dates
+// Reads the dates people give for when something happened — "15 March 2024", "early January",
+// "about 6 weeks ago", "between March and May", "Christmas 2024" — as the earliest and latest
+// days they could mean, counting relative phrases from the day they said them
+
+import { addDays, addMonths } from './deadlines.js';
+import { easterSunday } from './holidays.js';
+
+/**
+ * @typedef {Object} DateRange
+ * @property {Date} earliest - Local midnight
+ * @property {Date} latest - Local midnight, never after the reference date
+ * @property {boolean} exact - Whether it is one known day
+ */
+
+const MONTH = '(jan(?:uary)?|feb(?:ruary)?|mar(?:ch)?|apr(?:il)?|may|june?|july?|aug(?:ust)?|sept?(?:ember)?|oct(?:ober)?|nov(?:ember)?|dec(?:ember)?)';
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const PART = '(?:(early|mid|late)\\s+)?';
+
+// Counts people give in words, as the fewest and most they could mean
+const COUNTS = {
+  a: [1, 1], an: [1, 1], one: [1, 1], two: [2, 2], three: [3, 3], four: [4, 4], five: [5, 5], six: [6, 6],
+  seven: [7, 7], eight: [8, 8], nine: [9, 9], ten: [10, 10], eleven: [11, 11], twelve: [12, 12],
+  'a couple of': [2, 2], couple: [2, 2], 'a few': [2, 4], few: [2, 4], several: [3, 7]
+};
+const COUNT = '(\\d+|a couple of|a few|few|several|an?|one|two|three|four|five|six|seven|eight|nine|ten|eleven|twelve)';
+const UNIT = '(day|week|month|year)s?';
+
+// Seasons run as the Met Office counts them, so winter 2024 is December 2023 to February 2024
+const SEASONS = { spring: [2, 4], summer: [5, 7], autumn: [8, 10], fall: [8, 10], winter: [-1, 1] };
+
+const day = (year, month, date) => new Date(year, month, date);
+const span = (earliest, latest) => ({ earliest, latest });
+
+// One day, or null for a day that is not on the calendar, such as 30 February or a 13th month
+function oneDay(year, month, date) {
+  const d = day(year, month, date);
+  return d.getMonth() === month && d.getDate() === date ? span(d, d) : null;
+}
+
+function monthIndex(name) {
+  return MONTHS.indexOf(name.slice(0, 3));
+}
+
+function parseCount(text) {
+  return /^\d+$/.test(text) ? [Number(text), Number(text)] : COUNTS[text];
+}
+
+// Split a span into thirds for "early", "mid" and "late"
+function partOf({ earliest, latest }, part) {
+  if (!part) return span(earliest, latest);
+  const length = Math.round((latest - earliest) / 86400000) + 1;
+  const third = Math.floor(length / 3);
+  if (part === 'early') return span(earliest, addDays(earliest, third - 1));
+  if (part === 'mid') return span(addDays(earliest, third), addDays(earliest, 2 * third - 1));
+  return span(addDays(earliest, 2 * third), latest);
+}
+
+function monthSpan(year, month) {
+  return span(day(year, month, 1), day(year, month + 1, 0));
+}
+
+// A month or season named without a year is the most recent one to have started
+function inYear(year, hint, build, reference) {
+  if (year) return build(Number(year));
+  if (hint) return build(hint);
+  const thisYear = build(reference.getFullYear());
+  return thisYear && thisYear.earliest > reference ? build(reference.getFullYear() - 1) : thisYear;
+}
+
+function unitsBefore(reference, count, unit) {
+  if (unit === 'day' || unit === 'week') return addDays(reference, -Math.round(count * (unit === 'week' ? 7 : 1)));
+  const months = count * (unit === 'year' ? 12 : 1);
+  return addDays(addMonths(reference, -Math.floor(months)), -Math.round((months % 1) * 30));
+}
+
+/**
+ * Patterns for a single point or period, tried in order against normalised text.
+ * Each handler gets the match, the reference date, a year to assume when none is given,
+ * and whether the person said the date was approximate, and returns null for a day that
+ * does not exist.
+ */
+const PATTERNS = [
+  [/^(?:today|now|present|to date|date)$/, (m, ref) => span(ref, ref)],
+  [/^yesterday$/, (m, ref) => span(addDays(ref, -1), addDays(ref, -1))],
+  [/^(\d{4})-(\d{1,2})-(\d{1,2})$/, m => oneDay(Number(m[1]), Number(m[2]) - 1, Number(m[3]))],
+  [/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{2}|\d{4})$/, m => {
+    const year = m[3].length === 2 ? 2000 + Number(m[3]) : Number(m[3]);
+    return oneDay(year, Number(m[2]) - 1, Number(m[1]));
+  }],
+  [new RegExp(`^(\\d{1,2}) ${MONTH}(?: (\\d{4}))?$`), (m, ref, hint) => inYear(m[3], hint, y => oneDay(y, monthIndex(m[2]), Number(m[1])), ref)],
+  [new RegExp(`^${MONTH} (\\d{1,2})(?: (\\d{4}))?$`), (m, ref, hint) => inYear(m[3], hint, y => oneDay(y, monthIndex(m[1]), Number(m[2])), ref)],
+  [new RegExp(`^${PART}${MONTH}(?: (\\d{4}))?$`), (m, ref, hint) => inYear(m[3], hint, y => partOf(monthSpan(y, monthIndex(m[2])), m[1]), ref)],
+  [new RegExp(`^${PART}(spring|summer|autumn|fall|winter)(?: (\\d{4}))?$`), (m, ref, hint) => inYear(m[3], hint, y => {
+    const [from, to] = SEASONS[m[2]];
+    return partOf(span(day(y, from, 1), day(y, to + 1, 0)), m[1]);
+  }, ref)],
+  [/^(christmas|xmas|new year|easter)(?: (\d{4}))?$/, (m, ref, hint, approx) => inYear(m[2], hint, y => {
+    if (m[1] === 'new year') return span(day(y - 1, 11, 31), day(y, 0, 1));
+    if (m[1] === 'easter') {
+      const { month, day: date } = easterSunday(y);
+      return span(day(y, month - 1, date - 2), day(y, month - 1, date + 1));
+    }
+    return approx ? span(day(y, 11, 20), day(y, 11, 31)) : span(day(y, 11, 24), day(y, 11, 26));
+  }, ref)],
+  [/^(?:(early|mid|late) )?(\d{4})$/, m => {
+    const [from, to] = { early: [0, 3], mid: [4, 7], late: [8, 11] }[m[1]] || [0, 11];
+    return span(day(Number(m[2]), from, 1), day(Number(m[2]), to + 1, 0));
+  }],
+  [new RegExp(`^(?:(just over|over|more than|just under|under|less than|nearly|almost) )?${COUNT} ${UNIT} ago$`), (m, ref, hint, approx) => {
+    const [fewest, most] = parseCount(m[2]);
+    const unit = m[3];
+    const spread = approx ? 1 : unit === 'day' ? 0 : 0.5;
+    let [from, to] = [Math.max(0, fewest - spread), most + spread];
+    if (/over|more/.test(m[1] || '')) [from, to] = [most, most + 1];
+    if (/under|less/.test(m[1] || '')) [from, to] = [m[1] === 'just under' ? fewest - spread : 0, fewest];
+    if (/nearly|almost/.test(m[1] || '')) [from, to] = [fewest - 0.5, fewest];
+    return span(unitsBefore(ref, to, unit), unitsBefore(ref, Math.max(0, from), unit));
+  }],
+  [new RegExp(`^(?:last|past|previous) (?:${COUNT} )?(day|week|month|year)s$`), (m, ref) => {
+    const [, most] = m[1] ? parseCount(m[1]) : [1, 1];
+    return span(unitsBefore(ref, most, m[2]), ref);
+  }],
+  [/^(last|this) (week|month|year)$/, (m, ref) => {
+    const back = m[1] === 'last' ? 1 : 0;
+    if (m[2] === 'week') {
+      const monday = addDays(ref, -((ref.getDay() + 6) % 7) - 7 * back);
+      return span(monday, addDays(monday, 6));
+    }
+    if (m[2] === 'month') return monthSpan(ref.getFullYear(), ref.getMonth() - back);
+    return span(day(ref.getFullYear() - back, 0, 1), day(ref.getFullYear() - back, 11, 31));
+  }],
+  [new RegExp(`^(?:last |this |on )?(${WEEKDAYS.join('|')})$`), (m, ref) => {
+    const d = addDays(ref, -(((ref.getDay() - WEEKDAYS.indexOf(m[1]) + 6) % 7) + 1));
+    return span(d, d);
+  }]
+];
+
+// Lower-case, and turn the many ways of saying "the end of" into one
+function normalise(text) {
+  return text.toLowerCase()
+    .replace(/[,()]/g, ' ')
+    .replace(/(\d)(?:st|nd|rd|th)\b/g, '$1')
+    .replace(/\b(?:the )?(?:beginning|start) of\b/g, 'early')
+    .replace(/\b(?:the )?middle of\b|\bmid-/g, 'mid ')
+    .replace(/\b(?:towards )?(?:the )?end of\b/g, 'late')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+// Drop words that only introduce the date, noting whether they said it was approximate
+function stripFillers(text) {
+  let approx = false;
+  let s = text;
+  const filler = /^(?:around|about|approximately|approx\.?|roughly|circa|c\.|sometime in|some time in|sometime|in|on|at|during|the)\s+/;
+  while (filler.test(s)) {
+    if (/^(?:around|about|approx|roughly|circa|c\.)/.test(s)) approx = true;
+    s = s.replace(filler, '');
+  }
+  return { text: s, approx };
+}
+
+function parsePoint(text, reference, hint) {
+  const { text: s, approx } = stripFillers(normalise(text));
+
+  const since = s.match(/^since (.+)$/);
+  if (since) {
+    const from = parsePoint(since[1], reference);
+    return from && span(from.earliest, reference);
+  }
+  // "last March" in March means the March before
+  const last = s.match(/^last (.+)$/);
+  if (last && !/^(?:week|month|year|\w+day|\d|few|several|couple)/.test(last[1])) {
+    const recent = parsePoint(last[1], reference);
+    if (recent) return recent.latest >= reference ? parsePoint(last[1], addDays(recent.earliest, -1)) : recent;
+  }
+
+  for (const [pattern, handler] of PATTERNS) {
+    const m = s.match(pattern);
+    if (!m) continue;
+    const found = handler(m, reference, hint, approx);
+    if (!found || isNaN(found.earliest.getTime())) return null;
+    const exact = found.earliest.getTime() === found.latest.getTime();
+    return approx && exact ? span(addDays(found.earliest, -3), addDays(found.latest, 3)) : found;
+  }
+  return null;
+}
+
+// A bare day borrows its month and year from the other part: "2 to 5 March 2026", "March 2 or 3"
+function lendMonth(from, to) {
+  const bare = text => /^\d{1,2}$/.test(stripFillers(text).text);
+  const dayFirst = to.match(new RegExp(`^\\d{1,2} (${MONTH}(?: \\d{4})?)$`));
+  if (bare(from) && dayFirst) return [`${stripFillers(from).text} ${dayFirst[1]}`, to];
+  const monthFirst = stripFillers(from).text.match(new RegExp(`^${MONTH} \\d{1,2}( \\d{4})?$`));
+  if (bare(to) && monthFirst) return [from, `${monthFirst[1]} ${to}${monthFirst[2] || ''}`];
+  return [from, to];
+}
+
+// The part with a year lends it to the part without: "March to May 2024", "December 2023 to March".
+// Alternatives ("April or March") are in the same year and not in order, so the span covers
+// both parts whichever is said first.
+function parseSpan(rawFrom, rawTo, reference, alternatives = false) {
+  const [from, to] = lendMonth(rawFrom, rawTo);
+  const hasYear = text => /\b\d{4}\b/.test(text);
+  let start, end;
+  if (hasYear(from) && !hasYear(to)) {
+    start = parsePoint(from, reference);
+    if (!start) return null;
+    const year = start.earliest.getFullYear();
+    end = parsePoint(to, reference, year);
+    if (end && !alternatives && end.latest < start.earliest) end = parsePoint(to, reference, year + 1);
+  } else {
+    end = parsePoint(to, reference);
+    if (!end) return null;
+    const year = hasYear(from) ? undefined : end.latest.getFullYear();
+    start = parsePoint(from, reference, year);
+    if (start && year && !alternatives && start.earliest > end.latest) start = parsePoint(from, reference, year - 1);
+  }
+  if (!start || !end) return null;
+  return span(start.earliest < end.earliest ? start.earliest : end.earliest, start.latest > end.latest ? start.latest : end.latest);
+}
+
+// Every date in a longer phrase, longest readings first from the left, as one span from the
+// earliest to the latest, so a second date mentioned does not hide the first
+function findDatesIn(text, reference) {
+  const words = text.split(' ');
+  const dates = [];
+  for (let start = 0; start < words.length;) {
+    let length = words.length - start;
+    for (; length > 0; length--) {
+      const part = words.slice(start, start + length).join(' ');
+      const found = /\d|\bago$/.test(part) && parsePoint(part, reference);
+      if (found) {
+        dates.push(found);
+        break;
+      }
+    }
+    start += Math.max(length, 1);
+  }
+  if (dates.length === 0) return null;
+  return span(
+    new Date(Math.min(...dates.map(d => d.earliest))),
+    new Date(Math.max(...dates.map(d => d.latest)))
+  );
+}
+
+/**
+ * Parse a description of when something happened.
+ *
+ * Ranges ("between March and May 2024", "2 to 5 March", "four months ago to now") run from the
+ * start of the first part to the end of the second, and "March or April" covers both. Relative
+ * phrases count back from `reference`. Failing a whole match, the dates found within the text
+ * are used, so "decision letter dated 2 September 2026" gives 2 September 2026, and a phrase
+ * with more than one date runs from the earliest to the latest of them. A day that does not
+ * exist, such as "30/02/2026" or the month-first "05/13/2025", is not read as a date, though
+ * "31 February 2026" still gives February 2026.
+ *
+ * @param {string|null|undefined} text
+ * @param {Date} [reference] - When the person said it
+ * @returns {DateRange|null}
+ */
+export function parseDateRange(text, reference = new Date()) {
+  if (!text) return null;
+  const ref = day(reference.getFullYear(), reference.getMonth(), reference.getDate());
+  const s = normalise(text);
+
+  let found = null;
+  const between = s.match(/^(?:between|from) (.+?) (and|to|until|till|or) (.+)$/)
+    || s.match(/^(.+?) (to|until|till|or|[-–]) (.+)$/);
+  if (between) found = parseSpan(between[1], between[3], ref, between[2] === 'or');
+  if (!found) found = parsePoint(s, ref);
+  if (!found) found = findDatesIn(s, ref);
+
+  if (!found || found.earliest > ref) return null;
+  const latest = found.latest > ref ? ref : found.latest;
+  return { earliest: found.earliest, latest, exact: found.earliest.getTime() === latest.getTime() };
+}
+
+/**
+ * When the events in a complaint happened: the specific date if it can be read, otherwise
+ * the date range the person described.
+ *
+ * @param {object} facts - Extracted facts
+ * @param {Date} [reference] - When the facts were gathered
+ * @returns {(DateRange & {text: string})|null}
+ */
+export function parseEventDates(facts, reference = new Date()) {
+  for (const text of [facts.dateSpecific, facts.dateRange]) {
+    const range = parseDateRange(text, reference);
+    if (range) return { ...range, text };
+  }
+  return null;
+}
@@ -0,0 +1,156 @@
+// Deadline arithmetic
+// Working days, months and the response dates a body should meet at each pathway step
+
+import { isBankHoliday } from './holidays.js';
+
+/**
+ * Count working days forward, skipping weekends and the nation's bank holidays.
+ *
+ * @param {Date} fromDate
+ * @param {number} days
+ * @param {string} [nation] - 'England', 'Wales', 'Scotland' or 'Northern Ireland'
+ * @returns {Date}
+ */
+export function addWorkingDays(fromDate, days, nation = 'England') {
+  const result = new Date(fromDate);
+  let added = 0;
+  while (added < days) {
+    result.setDate(result.getDate() + 1);
+    const dayOfWeek = result.getDay();
+    if (dayOfWeek !== 0 && dayOfWeek !== 6 && !isBankHoliday(toIsoDate(result), nation)) {
+      added++;
+    }
+  }
+  return result;
+}
+
+/**
+ * The same day of the month `months` later, or the last day of that month when it is shorter:
+ * a calendar month from 31 January ends on 28 (or 29) February, not in March.
+ *
+ * @param {Date} fromDate
+ * @param {number} months - May be negative
+ * @returns {Date}
+ */
+export function addMonths(fromDate, months) {
+  const result = new Date(fromDate);
+  const day = result.getDate();
+  result.setDate(1);
+  result.setMonth(result.getMonth() + months);
+  const lastDay = new Date(result.getFullYear(), result.getMonth() + 1, 0).getDate();
+  result.setDate(Math.min(day, lastDay));
+  return result;
+}
+
+export function addDays(fromDate, days) {
+  const result = new Date(fromDate);
+  result.setDate(result.getDate() + days);
+  return result;
+}
+
+/**
+ * The last day to complain, from a pathway's timeLimit text ("12 months", "1 month",
+ * "14 days", "6 weeks"). Short appeal windows are counted in calendar days.
+ *
+ * @param {Date} from - When the time limit starts
+ * @param {string} timeLimit
+ * @returns {Date|null} Null when the text gives no figure to count
+ */
+export function addTimeLimit(from, timeLimit) {
+  const tl = (timeLimit || '').toLowerCase();
+  if (tl.includes('1 month')) return addMonths(from, 1);
+  if (tl.includes('6 month')) return addMonths(from, 6);
+  if (tl.includes('12 month')) return addMonths(from, 12);
+  if (/^\d+ months?\b/.test(tl)) return addMonths(from, parseInt(tl));
+  if (/^\d+ (day|week)s?\b/.test(tl)) return addDays(from, parseInt(tl) * (/^\d+ weeks?/.test(tl) ? 7 : 1));
+  return null;
+}
+
+/**
+ * A local date as YYYY-MM-DD, the form diary entries and facts use.
+ *
+ * @param {Date} date
+ * @returns {string}
+ */
+export function toIsoDate(date) {
+  const pad = n => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+export function formatDate(date) {
+  return date.toLocaleDateString('en-GB', { day: 'numeric', month: 'long', year: 'numeric' });
+}
+
+/**
+ * Parse a YYYY-MM-DD date as local midnight.
+ *
+ * @param {string} isoDate
+ * @returns {Date}
+ */
+export function fromIsoDate(isoDate) {
+  return new Date(`${isoDate}T00:00:00`);
+}
+
+// Timescales set by a complaints code are binding on the body, so they replace the
+// rough figures parsed from the timeline text
+export function calculateCodeDeadlines(timescales, received, nation = 'England') {
+  const deadlines = { deadlineSource: timescales.code };
+  if (timescales.acknowledgeWorkingDays) {
+    deadlines.acknowledgmentBy = addWorkingDays(received, timescales.acknowledgeWorkingDays, nation);
+  }
+  const clockStart = timescales.respondFrom === 'acknowledgment' ? deadlines.acknowledgmentBy : received;
+  deadlines.responseBy = addWorkingDays(clockStart, timescales.respondWorkingDays, nation);
+  if (timescales.extensionWorkingDays) {
+    deadlines.extendedResponseBy = addWorkingDays(deadlines.responseBy, timescales.extensionWorkingDays, nation);
+  }
+  return deadlines;
+}
+
+/**
+ * When a body must answer a subject access request: one calendar month from getting it, or
+ * two months more if it tells the person within that month that it needs them (UK GDPR
+ * Article 12(3)).
+ *
+ * @param {Date} received - When the body got the request
+ * @returns {{responseBy: Date, extendedResponseBy: Date}}
+ */
+export function calculateSubjectAccessDeadlines(received) {
+  return { responseBy: addMonths(received, 1), extendedResponseBy: addMonths(received, 3) };
+}
+
+/**
+ * When a body should acknowledge and answer a complaint made at one pathway step.
+ * Code timescales are used where the step has them; otherwise the first figure in the
+ * acknowledgment and timeline text is used.
+ *
+ * @param {import('./router.js').PathwayStep} step
+ * @param {Date} received - When the body got the complaint
+ * @param {string} [nation] - Whose bank holidays to skip when counting working days
+ * @returns {{acknowledgmentBy?: Date, responseBy?: Date, extendedResponseBy?: Date, deadlineSource?: string}}
+ */
+export function calculateStepDeadlines(step, received, nation = 'England') {
+  if (step.codeTimescales) return calculateCodeDeadlines(step.codeTimescales, received, nation);
+
+  const deadlines = {};
+  if (step.acknowledgmentTimeline) {
+    const ackMatch = step.acknowledgmentTimeline.match(/(\d+)\s*working\s*day/i);
+    const ackWeeks = step.acknowledgmentTimeline.match(/(\d+)\s*week/i);
+    if (ackMatch) {
+      deadlines.acknowledgmentBy = addWorkingDays(received, parseInt(ackMatch[1]), nation);
+    } else if (ackWeeks) {
+      deadlines.acknowledgmentBy = addDays(received, parseInt(ackWeeks[1]) * 7);
+    }
+  }
+  if (step.timeline) {
+    const respMatch = step.timeline.match(/(\d+)\s*working\s*day/i);
+    if (respMatch) {
+      deadlines.responseBy = addWorkingDays(received, parseInt(respMatch[1]), nation);
+    } else {
+      const monthMatch = step.timeline.match(/(\d+)\s*month/i);
+      if (monthMatch) {
+        deadlines.responseBy = addMonths(received, parseInt(monthMatch[1]));
+      }
+    }
+  }
+  return deadlines;
+}
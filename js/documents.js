@@ -0,0 +1,157 @@
+// Document upload
+// Sends an uploaded letter to the server to have its text pulled out and its identifiers
+// redacted, and, once the person has checked that text, turns it into timeline facts
+
+import { validateSchema } from './schema.js';
+
+/** File types the upload accepts. */
+export const DOCUMENT_ACCEPT = '.pdf,.docx,.txt,.eml,application/pdf,application/vnd.openxmlformats-officedocument.wordprocessingml.document,text/plain';
+
+/**
+ * The text of an uploaded file, as the server returns it.
+ * @typedef {Object} ExtractedDocument
+ * @property {'pdf'|'docx'|'text'} kind
+ * @property {string} text - With NHS and National Insurance numbers redacted
+ * @property {number} redactions - How many identifiers were hidden
+ * @property {boolean} truncated - Whether the text was too long and was cut off
+ */
+
+/**
+ * Get the text out of a file. The file is read by the server in memory and not kept.
+ *
+ * @param {File} file
+ * @returns {Promise<ExtractedDocument>}
+ * @throws {Error} With a message to show the person
+ */
+export async function extractDocument(file) {
+  let response;
+  try {
+    response = await fetch('/api/extract-document', {
+      method: 'POST',
+      headers: {
+        'Content-Type': file.type || 'application/octet-stream',
+        'X-Filename': encodeURIComponent(file.name)
+      },
+      body: file
+    });
+  } catch {
+    throw new Error('Network error: could not reach the server. Please check your internet connection.');
+  }
+
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    throw new Error(data.error || `Server error (${response.status}). Please try again.`);
+  }
+  return data;
+}
+
+export const DOCUMENT_SUMMARY_SYSTEM_PROMPT = `You read a document a UK citizen has uploaded for their complaint — such as a discharge letter, a decision letter or earlier correspondence — and pull out the facts that matter to the complaint.
+
+RULES:
+- Use only what the document says. Do not guess or add anything.
+- summary: two or three plain sentences on what the document is and what it says.
+- events: each dated thing the document records, oldest first. Give the date as YYYY-MM-DD when the document gives a full date, otherwise as the document words it, or null. Keep "what" to one short sentence, and give the "actor" — who did it, such as a named doctor, a team or the organisation — or null if the document does not say.
+- referenceNumbers and staffInvolved: any case, claim or complaint references, and names or roles of staff, as they appear; null if none.
+- Reply with ONLY a \`\`\`json block in this form, and nothing else:
+\`\`\`json
+{
+  "documentType": "Discharge letter",
+  "summary": "What the document is and says",
+  "events": [{ "date": "2026-03-05", "actor": "Dr Jones", "what": "Discharged from Ward 7" }],
+  "referenceNumbers": null,
+  "staffInvolved": null
+}
+\`\`\``;
+
+export const DOCUMENT_SUMMARY_SCHEMA = {
+  type: 'object',
+  required: ['summary', 'events'],
+  properties: {
+    documentType: { type: ['string', 'null'] },
+    summary: { type: 'string', minLength: 1 },
+    events: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['what'],
+        properties: {
+          date: { type: ['string', 'null'] },
+          actor: { type: ['string', 'null'] },
+          what: { type: 'string', minLength: 1 }
+        }
+      }
+    },
+    referenceNumbers: { type: ['string', 'null'] },
+    staffInvolved: { type: ['string', 'null'] }
+  }
+};
+
+/**
+ * @param {object|null} facts - Extracted facts, if the complaint has been summarised yet
+ * @param {string} name - The file name
+ * @param {string} text - The document text the person approved
+ * @returns {string}
+ */
+export function buildDocumentSummaryPrompt(facts, name, text) {
+  let prompt = `Document: ${name}`;
+  if (facts) prompt += `\nThe complaint is about: ${facts.publicBody} — ${facts.issue}`;
+  return `${prompt}\n\nDOCUMENT TEXT:\n${text.trim()}`;
+}
+
+/**
+ * Find and validate the summary block in the model's reply.
+ *
+ * @param {string} responseText
+ * @returns {{summary: object|null, errors: import('./schema.js').SchemaError[]}}
+ */
+export function parseDocumentSummary(responseText) {
+  const jsonMatch = responseText.match(/```json\s*([\s\S]*?)```/);
+  if (!jsonMatch) return { summary: null, errors: [{ path: '', message: 'No JSON block in the reply' }] };
+
+  let parsed;
+  try {
+    parsed = JSON.parse(jsonMatch[1].trim());
+  } catch (err) {
+    return { summary: null, errors: [{ path: '', message: `The JSON block could not be parsed: ${err.message}` }] };
+  }
+
+  const errors = validateSchema(DOCUMENT_SUMMARY_SCHEMA, parsed);
+  return { summary: errors.length === 0 ? parsed : null, errors };
+}
+
+// Add new parts of a list-like fact ("REF1; REF2") without repeating what is already there
+function appendFact(existing, addition) {
+  if (!addition) return existing ?? null;
+  if (!existing) return addition;
+  return existing.toLowerCase().includes(addition.toLowerCase()) ? existing : `${existing}; ${addition}`;
+}
+
+/**
+ * Merge a document's summary into the facts: its dated events join the timeline, and its
+ * references and staff are added to those already known. Nothing the person said is replaced.
+ *
+ * @param {object} facts
+ * @param {object} summary - From parseDocumentSummary
+ * @param {string} source - The document's name
+ * @returns {{facts: object, added: number}} The new facts, and how many timeline events were new
+ */
+export function mergeDocumentFacts(facts, summary, source) {
+  const timeline = [...(facts.timeline || [])];
+  let added = 0;
+  for (const event of summary.events) {
+    const duplicate = timeline.some(e => e.date === (event.date || null) && e.what.toLowerCase() === event.what.toLowerCase());
+    if (duplicate) continue;
+    timeline.push({ date: event.date || null, actor: event.actor || null, what: event.what, source });
+    added++;
+  }
+
+  return {
+    facts: {
+      ...facts,
+      timeline,
+      referenceNumbers: appendFact(facts.referenceNumbers, summary.referenceNumbers),
+      staffInvolved: appendFact(facts.staffInvolved, summary.staffInvolved)
+    },
+    added
+  };
+}
@@ -0,0 +1,96 @@
+// Escalation notices
+// Turns stage tracking into plain-English notices: a body that has missed its acknowledgment
+// or response date, a final response in hand, or an ombudsman that will now step in
+
+import { fromIsoDate, formatDate, toIsoDate } from './deadlines.js';
+
+/**
+ * Something the person should know about where their complaint can go next.
+ * @typedef {Object} EscalationNotice
+ * @property {string} id - The same for the same event each time, so it is only announced once
+ * @property {'acknowledgment_overdue'|'can_escalate'|'escalate_later'} kind
+ * @property {boolean} canEscalate - Whether the complaint can go to step `to` now
+ * @property {string|null} basis - The stage tracking escalation basis, for escalations
+ * @property {number} from - Index of the step the complaint is at
+ * @property {number|null} to - Index of the step it can go to
+ * @property {string|null} date - When it happened or will happen (YYYY-MM-DD)
+ * @property {string} title
+ * @property {string} message
+ */
+
+function formatIso(isoDate) {
+  return formatDate(fromIsoDate(isoDate));
+}
+
+function acknowledgmentNotice(pathway, step, index, today) {
+  const name = pathway.steps[index].name;
+  const due = formatIso(step.acknowledgmentDue);
+  return {
+    id: `${pathway.id}:acknowledgment_overdue:${index}:${step.acknowledgmentDue}`,
+    kind: 'acknowledgment_overdue',
+    canEscalate: false,
+    basis: null,
+    from: index,
+    to: null,
+    date: step.acknowledgmentDue,
+    title: 'Acknowledgment overdue',
+    message: `"${name}" should have acknowledged your complaint by ${due}. Contact them to check they have it, and note what they say in your diary.${step.responseDue >= today ? ` Their reply is still ${step.responseDueBinding ? 'due' : 'expected'} by ${formatIso(step.responseDue)}.` : ''}`
+  };
+}
+
+function escalationNotice(pathway, escalation) {
+  const from = pathway.steps[escalation.from];
+  const to = pathway.steps[escalation.to].name;
+  const date = escalation.date ? formatIso(escalation.date) : null;
+  const extendable = from.codeTimescales?.extensionWorkingDays ? ', unless they wrote to say they needed longer' : '';
+
+  let message;
+  if (escalation.eligible) {
+    message = {
+      final_response: `You have the final response from "${from.name}"${date ? ` (${date})` : ''}, so you can now take your complaint to "${to}".`,
+      response_received: `You have tried "${from.name}" and it was not sorted out, so you can now go to "${to}".`,
+      deadline_missed: `"${from.name}" should have replied by ${date}${extendable}. As they have not, you can take your complaint to "${to}" without waiting any longer.`,
+      time_elapsed: `You complained long enough ago without getting a final response that "${to}" will usually look at your complaint now.`
+    }[escalation.basis];
+  } else {
+    message = escalation.basis === 'time_elapsed'
+      ? `If you do not have a final response by ${date}, "${to}" will usually look at your complaint.`
+      : `If "${from.name}" has not replied by ${date}${extendable}, you can take your complaint to "${to}".`;
+  }
+
+  return {
+    id: `${pathway.id}:${escalation.basis}:${escalation.from}:${escalation.to}:${escalation.date}`,
+    kind: escalation.eligible ? 'can_escalate' : 'escalate_later',
+    canEscalate: escalation.eligible,
+    basis: escalation.basis,
+    from: escalation.from,
+    to: escalation.to,
+    date: escalation.date,
+    title: escalation.eligible ? 'You can escalate now' : 'When you can escalate',
+    message
+  };
+}
+
+/**
+ * Notices for the furthest step the complaint has reached: an acknowledgment that is
+ * overdue, and whether the complaint can be escalated now or when it can be.
+ *
+ * @param {import('./router.js').Pathway} pathway
+ * @param {import('./stages.js').StageTracking|null} stages
+ * @param {Date} [now]
+ * @returns {EscalationNotice[]}
+ */
+export function findEscalationNotices(pathway, stages, now = new Date()) {
+  if (!stages || stages.reachedIndex < 0) return [];
+
+  const notices = [];
+  const today = toIsoDate(now);
+  const step = stages.steps[stages.reachedIndex];
+  if (step.status === 'submitted' && step.acknowledgmentDue && step.acknowledgmentDue < today) {
+    notices.push(acknowledgmentNotice(pathway, step, stages.reachedIndex, today));
+  }
+  if (stages.escalation) {
+    notices.push(escalationNotice(pathway, stages.escalation));
+  }
+  return notices;
+}
@@ -1,5 +1,5 @@
 // Gemini API wrapper
-// Calls the server-side /api/chat endpoint which proxies to Gemini
+// Calls the server-side /api/chat endpoints which proxy to the configured AI model
 
 /**
  * Send a message to Gemini via the server proxy.
@@ -35,6 +35,80 @@ export async function sendMessage(systemPrompt, history, userMessage) {
   return data.text;
 }
 
+/**
+ * Send a message and receive the reply as it is generated, via the SSE endpoint.
+ * onText is called with the full text received so far after every chunk.
+ *
+ * @param {string} systemPrompt - The system instruction
+ * @param {Array<{role: string, text: string}>} history - Previous messages
+ * @param {string} userMessage - The new user message
+ * @param {function(string): void} onText - Progress callback with the accumulated text
+ * @returns {Promise<string>} The complete response text
+ * @throws {Error} On network/API errors, including errors reported mid-stream
+ */
+export async function streamMessage(systemPrompt, history, userMessage, onText) {
+  let response;
+  try {
+    response = await fetch('/api/chat/stream', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ systemPrompt, history, userMessage })
+    });
+  } catch (err) {
+    throw new Error('Network error: could not reach the server. Please check your internet connection.');
+  }
+
+  if (!response.ok) {
+    const data = await response.json().catch(() => ({}));
+    throw new Error(data.error || `Server error (${response.status}). Please try again.`);
+  }
+
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+  let text = '';
+
+  try {
+    while (true) {
+      const { done, value } = await reader.read();
+      if (done) break;
+      buffer += decoder.decode(value, { stream: true });
+
+      // Each SSE event ends with a blank line
+      let boundary;
+      while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+        const rawEvent = buffer.slice(0, boundary);
+        buffer = buffer.slice(boundary + 2);
+
+        const eventLine = rawEvent.match(/^event: (.+)$/m);
+        const dataLine = rawEvent.match(/^data: (.*)$/m);
+        const event = eventLine ? eventLine[1] : 'message';
+        const data = dataLine ? JSON.parse(dataLine[1]) : {};
+
+        if (event === 'error') {
+          throw new Error(data.error || 'The response was interrupted. Please try again.');
+        }
+        if (event === 'done') {
+          if (!text) throw new Error('Empty response. Please try again.');
+          return text;
+        }
+        if (data.text) {
+          text += data.text;
+          onText(text);
+        }
+      }
+    }
+  } catch (err) {
+    if (err instanceof TypeError) {
+      throw new Error('Network error: the connection was lost. Please try again.');
+    }
+    throw err;
+  }
+
+  // Stream closed without a done event — treat as interrupted
+  throw new Error('The response was interrupted. Please try again.');
+}
+
 /**
  * Send a one-shot prompt (no history) for tasks like letter generation.
  *
@@ -0,0 +1,163 @@
+// UK bank holidays
+// Works out each nation's bank holidays for any year: Easter, the fixed Monday holidays,
+// and substitute days for holidays that fall at a weekend. One-off holidays, and holidays
+// moved to make room for them, come from the override list.
+
+/** Nations with their own bank holidays. Wales shares England's. */
+export const BANK_HOLIDAY_NATIONS = ['England', 'Wales', 'Scotland', 'Northern Ireland'];
+
+/**
+ * One-off changes to the usual calendar, for every nation unless `nations` is given.
+ * An entry with `replaces` moves that year's usual holiday to `date`.
+ * @type {{date: string, name: string, replaces?: string, nations?: string[]}[]}
+ */
+export const BANK_HOLIDAY_OVERRIDES = [
+  { date: '2012-06-04', name: 'Spring bank holiday', replaces: '2012-05-28' },
+  { date: '2012-06-05', name: 'Queen’s Diamond Jubilee' },
+  { date: '2020-05-08', name: 'Early May bank holiday (VE Day)', replaces: '2020-05-04' },
+  { date: '2022-06-02', name: 'Spring bank holiday', replaces: '2022-05-30' },
+  { date: '2022-06-03', name: 'Queen’s Platinum Jubilee' },
+  { date: '2022-09-19', name: 'State Funeral of Queen Elizabeth II' },
+  { date: '2023-05-08', name: 'Coronation of King Charles III' }
+];
+
+/**
+ * @typedef {Object} BankHoliday
+ * @property {string} date - YYYY-MM-DD
+ * @property {string} name
+ */
+
+const pad = n => String(n).padStart(2, '0');
+const isoDate = (year, month, day) => `${year}-${pad(month)}-${pad(day)}`;
+
+// Dates are handled at noon UTC so day arithmetic never crosses a clock change
+function utcDate(year, month, day) {
+  return new Date(Date.UTC(year, month - 1, day, 12));
+}
+
+function fromUtc(date) {
+  return isoDate(date.getUTCFullYear(), date.getUTCMonth() + 1, date.getUTCDate());
+}
+
+function isWeekend(date) {
+  const day = date.getUTCDay();
+  return day === 0 || day === 6;
+}
+
+/**
+ * Easter Sunday in the Gregorian calendar (the anonymous Gregorian algorithm).
+ *
+ * @param {number} year
+ * @returns {{month: number, day: number}}
+ */
+export function easterSunday(year) {
+  const a = year % 19;
+  const b = Math.floor(year / 100);
+  const c = year % 100;
+  const d = Math.floor(b / 4);
+  const e = b % 4;
+  const f = Math.floor((b + 8) / 25);
+  const g = Math.floor((b - f + 1) / 3);
+  const h = (19 * a + b - d - g + 15) % 30;
+  const i = Math.floor(c / 4);
+  const k = c % 4;
+  const l = (32 + 2 * e + 2 * i - h - k) % 7;
+  const m = Math.floor((a + 11 * h + 22 * l) / 451);
+  const month = Math.floor((h + l - 7 * m + 114) / 31);
+  const day = ((h + l - 7 * m + 114) % 31) + 1;
+  return { month, day };
+}
+
+function easterOffset(year, days) {
+  const { month, day } = easterSunday(year);
+  return fromUtc(utcDate(year, month, day + days));
+}
+
+function firstMonday(year, month) {
+  const first = utcDate(year, month, 1);
+  return fromUtc(utcDate(year, month, 1 + ((8 - first.getUTCDay()) % 7)));
+}
+
+function lastMonday(year, month) {
+  const last = utcDate(year, month + 1, 0);
+  return fromUtc(utcDate(year, month, last.getUTCDate() - ((last.getUTCDay() + 6) % 7)));
+}
+
+function normaliseNation(nation) {
+  return BANK_HOLIDAY_NATIONS.includes(nation) ? nation : 'England';
+}
+
+/**
+ * Bank holidays for one nation and year, in date order.
+ *
+ * A fixed-date holiday that falls at a weekend moves to the next weekday that is not already
+ * a holiday, so Christmas Day on a Saturday is kept on the Monday and Boxing Day on the Tuesday.
+ *
+ * @param {number} year
+ * @param {string} [nation] - 'England', 'Wales', 'Scotland' or 'Northern Ireland'; others count as England
+ * @returns {BankHoliday[]}
+ */
+export function getBankHolidays(year, nation = 'England') {
+  nation = normaliseNation(nation);
+  const scotland = nation === 'Scotland';
+
+  const fixed = [{ month: 1, day: 1, name: 'New Year’s Day' }];
+  if (scotland) fixed.push({ month: 1, day: 2, name: '2nd January' });
+  if (nation === 'Northern Ireland') {
+    fixed.push({ month: 3, day: 17, name: 'St Patrick’s Day' });
+    fixed.push({ month: 7, day: 12, name: 'Battle of the Boyne (Orangemen’s Day)' });
+  }
+  if (scotland) fixed.push({ month: 11, day: 30, name: 'St Andrew’s Day' });
+  fixed.push({ month: 12, day: 25, name: 'Christmas Day' }, { month: 12, day: 26, name: 'Boxing Day' });
+
+  const holidays = [
+    { date: easterOffset(year, -2), name: 'Good Friday' },
+    { date: firstMonday(year, 5), name: 'Early May bank holiday' },
+    { date: lastMonday(year, 5), name: 'Spring bank holiday' },
+    scotland
+      ? { date: firstMonday(year, 8), name: 'Summer bank holiday' }
+      : { date: lastMonday(year, 8), name: 'Summer bank holiday' }
+  ];
+  if (!scotland) holidays.push({ date: easterOffset(year, 1), name: 'Easter Monday' });
+
+  // Weekday holidays first, so substitutes skip over them
+  const weekend = [];
+  for (const { month, day, name } of fixed) {
+    if (isWeekend(utcDate(year, month, day))) weekend.push({ month, day, name });
+    else holidays.push({ date: isoDate(year, month, day), name });
+  }
+  const taken = date => isWeekend(date) || holidays.some(h => h.date === fromUtc(date));
+  for (const { month, day, name } of weekend) {
+    let offset = 1;
+    while (taken(utcDate(year, month, day + offset))) offset++;
+    holidays.push({ date: fromUtc(utcDate(year, month, day + offset)), name: `${name} (substitute day)` });
+  }
+
+  for (const override of BANK_HOLIDAY_OVERRIDES) {
+    if (!override.date.startsWith(`${year}-`)) continue;
+    if (override.nations && !override.nations.includes(nation)) continue;
+    const moved = override.replaces ? holidays.findIndex(h => h.date === override.replaces) : -1;
+    if (moved >= 0) holidays.splice(moved, 1);
+    holidays.push({ date: override.date, name: override.name });
+  }
+
+  return holidays.sort((a, b) => a.date.localeCompare(b.date));
+}
+
+const calendarCache = new Map();
+
+/**
+ * Whether a date is a bank holiday in a nation.
+ *
+ * @param {string} date - YYYY-MM-DD
+ * @param {string} [nation]
+ * @returns {boolean}
+ */
+export function isBankHoliday(date, nation = 'England') {
+  const year = date.slice(0, 4);
+  const key = `${normaliseNation(nation)}:${year}`;
+  if (!calendarCache.has(key)) {
+    calendarCache.set(key, new Set(getBankHolidays(Number(year), nation).map(h => h.date)));
+  }
+  return calendarCache.get(key).has(date);
+}
@@ -0,0 +1,381 @@
+// Ombudsman submission assistant
+// The questions each ombudsman's online form asks, answered from the saved facts, letter and
+// diary within the form's character limits, with the attachments to include and a check of
+// the rules on who can apply
+
+import { validateSchema } from './schema.js';
+import { addTimeLimit, formatDate, fromIsoDate, toIsoDate } from './deadlines.js';
+
+/** Ombudsmen with a form here, matched by the `ombudsman` property of a pathway step. */
+export const OMBUDSMAN_IDS = ['phso', 'lgsco', 'spso', 'psow', 'iopc'];
+
+// The PHSO looks at government departments only when an MP refers the complaint
+const HEALTH_BODY_TYPES = ['nhs_trust', 'gp'];
+
+/**
+ * One question on an ombudsman's form. Questions with `fill` are answered straight from the
+ * facts; the rest are written by the model following `guidance`.
+ * @typedef {Object} FormField
+ * @property {string} id
+ * @property {string} label - The question as the form asks it
+ * @property {number} maxLength - Characters the form allows
+ * @property {string} [fill] - Key of FACT_FILLS that answers it
+ * @property {string} [guidance] - What the answer should cover
+ */
+
+/**
+ * @typedef {Object} OmbudsmanForm
+ * @property {string} id
+ * @property {string} name
+ * @property {string} portalUrl
+ * @property {string} timeLimit - How long after the final response the ombudsman must be asked, as pathway timeLimit text
+ * @property {string} lateNote - What the ombudsman says about applying late
+ * @property {string} consentForm - What to include when complaining for someone else
+ * @property {FormField[]} fields
+ */
+
+/** @type {Record<string, OmbudsmanForm>} */
+export const OMBUDSMAN_FORMS = {
+  phso: {
+    id: 'phso',
+    name: 'Parliamentary and Health Service Ombudsman',
+    portalUrl: 'https://www.ombudsman.org.uk/making-complaint',
+    timeLimit: '12 months',
+    lateNote: 'The PHSO can look at a late complaint if there is a good reason it was not made sooner.',
+    consentForm: 'Signed PHSO consent form from the person you are complaining for',
+    fields: [
+      { id: 'organisation', label: 'Which organisation are you complaining about?', maxLength: 200, fill: 'organisation' },
+      { id: 'references', label: 'Reference numbers from the organisation', maxLength: 200, fill: 'references' },
+      { id: 'history', label: 'When did you complain to the organisation, and when did they reply?', maxLength: 1000, fill: 'history' },
+      { id: 'mp', label: 'Which MP is referring your complaint? (government departments only)', maxLength: 200, fill: 'mp' },
+      { id: 'what_happened', label: 'What happened?', maxLength: 3000, guidance: 'What went wrong, in date order, using only the facts given.' },
+      { id: 'why_unhappy', label: 'Why are you unhappy with the organisation\'s response?', maxLength: 2000, guidance: 'What the final response did not deal with or got wrong.' },
+      { id: 'impact', label: 'How has this affected you or the person you are complaining for?', maxLength: 2000, guidance: 'The effect on them, in their own words. Do not add feelings they did not mention.' },
+      { id: 'outcome', label: 'What would you like to happen to put things right?', maxLength: 1000, guidance: 'The outcome they asked for, such as an apology, an explanation, a change in practice or money back.' }
+    ]
+  },
+  lgsco: {
+    id: 'lgsco',
+    name: 'Local Government and Social Care Ombudsman',
+    portalUrl: 'https://www.lgo.org.uk/make-a-complaint',
+    timeLimit: '12 months',
+    lateNote: 'The LGSCO usually expects complaints within 12 months of when you found out about the problem, but can look at older ones if there is a good reason.',
+    consentForm: 'Written consent from the person you are complaining for, or proof you can act for them',
+    fields: [
+      { id: 'organisation', label: 'Which council or care provider is your complaint about?', maxLength: 200, fill: 'organisation' },
+      { id: 'service', label: 'Which service is it about?', maxLength: 200, fill: 'service' },
+      { id: 'aware', label: 'When did you first become aware of the problem?', maxLength: 100, fill: 'aware' },
+      { id: 'history', label: 'Have you complained to the council or care provider? When did they give their final response?', maxLength: 1000, fill: 'history' },
+      { id: 'what_happened', label: 'What is your complaint about?', maxLength: 2000, guidance: 'What the council or provider did or did not do, in date order.' },
+      { id: 'impact', label: 'How has this affected you?', maxLength: 1000, guidance: 'The effect on the person, in their own words.' },
+      { id: 'why_unhappy', label: 'Why are you unhappy with their response to your complaint?', maxLength: 1000, guidance: 'What their final response did not deal with or got wrong.' },
+      { id: 'outcome', label: 'What do you think they should do to put things right?', maxLength: 1000, guidance: 'The outcome the person asked for.' }
+    ]
+  },
+  spso: {
+    id: 'spso',
+    name: 'Scottish Public Services Ombudsman',
+    portalUrl: 'https://www.spso.org.uk/complain/form/start',
+    timeLimit: '12 months',
+    lateNote: 'The SPSO can look at a complaint after 12 months only in special circumstances.',
+    consentForm: 'Signed SPSO consent form from the person you are complaining for',
+    fields: [
+      { id: 'organisation', label: 'Organisation you are complaining about', maxLength: 200, fill: 'organisation' },
+      { id: 'references', label: 'Organisation\'s complaint reference', maxLength: 100, fill: 'references' },
+      { id: 'final_response', label: 'Date of the organisation\'s final response', maxLength: 100, fill: 'finalResponse' },
+      { id: 'what_happened', label: 'What is your complaint?', maxLength: 2500, guidance: 'What went wrong, in date order, as separate numbered points.' },
+      { id: 'why_unhappy', label: 'Why are you unhappy with the organisation\'s final response?', maxLength: 1500, guidance: 'What their final response did not deal with or got wrong.' },
+      { id: 'impact', label: 'What impact has this had on you?', maxLength: 1000, guidance: 'The effect on the person, in their own words.' },
+      { id: 'outcome', label: 'What outcome are you looking for?', maxLength: 1000, guidance: 'The outcome the person asked for.' }
+    ]
+  },
+  psow: {
+    id: 'psow',
+    name: 'Public Services Ombudsman for Wales',
+    portalUrl: 'https://www.ombudsman.wales/make-a-complaint/',
+    timeLimit: '12 months',
+    lateNote: 'The PSOW can look at a complaint after 12 months if there is a good reason it was not made sooner.',
+    consentForm: 'Written consent from the person you are complaining for',
+    fields: [
+      { id: 'organisation', label: 'Which organisation are you complaining about?', maxLength: 200, fill: 'organisation' },
+      { id: 'aware', label: 'When did you first become aware of the problem?', maxLength: 100, fill: 'aware' },
+      { id: 'history', label: 'What have you done to complain to the organisation?', maxLength: 1000, fill: 'history' },
+      { id: 'what_happened', label: 'What is your complaint about?', maxLength: 3000, guidance: 'What went wrong, in date order.' },
+      { id: 'impact', label: 'How have you been affected?', maxLength: 1500, guidance: 'The effect on the person, in their own words.' },
+      { id: 'outcome', label: 'What would you like to happen as a result of your complaint?', maxLength: 1000, guidance: 'The outcome the person asked for.' }
+    ]
+  },
+  iopc: {
+    id: 'iopc',
+    name: 'Independent Office for Police Conduct',
+    portalUrl: 'https://www.policeconduct.gov.uk/complaints/make-a-complaint',
+    timeLimit: '28 days',
+    lateNote: 'A review request after 28 days is only accepted if there are special circumstances.',
+    consentForm: 'Written consent from the person you are complaining for',
+    fields: [
+      { id: 'organisation', label: 'Which police force dealt with your complaint?', maxLength: 200, fill: 'organisation' },
+      { id: 'references', label: 'Complaint reference number', maxLength: 100, fill: 'references' },
+      { id: 'final_response', label: 'Date of the outcome letter', maxLength: 100, fill: 'finalResponse' },
+      { id: 'what_happened', label: 'Briefly, what was your complaint about?', maxLength: 1500, guidance: 'What the person complained to the force about.' },
+      { id: 'why_unhappy', label: 'Why do you think the outcome of your complaint was not reasonable and proportionate?', maxLength: 3000, guidance: 'What the force\'s outcome did not deal with or got wrong, and any evidence it did not consider.' },
+      { id: 'outcome', label: 'What outcome are you looking for from the review?', maxLength: 1000, guidance: 'The outcome the person asked for.' }
+    ]
+  }
+};
+
+/**
+ * What the assistant works from.
+ * @typedef {Object} OmbudsmanContext
+ * @property {object} facts - Extracted facts
+ * @property {import('./router.js').Pathway} pathway - The main complaint's pathway
+ * @property {import('./stages.js').StageTracking} stages
+ * @property {number} stepIndex - Index of the ombudsman's step
+ * @property {{name: string, constituency?: string}|null} [mp]
+ */
+
+function describeDate(isoDate) {
+  return formatDate(fromIsoDate(isoDate));
+}
+
+// The body's final word before the ombudsman: its final response, or the date it should have replied by
+function finalResponseDate({ stages, stepIndex }) {
+  const prior = stages.steps[stepIndex - 1];
+  if (!prior) return null;
+  if (prior.status === 'final_response' && prior.responded) return { date: prior.responded, missed: false };
+  if (prior.status === 'deadline_missed' && prior.responseDue) return { date: prior.responseDue, missed: true };
+  if (stages.escalation?.eligible && stages.escalation.basis === 'time_elapsed' && stages.escalation.date) {
+    return { date: stages.escalation.date, missed: true };
+  }
+  return null;
+}
+
+const FACT_FILLS = {
+  organisation: ({ facts }) => facts.publicBody,
+  service: ({ facts }) => facts.service || facts.issue,
+  references: ({ facts }) => facts.referenceNumbers || '',
+  aware: ({ facts }) => facts.awarenessDate || facts.dateSpecific || facts.dateRange || '',
+  finalResponse: context => {
+    const final = finalResponseDate(context);
+    if (!final) return '';
+    return final.missed ? `No final response. They should have replied by ${describeDate(final.date)}.` : describeDate(final.date);
+  },
+  history: ({ pathway, stages, stepIndex }) => stages.steps.slice(0, stepIndex).map((step, i) => {
+    if (step.status === 'not_started') return null;
+    const parts = [
+      step.submitted ? `complained on ${describeDate(step.submitted)}` : 'complained',
+      step.acknowledged && `acknowledged on ${describeDate(step.acknowledged)}`,
+      step.responded && `${step.status === 'final_response' ? 'final response' : 'reply'} on ${describeDate(step.responded)}`,
+      step.status === 'deadline_missed' && 'no reply by the deadline'
+    ].filter(Boolean);
+    return `${pathway.steps[i].name}: ${parts.join(', ')}.`;
+  }).filter(Boolean).join('\n'),
+  mp: ({ facts, mp }) => {
+    if (HEALTH_BODY_TYPES.includes(facts.bodyType)) return 'Not needed for NHS complaints';
+    return mp ? `${mp.name}${mp.constituency ? `, MP for ${mp.constituency}` : ''}` : '[YOUR MP\'S NAME]';
+  }
+};
+
+/**
+ * The first pathway step an ombudsman here handles.
+ *
+ * @param {import('./router.js').Pathway} pathway
+ * @returns {number} Step index, or -1
+ */
+export function findOmbudsmanStep(pathway) {
+  return pathway.steps.findIndex(step => OMBUDSMAN_FORMS[step.ombudsman]);
+}
+
+/**
+ * The form's questions that the model writes, and the answers taken straight from the facts.
+ *
+ * @param {OmbudsmanForm} form
+ * @param {OmbudsmanContext} context
+ * @returns {{written: FormField[], filled: Record<string, string>}}
+ */
+export function splitFormFields(form, context) {
+  const filled = {};
+  for (const field of form.fields) {
+    if (field.fill) filled[field.id] = FACT_FILLS[field.fill](context) || '';
+  }
+  return { written: form.fields.filter(field => !field.fill), filled };
+}
+
+/**
+ * @typedef {Object} EligibilityCheck
+ * @property {'exhausted'|'time_limit'|'legal_action'|'mp_referral'} id
+ * @property {'pass'|'fail'|'check'} status - 'check' means the person needs to confirm it
+ * @property {string} message
+ */
+
+/**
+ * Check the rules each ombudsman applies before it will look at a complaint: the body's own
+ * process is finished, the ombudsman is asked in time, and the matter is not going to court.
+ *
+ * @param {OmbudsmanForm} form
+ * @param {OmbudsmanContext} context
+ * @param {Date} [now]
+ * @returns {EligibilityCheck[]}
+ */
+export function checkOmbudsmanEligibility(form, context, now = new Date()) {
+  const { facts, pathway, stepIndex } = context;
+  const checks = [];
+  const prior = pathway.steps[stepIndex - 1];
+  const final = finalResponseDate(context);
+
+  if (!prior || final) {
+    checks.push({
+      id: 'exhausted',
+      status: 'pass',
+      message: final?.missed
+        ? `${facts.publicBody} did not reply in time, so you do not have to wait for their final response.`
+        : `You have been through ${facts.publicBody}'s complaints process.`
+    });
+  } else {
+    checks.push({
+      id: 'exhausted',
+      status: 'fail',
+      message: `Finish "${prior.name}" first. The ${form.name} will usually only look at your complaint after ${facts.publicBody}'s final response, or once they have missed their deadline to reply.`
+    });
+  }
+
+  const limit = final ? addTimeLimit(fromIsoDate(final.date), form.timeLimit) : null;
+  if (!limit) {
+    checks.push({ id: 'time_limit', status: 'check', message: `You usually have ${form.timeLimit} from the final response to apply.` });
+  } else if (toIsoDate(limit) >= toIsoDate(now)) {
+    checks.push({ id: 'time_limit', status: 'pass', message: `Apply by ${formatDate(limit)}, ${form.timeLimit} after ${final.missed ? 'their reply was due' : 'their final response'}.` });
+  } else {
+    checks.push({ id: 'time_limit', status: 'fail', message: `The ${form.timeLimit} to apply ended on ${formatDate(limit)}. ${form.lateNote}` });
+  }
+
+  const legal = {
+    none: { status: 'pass', message: 'You have not taken legal action about this.' },
+    planned: { status: 'check', message: `You are thinking about legal action. The ${form.name} will not usually look at a complaint that has gone to court, so decide which to do first.` },
+    underway: { status: 'fail', message: `The ${form.name} will not usually look at a complaint that is going through the courts.` }
+  }[facts.legalActionStatus] || { status: 'check', message: 'Say whether you have taken legal action about this. Ombudsmen will not usually look at a complaint that has gone to court.' };
+  checks.push({ id: 'legal_action', ...legal });
+
+  if (form.id === 'phso' && !HEALTH_BODY_TYPES.includes(facts.bodyType)) {
+    checks.push({
+      id: 'mp_referral',
+      status: 'check',
+      message: `The PHSO only looks at complaints about government departments when an MP refers them. Ask ${context.mp ? context.mp.name : 'your MP'} to refer your complaint.`
+    });
+  }
+
+  return checks;
+}
+
+/**
+ * What to attach to the ombudsman application.
+ *
+ * @param {OmbudsmanForm} form
+ * @param {OmbudsmanContext} context
+ * @returns {string[]}
+ */
+export function listOmbudsmanAttachments(form, context) {
+  const { facts } = context;
+  const final = finalResponseDate(context);
+  const attachments = [`Your complaint to ${facts.publicBody}, and any letters you sent after it`];
+  if (final && !final.missed) attachments.push(`${facts.publicBody}'s final response of ${describeDate(final.date)}`);
+  else attachments.push(`Any replies from ${facts.publicBody}, and proof of when you complained if they did not reply`);
+  if (facts.thirdParty) attachments.push(`${form.consentForm}${facts.thirdPartyName ? ` (${facts.thirdPartyName})` : ''}`);
+  if (form.id === 'iopc' && facts.referenceNumbers) attachments.push(`The outcome letter showing reference ${facts.referenceNumbers}`);
+  attachments.push('Any evidence you have that the body did not consider, such as photos, letters or notes of calls');
+  return attachments;
+}
+
+/**
+ * Cut an answer to the form's limit, at the end of a sentence where one is near enough.
+ *
+ * @param {string} text
+ * @param {number} maxLength
+ * @returns {{text: string, trimmed: boolean}}
+ */
+export function fitToLimit(text, maxLength) {
+  const value = (text || '').trim();
+  if (value.length <= maxLength) return { text: value, trimmed: false };
+
+  const cut = value.slice(0, maxLength);
+  const sentenceEnd = Math.max(cut.lastIndexOf('. '), cut.lastIndexOf('.\n'), cut.lastIndexOf('? '), cut.lastIndexOf('! '));
+  if (sentenceEnd >= maxLength * 0.6) return { text: cut.slice(0, sentenceEnd + 1), trimmed: true };
+
+  const wordEnd = cut.slice(0, maxLength - 1).lastIndexOf(' ');
+  return { text: `${cut.slice(0, wordEnd > 0 ? wordEnd : maxLength - 1).trimEnd()}…`, trimmed: true };
+}
+
+export const OMBUDSMAN_SYSTEM_PROMPT = `You fill in an ombudsman's online complaint form for a UK citizen, using what they have already told us, the complaint they sent and what happened after.
+
+RULES:
+- Answer each question in the list, in the first person, as the person would write it.
+- Use only the facts given. Do not embellish, dramatise or add anything the person did not say.
+- Keep each answer well under its character limit. Short, plain sentences.
+- If something a question needs is not in the facts, write a placeholder in square brackets, such as [DATE OF THE MEETING].
+- Reply with ONLY a \`\`\`json block in this form, and nothing else:
+\`\`\`json
+{ "answers": { "question_id": "The answer" } }
+\`\`\``;
+
+/**
+ * @param {OmbudsmanForm} form
+ * @param {OmbudsmanContext} context
+ * @param {object} sources
+ * @param {string} [sources.letterText] - The complaint that was sent, if drafted here
+ * @param {string[]} [sources.gaps] - What the body's replies did not deal with, from checked replies
+ * @param {string} [sources.chronology] - The chronology as lines, from formatChronology
+ * @returns {string}
+ */
+export function buildOmbudsmanPrompt(form, context, { letterText = '', gaps = [], chronology = '' } = {}) {
+  const { facts } = context;
+  const { written } = splitFormFields(form, context);
+
+  let prompt = `Ombudsman: ${form.name}
+Public body: ${facts.publicBody}
+Issue: ${facts.issue}
+What happened: ${facts.details}
+When: ${facts.dateSpecific || facts.dateRange || 'Not specified'}
+Impact: ${facts.personalImpact || 'Not specified'}
+Desired outcome: ${facts.desiredOutcome || 'Not specified'}`;
+  if (facts.thirdParty) prompt += `\nComplaining on behalf of: ${facts.thirdPartyName || 'someone else'}`;
+  const history = FACT_FILLS.history(context);
+  if (history) prompt += `\n\nCOMPLAINT HISTORY:\n${history}`;
+  if (chronology) prompt += `\n\nCHRONOLOGY:\n${chronology}`;
+  if (gaps.length) prompt += `\n\nWHAT THEIR REPLIES DID NOT DEAL WITH:\n${gaps.map(g => `- ${g}`).join('\n')}`;
+  if (letterText.trim()) prompt += `\n\nCOMPLAINT SENT:\n${letterText.trim()}`;
+
+  prompt += `\n\nFORM QUESTIONS:\n${written.map(f => `- ${f.id} (up to ${f.maxLength} characters): ${f.label} ${f.guidance}`).join('\n')}`;
+  return prompt;
+}
+
+/**
+ * Find and validate the answers block in the model's reply.
+ *
+ * @param {string} responseText
+ * @param {OmbudsmanForm} form
+ * @returns {{answers: Record<string, string>|null, errors: import('./schema.js').SchemaError[]}}
+ */
+export function parseOmbudsmanAnswers(responseText, form) {
+  const jsonMatch = responseText.match(/```json\s*([\s\S]*?)```/);
+  if (!jsonMatch) return { answers: null, errors: [{ path: '', message: 'No JSON block in the reply' }] };
+
+  let parsed;
+  try {
+    parsed = JSON.parse(jsonMatch[1].trim());
+  } catch (err) {
+    return { answers: null, errors: [{ path: '', message: `The JSON block could not be parsed: ${err.message}` }] };
+  }
+
+  const ids = form.fields.filter(field => !field.fill).map(field => field.id);
+  const schema = {
+    type: 'object',
+    required: ['answers'],
+    properties: {
+      answers: {
+        type: 'object',
+        required: ids,
+        properties: Object.fromEntries(ids.map(id => [id, { type: 'string', minLength: 1 }]))
+      }
+    }
+  };
+  const errors = validateSchema(schema, parsed);
+  return { answers: errors.length === 0 ? parsed.answers : null, errors };
+}
@@ -0,0 +1,27 @@
+// Identifier redaction
+// Hides NHS and National Insurance numbers before text is sent to the AI. Used in the browser
+// for chat messages and by server.js for text pulled out of uploaded documents, so both follow
+// the same rules.
+
+export const REDACT_PATTERNS = [
+  { regex: /\b\d{3}\s?\d{3}\s?\d{4}\b/g, token: '[NHS_NUMBER]' },           // NHS number: 3-3-4 digits
+  { regex: /\b[A-Z]{2}\s?\d{2}\s?\d{2}\s?\d{2}\s?[A-D]\b/gi, token: '[NI_NUMBER]' }, // NI number
+];
+
+export function redactIdentifiers(text) {
+  let redacted = text;
+  for (const { regex, token } of REDACT_PATTERNS) {
+    redacted = redacted.replace(regex, token);
+  }
+  return redacted;
+}
+
+/**
+ * How many identifiers redactIdentifiers would hide.
+ *
+ * @param {string} text
+ * @returns {number}
+ */
+export function countIdentifiers(text) {
+  return REDACT_PATTERNS.reduce((count, { regex }) => count + (text.match(regex) || []).length, 0);
+}
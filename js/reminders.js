@@ -0,0 +1,190 @@
+// Deadline reminders
+// Opt-in reminders of complaint dates coming up: listed on the landing page, and shown as
+// notifications by the service worker in sw.js. Reminders are worked out from the sessions
+// saved in this browser, and the notification schedule is kept in this browser too.
+
+import { addDays, fromIsoDate, toIsoDate } from './deadlines.js';
+
+export const REMINDERS_KEY = 'complaints_navigator_reminders';
+
+/** How many days ahead the landing page lists dates. */
+export const REMINDER_WINDOW_DAYS = 14;
+
+/** Days before a date that a notification is shown: a week before, the day before, and on the day. */
+export const NOTIFY_DAYS_BEFORE = [7, 1, 0];
+
+const PERIODIC_SYNC_TAG = 'complaint-reminders';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * A date coming up in a saved complaint.
+ * @typedef {Object} UpcomingDate
+ * @property {string} key - The same for the same date each time it is worked out
+ * @property {'submit'|'acknowledgment'|'response'|'extended_response'|'escalate'|'records'|'ico'} kind
+ * @property {Date} date
+ * @property {string} body - The public body, or the step the complaint can go to for 'escalate'
+ * @property {string} summary - Calendar event title
+ * @property {string} description - Calendar event detail
+ * @property {string} [sessionId]
+ */
+
+/**
+ * @typedef {Object} Reminder
+ * @property {string} id
+ * @property {string} sessionId
+ * @property {Date} date
+ * @property {number} days - Days from today; 0 is today
+ * @property {string} text
+ * @property {boolean} urgent - Due tomorrow or today
+ */
+
+export function remindersEnabled() {
+  try {
+    return JSON.parse(localStorage.getItem(REMINDERS_KEY))?.enabled === true;
+  } catch {
+    return false;
+  }
+}
+
+export function setRemindersEnabled(enabled) {
+  if (enabled) localStorage.setItem(REMINDERS_KEY, JSON.stringify({ enabled: true }));
+  else localStorage.removeItem(REMINDERS_KEY);
+}
+
+function daysBetween(from, to) {
+  return Math.round((fromIsoDate(toIsoDate(to)) - fromIsoDate(toIsoDate(from))) / DAY_MS);
+}
+
+function describeWhen(days) {
+  if (days === 0) return 'today';
+  if (days === 1) return 'tomorrow';
+  return `in ${days} days`;
+}
+
+/**
+ * One line about an upcoming date, such as "Riverside NHS Trust response due in 3 days".
+ *
+ * @param {UpcomingDate} item
+ * @param {number} days - Days from today
+ * @returns {string}
+ */
+export function reminderText(item, days) {
+  const when = describeWhen(days);
+  switch (item.kind) {
+    case 'submit': return `Your time to complain to ${item.body} ends ${when}`;
+    case 'acknowledgment': return `${item.body} acknowledgment due ${when}`;
+    case 'response': return `${item.body} response due ${when}`;
+    case 'extended_response': return `${item.body} response due ${when} if they extended`;
+    case 'escalate': return `You can take your complaint to ${item.body} ${days === 0 ? 'from today' : when}`;
+    case 'records': return `Your records from ${item.body} due ${when}`;
+    case 'ico': return `You can complain to the ICO about your records ${days === 0 ? 'from today' : when}`;
+    default: return `${item.summary} ${when}`;
+  }
+}
+
+/**
+ * Reminders for dates from today to REMINDER_WINDOW_DAYS ahead, soonest first.
+ *
+ * @param {UpcomingDate[]} dates
+ * @param {Date} [now]
+ * @returns {Reminder[]}
+ */
+export function buildReminders(dates, now = new Date()) {
+  return dates
+    .map(item => ({ item, days: daysBetween(now, item.date) }))
+    .filter(({ days }) => days >= 0 && days <= REMINDER_WINDOW_DAYS)
+    .sort((a, b) => a.days - b.days)
+    .map(({ item, days }) => ({
+      id: item.key,
+      sessionId: item.sessionId,
+      date: item.date,
+      days,
+      text: reminderText(item, days),
+      urgent: days <= 1
+    }));
+}
+
+/**
+ * The notifications to show for each date, each with the day to show it and its text for that
+ * day. A date already inside a notification's window gets that notification today instead,
+ * with the days left counted from today, and keeps its id so it is only shown once.
+ *
+ * @param {UpcomingDate[]} dates
+ * @param {Date} [now]
+ * @returns {{id: string, reminderId: string, sessionId: string, notifyOn: string, text: string}[]}
+ */
+export function buildNotificationSchedule(dates, now = new Date()) {
+  const schedule = [];
+  for (const item of dates) {
+    const days = daysBetween(now, item.date);
+    if (days < 0) continue;
+
+    const current = Math.min(...NOTIFY_DAYS_BEFORE.filter(before => before >= days));
+    for (const before of NOTIFY_DAYS_BEFORE) {
+      if (before > days && before !== current) continue;
+      const today = before === current;
+      schedule.push({
+        id: `${item.key}:${before}`,
+        reminderId: item.key,
+        sessionId: item.sessionId,
+        notifyOn: toIsoDate(today ? now : addDays(item.date, -before)),
+        text: reminderText(item, today ? days : before)
+      });
+    }
+  }
+  return schedule;
+}
+
+/** 'unsupported', or the browser's notification permission: 'default', 'granted' or 'denied'. */
+export function notificationPermission() {
+  if (!('Notification' in window) || !('serviceWorker' in navigator)) return 'unsupported';
+  return Notification.permission;
+}
+
+/**
+ * Ask to show notifications. Must be called from a click or other user action.
+ *
+ * @returns {Promise<string>} The permission afterwards
+ */
+export async function requestNotificationPermission() {
+  if (notificationPermission() !== 'default') return notificationPermission();
+  return Notification.requestPermission();
+}
+
+async function getWorker() {
+  const registration = await navigator.serviceWorker.register('sw.js');
+  await navigator.serviceWorker.ready;
+  return registration;
+}
+
+/**
+ * Hand the notification schedule to the service worker, which shows anything due now and,
+ * where the browser supports periodic background sync, checks again each day.
+ *
+ * @param {ReturnType<typeof buildNotificationSchedule>} schedule
+ */
+export async function syncNotifications(schedule) {
+  if (notificationPermission() !== 'granted') return;
+  try {
+    const registration = await getWorker();
+    registration.active?.postMessage({ type: 'schedule', entries: schedule });
+    if ('periodicSync' in registration) {
+      await registration.periodicSync.register(PERIODIC_SYNC_TAG, { minInterval: DAY_MS }).catch(() => {});
+    }
+  } catch {
+    // No service worker here, so the reminders panel on the landing page is all there is
+  }
+}
+
+/** Remove the notification schedule and stop the daily check. */
+export async function clearNotifications() {
+  if (!('serviceWorker' in navigator)) return;
+  try {
+    const registration = await navigator.serviceWorker.getRegistration();
+    if (!registration) return;
+    registration.active?.postMessage({ type: 'clear' });
+    if ('periodicSync' in registration) await registration.periodicSync.unregister(PERIODIC_SYNC_TAG).catch(() => {});
+  } catch {
+    // Nothing registered that can be cleared
+  }
+}
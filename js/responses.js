@@ -0,0 +1,186 @@
+// Response analysis
+// Checks a public body's reply against the complaint that was sent: which questions and
+// requested outcomes it dealt with, whether it apologised, put things right and said where
+// to go next, and whether to accept it, ask them to clarify, or escalate
+
+import { validateSchema } from './schema.js';
+
+export const RESPONSE_ANALYSIS_SYSTEM_PROMPT = `You check a public body's reply to a complaint for a UK citizen, so they know whether it dealt with everything they asked.
+
+Compare the reply with the complaint point by point:
+- List every question the complaint asked and every outcome it asked for, in the person's own words, as "points".
+- For each point, say whether the reply answered it ("answered"), dealt with it only in part or vaguely ("partly_answered"), or did not deal with it ("not_answered"). Add a short comment saying what the reply said, or what is missing.
+- apology: did the reply apologise for what went wrong ("given"), apologise only for how the person feels or in general terms ("partial"), or not apologise ("missing")? Use "not_needed" only if the reply fairly shows nothing went wrong.
+- remedy: did it say what it will do to put things right or stop it happening again ("given"), only vaguely ("partial"), or not at all ("missing")? Use "not_needed" only if nothing went wrong.
+- escalationInfo: did it say where the person can go if they are unhappy — the next stage, or the ombudsman or tribunal and how to contact them ("given" or "missing")? Use "not_needed" only for an informal reply that is not meant to end the matter.
+- finalResponse: true if the reply says it is the final response, the end of the complaints procedure, or tells the person they can now go to the ombudsman.
+
+Then recommend one of:
+- "accept" — the reply deals with the complaint well enough.
+- "clarify" — write back and ask them to answer what they missed, before going further.
+- "escalate" — take the complaint to the next stage, for example because this is the final response and important points are still not dealt with.
+
+RULES:
+- Judge only what is in the reply. Do not guess what the body meant or add facts.
+- Plain, simple English. Short comments.
+- Reply with ONLY a \`\`\`json block in this form, and nothing else:
+\`\`\`json
+{
+  "summary": "Two or three sentences on what the reply says",
+  "points": [{ "point": "A question or outcome from the complaint", "status": "answered", "comment": "What the reply said about it" }],
+  "apology": "given",
+  "remedy": "missing",
+  "escalationInfo": "given",
+  "finalResponse": false,
+  "recommendation": "clarify",
+  "reason": "One or two sentences on why"
+}
+\`\`\``;
+
+/** What a reply can be recommended for, in the order of how far it takes the complaint. */
+export const RESPONSE_RECOMMENDATIONS = ['accept', 'clarify', 'escalate'];
+
+const POINT_STATUSES = ['answered', 'partly_answered', 'not_answered'];
+
+export const RESPONSE_ANALYSIS_SCHEMA = {
+  type: 'object',
+  required: ['summary', 'points', 'apology', 'remedy', 'escalationInfo', 'finalResponse', 'recommendation', 'reason'],
+  properties: {
+    summary: { type: 'string', minLength: 1 },
+    points: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['point', 'status'],
+        properties: {
+          point: { type: 'string', minLength: 1 },
+          status: { type: 'string', enum: POINT_STATUSES },
+          comment: { type: ['string', 'null'] }
+        }
+      }
+    },
+    apology: { type: 'string', enum: ['given', 'partial', 'missing', 'not_needed'] },
+    remedy: { type: 'string', enum: ['given', 'partial', 'missing', 'not_needed'] },
+    escalationInfo: { type: 'string', enum: ['given', 'missing', 'not_needed'] },
+    finalResponse: { type: 'boolean' },
+    recommendation: { type: 'string', enum: RESPONSE_RECOMMENDATIONS },
+    reason: { type: 'string', minLength: 1 }
+  }
+};
+
+/**
+ * What the model made of a reply.
+ * @typedef {Object} ResponseAnalysis
+ * @property {string} summary
+ * @property {{point: string, status: string, comment?: string|null}[]} points
+ * @property {'given'|'partial'|'missing'|'not_needed'} apology
+ * @property {'given'|'partial'|'missing'|'not_needed'} remedy
+ * @property {'given'|'missing'|'not_needed'} escalationInfo
+ * @property {boolean} finalResponse
+ * @property {'accept'|'clarify'|'escalate'} recommendation
+ * @property {string} reason
+ */
+
+/**
+ * The recommended next move, checked against the pathway.
+ * @typedef {Object} ResponseAction
+ * @property {'accept'|'clarify'|'escalate'} action
+ * @property {number|null} nextStep - Index of the step to escalate to
+ * @property {string} message
+ */
+
+/**
+ * @param {object} options
+ * @param {object} options.facts - Extracted facts
+ * @param {import('./router.js').Pathway} options.pathway - The main complaint's pathway
+ * @param {number} options.stepIndex - The step the reply was to
+ * @param {string} options.letterText - The complaint that was sent, if the person drafted it here
+ * @param {string} options.replyText - The body's reply
+ * @returns {string}
+ */
+export function buildResponseAnalysisPrompt({ facts, pathway, stepIndex, letterText, replyText }) {
+  const step = pathway.steps[stepIndex];
+  const complaint = letterText?.trim()
+    || `Issue: ${facts.issue}\nWhat happened: ${facts.details}\nDesired outcome: ${facts.desiredOutcome || 'Not specified'}`;
+
+  return `Public body: ${facts.publicBody}
+Complaint stage: ${step ? step.name : 'Unknown'}${step?.stage === 'informal' ? ' (informal)' : ''}
+Desired outcome: ${facts.desiredOutcome || 'Not specified'}
+
+COMPLAINT SENT:
+${complaint}
+
+REPLY RECEIVED:
+${replyText.trim()}`;
+}
+
+/**
+ * Find and validate the analysis block in the model's reply.
+ *
+ * @param {string} responseText
+ * @returns {{analysis: ResponseAnalysis|null, errors: import('./schema.js').SchemaError[]}}
+ */
+export function parseResponseAnalysis(responseText) {
+  const jsonMatch = responseText.match(/```json\s*([\s\S]*?)```/);
+  if (!jsonMatch) return { analysis: null, errors: [{ path: '', message: 'No JSON block in the reply' }] };
+
+  let parsed;
+  try {
+    parsed = JSON.parse(jsonMatch[1].trim());
+  } catch (err) {
+    return { analysis: null, errors: [{ path: '', message: `The JSON block could not be parsed: ${err.message}` }] };
+  }
+
+  const errors = validateSchema(RESPONSE_ANALYSIS_SCHEMA, parsed);
+  return { analysis: errors.length === 0 ? parsed : null, errors };
+}
+
+/**
+ * What the reply left out, in plain English, most important first.
+ *
+ * @param {ResponseAnalysis} analysis
+ * @returns {string[]}
+ */
+export function findResponseGaps(analysis) {
+  const gaps = analysis.points
+    .filter(p => p.status !== 'answered')
+    .sort((a, b) => POINT_STATUSES.indexOf(b.status) - POINT_STATUSES.indexOf(a.status))
+    .map(p => `${p.status === 'not_answered' ? 'Not answered' : 'Only partly answered'}: ${p.point}`);
+
+  if (analysis.apology === 'missing') gaps.push('No apology');
+  if (analysis.apology === 'partial') gaps.push('Only a general apology, not for what went wrong');
+  if (analysis.remedy === 'missing') gaps.push('Nothing on how they will put things right');
+  if (analysis.remedy === 'partial') gaps.push('Only a vague promise to put things right');
+  if (analysis.escalationInfo === 'missing') gaps.push('Does not say where you can go next if you are unhappy');
+  return gaps;
+}
+
+/**
+ * Turn the model's recommendation into a next move on the pathway. Escalating needs a
+ * later step; at the last step, a reply with gaps is worth a clarification instead.
+ *
+ * @param {ResponseAnalysis} analysis
+ * @param {import('./router.js').Pathway} pathway
+ * @param {number} stepIndex - The step the reply was to
+ * @returns {ResponseAction}
+ */
+export function recommendResponseAction(analysis, pathway, stepIndex) {
+  const next = stepIndex + 1 < pathway.steps.length ? stepIndex + 1 : null;
+  const gaps = findResponseGaps(analysis);
+  let action = analysis.recommendation;
+  if (action === 'escalate' && next === null) action = gaps.length > 0 ? 'clarify' : 'accept';
+
+  const nextName = next !== null ? pathway.steps[next].name : null;
+  let message;
+  if (action === 'accept') {
+    message = 'The reply deals with your complaint. If you are happy with it, you do not need to do anything more.';
+  } else if (action === 'clarify') {
+    message = gaps.length > 0
+      ? `Write back and ask them to deal with ${gaps.length === 1 ? 'the point' : `the ${gaps.length} points`} they missed before you decide whether to go further.`
+      : 'Write back and ask them to explain anything in the reply that is unclear before you decide whether to go further.';
+  } else {
+    message = `You can take your complaint to "${nextName}".${analysis.escalationInfo === 'missing' ? ' The reply should have told you this.' : ''}`;
+  }
+
+  return { action, nextStep: action === 'escalate' ? next : null, message };
+}
@@ -0,0 +1,139 @@
+// Subject access requests
+// A letter asking the body for the person's records under UK GDPR Article 15, filled in from
+// the facts rather than written by the model, and where the request has got to from the
+// complaint diary: when the records are due, and when the ICO can be asked to step in
+
+import { addDays, calculateSubjectAccessDeadlines, fromIsoDate, toIsoDate } from './deadlines.js';
+
+/** Where to complain about a body that has not answered a subject access request. */
+export const ICO_COMPLAINT_URL = 'https://ico.org.uk/make-a-complaint/';
+
+// The records each kind of body is likely to hold, named so they are not left out
+const BODY_RECORDS = {
+  nhs_trust: 'my health records, including clinical notes, test results, scans, letters and discharge summaries',
+  gp: 'my GP record, including consultation notes, test results, letters and prescriptions',
+  social_care: 'my social care file, including assessments, care plans and case notes',
+  council: 'my case file, including assessments, decisions and case notes',
+  housing: 'my tenancy file, including repair requests, inspection reports and case notes',
+  police: 'records about me, including incident logs, officers\' notes, statements and any body-worn video or call recordings',
+  school: 'my records, including notes of meetings and any assessments',
+  dwp: 'my benefit records, including decision notes, assessment reports and notes or recordings of calls',
+  hmrc: 'my tax and benefit records, including notes or recordings of calls',
+  home_office: 'my immigration case file, including case notes and decision records',
+  prison: 'my prison records, including case notes, complaint forms and replies, and healthcare records',
+  probation: 'my probation records, including case notes, risk assessments and reports'
+};
+
+// Numbers that help the body find the records, left for the person to fill in
+const BODY_IDENTIFIERS = {
+  nhs_trust: 'NHS number',
+  gp: 'NHS number',
+  dwp: 'National Insurance number',
+  hmrc: 'National Insurance number',
+  home_office: 'Home Office reference',
+  prison: 'Prisoner number',
+  probation: 'Prisoner or case number'
+};
+
+/**
+ * The subject access request letter, with placeholders for the person's details. Made on
+ * behalf of someone else, it asks for their records and says their consent is enclosed.
+ *
+ * @param {object} facts - Extracted facts
+ * @returns {string}
+ */
+export function buildSubjectAccessRequest(facts) {
+  const forSomeoneElse = Boolean(facts.thirdParty);
+  const name = forSomeoneElse ? (facts.thirdPartyName || '[THEIR NAME]') : '[YOUR NAME]';
+  const records = BODY_RECORDS[facts.bodyType] || 'my case records, including case notes and decisions';
+  const identifier = BODY_IDENTIFIERS[facts.bodyType];
+  const about = forSomeoneElse ? name : 'me';
+  const their = text => forSomeoneElse ? text.replace(/\bmy\b/g, 'their').replace(/\bme\b/g, 'them') : text;
+
+  const details = [
+    `Name: ${name}`,
+    `Address: ${forSomeoneElse ? '[THEIR ADDRESS]' : '[YOUR ADDRESS]'}`,
+    `Date of birth: ${forSomeoneElse ? '[THEIR DATE OF BIRTH]' : '[YOUR DATE OF BIRTH]'}`,
+    identifier && `${identifier}: [${forSomeoneElse ? 'THEIR' : 'YOUR'} ${identifier.toUpperCase()}]`,
+    facts.referenceNumbers && `Reference: ${facts.referenceNumbers}`
+  ].filter(Boolean);
+
+  return `Subject: Subject access request — ${name}
+
+To: Data Protection Officer, ${facts.publicBody}
+
+[DATE]
+
+${forSomeoneElse
+    ? `I am making a subject access request on behalf of ${name}, under Article 15 of the UK General Data Protection Regulation. They have given me their written consent, which is enclosed.`
+    : 'I am making a subject access request under Article 15 of the UK General Data Protection Regulation.'}
+
+Please send me a copy of all the personal data you hold about ${about}. This includes:
+- ${their(records)}
+- emails, letters, notes of phone calls and meetings, and internal messages about ${about}, including about ${forSomeoneElse ? 'their' : 'my'} complaint${facts.issue ? `:
+  ${facts.issue}` : ''}
+
+Please also tell me:
+- why you hold and use this data
+- who you have shared it with
+- how long you will keep it
+- where you got it from, if not from ${forSomeoneElse ? 'them' : 'me'}
+
+To help you find the records:
+${details.join('\n')}
+
+If you need proof of ${forSomeoneElse ? 'their' : 'my'} identity${forSomeoneElse ? ' or my authority to act for them' : ''}, please tell me straight away what you need.
+
+Please send the information by email to [YOUR EMAIL ADDRESS], in a format I can open.
+
+You must reply within one calendar month of getting this request. If you need more time, please tell me within that month and explain why.
+
+Yours sincerely,
+
+[YOUR NAME]${forSomeoneElse ? '\n\nEnclosed: signed consent from ' + name : ''}`;
+}
+
+/**
+ * Where a subject access request has got to. Dates are YYYY-MM-DD.
+ * @typedef {Object} SubjectAccessStatus
+ * @property {string} requested - When it was sent
+ * @property {string} responseDue - One calendar month on
+ * @property {string} extendedResponseDue - Three months on, if they asked for more time
+ * @property {boolean} extended - Whether they said they need more time
+ * @property {string} due - Whichever of the two applies
+ * @property {string|null} received - When the records came
+ * @property {boolean} overdue - The due date has passed without the records
+ * @property {string} icoFrom - The first day the ICO can be asked to step in
+ */
+
+/**
+ * The latest subject access request in the diary, and when its answer is due. Counted from
+ * the day it was sent, which for a posted letter is a day or two before the body gets it.
+ *
+ * @param {object[]} diary - Diary entries
+ * @param {Date} [now]
+ * @returns {SubjectAccessStatus|null} Null if no request has been sent
+ */
+export function trackSubjectAccessRequest(diary, now = new Date()) {
+  const byDate = (a, b) => (a.date || '').localeCompare(b.date || '');
+  const requests = diary.filter(e => e.type === 'records_requested' && e.date).sort(byDate);
+  const request = requests[requests.length - 1];
+  if (!request) return null;
+
+  const since = type => diary.filter(e => e.type === type && e.date && e.date >= request.date).sort(byDate)[0] || null;
+  const { responseBy, extendedResponseBy } = calculateSubjectAccessDeadlines(fromIsoDate(request.date));
+  const extended = Boolean(since('records_extended'));
+  const received = since('records_received')?.date || null;
+  const due = toIsoDate(extended ? extendedResponseBy : responseBy);
+
+  return {
+    requested: request.date,
+    responseDue: toIsoDate(responseBy),
+    extendedResponseDue: toIsoDate(extendedResponseBy),
+    extended,
+    due,
+    received,
+    overdue: !received && due < toIsoDate(now),
+    icoFrom: toIsoDate(addDays(fromIsoDate(due), 1))
+  };
+}
@@ -0,0 +1,95 @@
+// Minimal JSON Schema validator
+// Supports the subset our schemas use: type (or a list of types), enum, required,
+// properties, additionalProperties: false, items, minLength, minItems, pattern, format: 'date'
+
+/**
+ * @typedef {Object} SchemaError
+ * @property {string} path - Dotted path to the offending value ('' for the root)
+ * @property {string} message - Plain-English description of the problem
+ */
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  if (type === 'number') return actual === 'number' || actual === 'integer';
+  return actual === type;
+}
+
+function describe(value) {
+  return value === undefined ? 'missing' : JSON.stringify(value);
+}
+
+/**
+ * Validate a value against a schema.
+ *
+ * @param {object} schema
+ * @param {*} value
+ * @param {string} [path]
+ * @returns {SchemaError[]} Empty when the value is valid
+ */
+export function validateSchema(schema, value, path = '') {
+  const errors = [];
+  const at = path || '(root)';
+
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some(t => matchesType(value, t))) {
+      errors.push({ path, message: `${at} should be ${types.join(' or ')}, got ${describe(value)}` });
+      return errors;
+    }
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    const allowed = schema.enum.map(v => (v === null ? 'null' : v)).join(', ');
+    errors.push({ path, message: `${at} is ${describe(value)} — allowed values: ${allowed}` });
+    return errors;
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength && value.trim().length < schema.minLength) {
+      errors.push({ path, message: `${at} should not be empty` });
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      errors.push({ path, message: `${at} is ${describe(value)}, which does not match the expected format` });
+    }
+    if (schema.format === 'date' && (!/^\d{4}-\d{2}-\d{2}$/.test(value) || isNaN(new Date(value).getTime()))) {
+      errors.push({ path, message: `${at} should be a date in YYYY-MM-DD form, got ${describe(value)}` });
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems && value.length < schema.minItems) {
+      errors.push({ path, message: `${at} should have at least ${schema.minItems} item(s)` });
+    }
+    if (schema.items) {
+      value.forEach((item, i) => {
+        errors.push(...validateSchema(schema.items, item, `${path}[${i}]`));
+      });
+    }
+  }
+
+  if (typeOf(value) === 'object') {
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) {
+        errors.push({ path: path ? `${path}.${key}` : key, message: `${path ? `${path}.${key}` : key} is missing` });
+      }
+    }
+    const properties = schema.properties || {};
+    for (const [key, child] of Object.entries(value)) {
+      const childPath = path ? `${path}.${key}` : key;
+      if (properties[key]) {
+        errors.push(...validateSchema(properties[key], child, childPath));
+      } else if (schema.additionalProperties === false) {
+        errors.push({ path: childPath, message: `${childPath} is not an allowed field` });
+      }
+    }
+  }
+
+  return errors;
+}
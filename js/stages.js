@@ -0,0 +1,235 @@
+// Complaint stage tracking
+// Works out where a complaint has got to at each step of its pathway, from the intake
+// facts and the complaint diary, and whether it can be escalated yet
+
+import { addDays, calculateStepDeadlines, fromIsoDate, toIsoDate } from './deadlines.js';
+
+/** Pathway step stages, in the order a complaint moves through them. */
+export const STEP_STAGES = ['informal', 'formal', 'review', 'external'];
+
+/**
+ * Step statuses, in the order a step moves through them. deadline_missed replaces
+ * submitted or acknowledged once a response date set by a complaints code has passed.
+ */
+export const STEP_STATUSES = ['not_started', 'submitted', 'acknowledged', 'response_received', 'final_response', 'deadline_missed'];
+
+export const STEP_STATUS_LABELS = {
+  not_started: 'Not started',
+  submitted: 'Submitted',
+  acknowledged: 'Acknowledged',
+  response_received: 'Response received',
+  final_response: 'Final response',
+  deadline_missed: 'Deadline missed'
+};
+
+/**
+ * Where one pathway step has got to. Dates are YYYY-MM-DD.
+ * @typedef {Object} StepStatus
+ * @property {string} status - One of STEP_STATUSES
+ * @property {string|null} submitted - When the complaint was made at this step
+ * @property {string|null} acknowledged - When the body acknowledged it
+ * @property {string|null} responded - When the body last replied
+ * @property {string|null} acknowledgmentDue - When the body should acknowledge it by, if the step says
+ * @property {string|null} responseDue - When the body should reply by
+ * @property {boolean} responseDueBinding - Whether responseDue is set by a complaints code; otherwise it is only when a reply can be expected
+ * @property {'facts'|'diary'|'inferred'|null} source - Where the status came from; 'inferred' means a later step was reached
+ */
+
+/**
+ * Whether the complaint can be taken to a later step. When it cannot yet, `date` is
+ * when it will be able to if nothing changes.
+ * @typedef {Object} Escalation
+ * @property {boolean} eligible
+ * @property {'final_response'|'response_received'|'deadline_missed'|'time_elapsed'} basis - What makes it eligible
+ * @property {number} from - Index of the step the complaint is at
+ * @property {number} to - Index of the step it can go to
+ * @property {string|null} date - When the basis happened or will happen
+ */
+
+/**
+ * @typedef {Object} StageTracking
+ * @property {import('./router.js').Pathway} pathway - Copy of the pathway with `current` on the step to act on next
+ * @property {StepStatus[]} steps - One per pathway step
+ * @property {number} reachedIndex - Furthest step the complaint has been made at, or -1
+ * @property {number} currentIndex - The step to act on next
+ * @property {Escalation|null} escalation
+ */
+
+// What each intake responseStatus, and each diary entry type, says about the step it concerns
+const RESPONSE_STATUSES = { none: 'submitted', unknown: 'submitted', acknowledged: 'acknowledged', response: 'response_received', final_response: 'final_response' };
+const DIARY_STATUSES = { sent: 'submitted', acknowledgment: 'acknowledged', received: 'response_received' };
+
+const AWAITING_RESPONSE = ['submitted', 'acknowledged'];
+
+/**
+ * The step a complaint at `stage` has reached: the first step at that stage or, failing
+ * that, the last step at an earlier stage. A pathway with no informal step has not been
+ * started by raising the issue informally.
+ *
+ * @param {import('./router.js').Pathway} pathway
+ * @param {string|null|undefined} stage - complaintStage fact
+ * @returns {number} Step index, or -1 if no step has been reached
+ */
+export function findStageStep(pathway, stage) {
+  const level = STEP_STAGES.indexOf(stage);
+  if (level < 0) return -1;
+
+  const exact = pathway.steps.findIndex(s => s.stage === stage);
+  if (exact >= 0) return exact;
+
+  let reached = -1;
+  pathway.steps.forEach((s, i) => {
+    if (STEP_STAGES.indexOf(s.stage) < level) reached = i;
+  });
+  return reached;
+}
+
+/**
+ * Copy a pathway with `current` moved to another step.
+ *
+ * @param {import('./router.js').Pathway} pathway
+ * @param {number} index
+ * @returns {import('./router.js').Pathway}
+ */
+export function withCurrentStep(pathway, index) {
+  const copy = JSON.parse(JSON.stringify(pathway));
+  copy.steps.forEach((s, i) => { s.current = i === index; });
+  return copy;
+}
+
+function record(step, status, date, source) {
+  if (date) {
+    if (status === 'submitted' && (!step.submitted || date < step.submitted)) step.submitted = date;
+    if (status === 'acknowledged') step.acknowledged = date;
+    if ((status === 'response_received' || status === 'final_response') && (!step.responded || date > step.responded)) step.responded = date;
+  }
+  if (STEP_STATUSES.indexOf(status) > STEP_STATUSES.indexOf(step.status)) {
+    step.status = status;
+    step.source = source;
+  }
+}
+
+function isDone(pathwayStep, step) {
+  return step.status === 'final_response'
+    || step.status === 'deadline_missed'
+    || (pathwayStep.stage === 'informal' && step.status === 'response_received');
+}
+
+function assessEscalation(pathway, steps, reached, today) {
+  const last = pathway.steps.length - 1;
+  if (reached < 0 || reached >= last) return null;
+
+  const step = steps[reached];
+  if (isDone(pathway.steps[reached], step)) {
+    return {
+      eligible: true,
+      basis: step.status,
+      from: reached,
+      to: reached + 1,
+      date: step.status === 'deadline_missed' ? step.responseDue : step.responded
+    };
+  }
+
+  // Some ombudsmen will step in once a set time has passed since the complaint was first made
+  const waits = [];
+  pathway.steps.slice(0, reached + 1).forEach((pathwayStep, i) => {
+    if (!pathwayStep.escalationAfterWeeks || !steps[i].submitted) return;
+    const date = toIsoDate(addDays(fromIsoDate(steps[i].submitted), pathwayStep.escalationAfterWeeks * 7));
+    waits.push({ basis: 'time_elapsed', to: last, date });
+  });
+  // Only a response date set by a complaints code lets the person move on early if it is missed
+  if (step.responseDue && step.responseDueBinding && AWAITING_RESPONSE.includes(step.status)) {
+    waits.push({ basis: 'deadline_missed', to: reached + 1, date: step.responseDue });
+  }
+  if (waits.length === 0) return null;
+
+  const elapsed = waits.find(w => w.basis === 'time_elapsed' && w.date <= today);
+  if (elapsed) return { eligible: true, from: reached, ...elapsed };
+
+  const next = waits.sort((a, b) => a.date.localeCompare(b.date))[0];
+  return { eligible: false, from: reached, ...next };
+}
+
+/**
+ * Track a complaint through its pathway.
+ *
+ * The intake facts say which stage was reached (complaintStage), when (stageSubmittedDate)
+ * and whether there has been a reply (responseStatus, responseDate); when the stage is unknown,
+ * having tried the service first finishes an informal first step. Diary entries linked to
+ * a step add to that: a sent entry submits the step, an acknowledgment acknowledges it, and a
+ * received entry records a response, or the final response if it is marked as one. Steps before
+ * the furthest one reached are assumed to have ended with a final response, except informal ones.
+ * A step still awaiting a reply after a response date set by its complaints code has a missed
+ * deadline. Dates read from the step's timeline text are only when a reply can be expected, as
+ * that text often gives a typical time rather than a limit.
+ *
+ * The current step is the one reached, or the next one once the reached step is finished with.
+ *
+ * @param {import('./router.js').Pathway} pathway
+ * @param {object} facts - Extracted facts
+ * @param {object[]} [diary] - Complaint diary entries; those with a stepIndex are used
+ * @param {string} [nation] - Whose bank holidays to skip when working out response dates
+ * @param {Date} [now]
+ * @returns {StageTracking}
+ */
+export function trackStages(pathway, facts, diary = [], nation = 'England', now = new Date()) {
+  const today = toIsoDate(now);
+  const steps = pathway.steps.map(() => ({
+    status: 'not_started', submitted: null, acknowledged: null, responded: null, acknowledgmentDue: null, responseDue: null, responseDueBinding: false, source: null
+  }));
+
+  const stage = facts.complaintStage;
+  const factStep = findStageStep(pathway, stage);
+  if (factStep >= 0) {
+    record(steps[factStep], 'submitted', facts.stageSubmittedDate || null, 'facts');
+    record(steps[factStep], RESPONSE_STATUSES[facts.responseStatus] || 'submitted', facts.responseDate || null, 'facts');
+  } else if ((!stage || stage === 'unknown') && facts.triedDirectResolution === 'yes') {
+    // Trying the service first without sorting it out finishes an informal first step
+    const informal = findStageStep(pathway, 'informal');
+    if (informal >= 0) record(steps[informal], 'response_received', null, 'facts');
+  }
+
+  const entries = diary
+    .filter(e => Number.isInteger(e.stepIndex) && e.stepIndex >= 0 && e.stepIndex < steps.length && DIARY_STATUSES[e.type])
+    .sort((a, b) => (a.date || '').localeCompare(b.date || ''));
+  for (const entry of entries) {
+    const status = entry.type === 'received' && entry.finalResponse ? 'final_response' : DIARY_STATUSES[entry.type];
+    record(steps[entry.stepIndex], status, entry.date || null, 'diary');
+  }
+
+  steps.forEach((step, i) => {
+    if (!step.submitted || step.status === 'final_response') return;
+    const { acknowledgmentBy, responseBy: due } = calculateStepDeadlines(pathway.steps[i], fromIsoDate(step.submitted), nation);
+    if (acknowledgmentBy) step.acknowledgmentDue = toIsoDate(acknowledgmentBy);
+    if (!due) return;
+    step.responseDue = toIsoDate(due);
+    step.responseDueBinding = Boolean(pathway.steps[i].codeTimescales);
+    if (step.responseDueBinding && AWAITING_RESPONSE.includes(step.status) && step.responseDue < today) step.status = 'deadline_missed';
+  });
+
+  // Moving on to a later step means an earlier formal step was finished with
+  const reached = steps.map(s => s.status !== 'not_started').lastIndexOf(true);
+  for (let i = 0; i < reached; i++) {
+    const step = steps[i];
+    if (pathway.steps[i].stage === 'informal' || step.status === 'final_response' || step.status === 'deadline_missed') continue;
+    step.status = 'final_response';
+    step.source = 'inferred';
+    step.acknowledgmentDue = null;
+    step.responseDue = null;
+    step.responseDueBinding = false;
+  }
+
+  const defaultIndex = Math.max(0, pathway.steps.findIndex(s => s.current));
+  let currentIndex = defaultIndex;
+  if (reached >= 0) {
+    currentIndex = isDone(pathway.steps[reached], steps[reached]) ? Math.min(reached + 1, steps.length - 1) : reached;
+  }
+
+  return {
+    pathway: withCurrentStep(pathway, currentIndex),
+    steps,
+    reachedIndex: reached,
+    currentIndex,
+    escalation: assessEscalation(pathway, steps, reached, today)
+  };
+}
@@ -0,0 +1,208 @@
+// Evidence bundle
+// Lays out a complaint's letter, chronology and documents as one PDF for an ombudsman or
+// tribunal: a cover sheet, an index, a chronology table, and each document behind a
+// numbered tab, with every page numbered.
+
+const PDFDocument = require('pdfkit');
+const { checkChronology, writeChronologyTable } = require('./chronology');
+
+const MARGIN = 72;
+const MAX_DOCUMENTS = 40;
+const MAX_DOCUMENT_TEXT = 60000;
+
+const KIND_LABELS = {
+  letter: 'Complaint letter',
+  response: 'Reply from the organisation',
+  evidence: 'Supporting document'
+};
+
+const TEXT = '#1a2332';
+const GREY = '#666666';
+const RULE = '#cccccc';
+
+// Index lines that fit on one page, to know how many pages to keep for it
+const INDEX_LINES_PER_PAGE = 24;
+
+/**
+ * @typedef {Object} Bundle
+ * @property {string} publicBody
+ * @property {string|null} [preparedFor] - The ombudsman or tribunal the bundle is for
+ * @property {string|null} [references]
+ * @property {import('./chronology').ChronologyRow[]} chronology
+ * @property {{title: string, kind: 'letter'|'response'|'evidence', date?: string|null, text: string}[]} documents
+ */
+
+/**
+ * What is wrong with a bundle sent to the server, if anything.
+ *
+ * @param {Bundle} bundle
+ * @returns {string|null} A message for the person, or null if it can be made
+ */
+function checkBundle(bundle) {
+  if (!bundle || typeof bundle.publicBody !== 'string' || !bundle.publicBody.trim()) return 'Missing publicBody.';
+  const { chronology, documents } = bundle;
+  if (!Array.isArray(chronology) || !Array.isArray(documents)) return 'Missing chronology or documents.';
+  if (chronology.length === 0 && documents.length === 0) return 'There is nothing to put in the bundle.';
+  if (documents.length > MAX_DOCUMENTS) return `A bundle can hold up to ${MAX_DOCUMENTS} documents.`;
+  const chronologyProblem = checkChronology(chronology);
+  if (chronologyProblem) return chronologyProblem;
+  if (documents.some(d => !d || typeof d.title !== 'string' || !d.title.trim() || !KIND_LABELS[d.kind] || typeof d.text !== 'string' || !d.text.trim())) return 'Each document needs a title, a kind and its text.';
+  if (documents.some(d => d.text.length > MAX_DOCUMENT_TEXT)) return 'One of the documents is too long for the bundle.';
+  return null;
+}
+
+function formatToday() {
+  return new Date().toLocaleDateString('en-GB', { day: 'numeric', month: 'long', year: 'numeric' });
+}
+
+function rule(doc) {
+  doc.strokeColor(RULE).lineWidth(0.5)
+    .moveTo(MARGIN, doc.y).lineTo(doc.page.width - MARGIN, doc.y).stroke();
+}
+
+function writeCover(doc, bundle) {
+  doc.moveDown(8);
+  doc.font('Helvetica-Bold').fontSize(24).fillColor(TEXT).text('Evidence Bundle', { align: 'center' });
+  doc.moveDown(0.5);
+  doc.font('Helvetica').fontSize(14).text(`Complaint about ${bundle.publicBody}`, { align: 'center' });
+  if (bundle.preparedFor) {
+    doc.moveDown(0.3);
+    doc.fontSize(12).fillColor(GREY).text(`For the ${bundle.preparedFor}`, { align: 'center' });
+  }
+  doc.moveDown(2);
+  rule(doc);
+  doc.moveDown(1.5);
+
+  const details = [
+    ['Prepared on', formatToday()],
+    ['References', bundle.references || 'None given'],
+    ['Chronology', `${bundle.chronology.length} ${bundle.chronology.length === 1 ? 'event' : 'events'}`],
+    ['Documents', `${bundle.documents.length}, each behind a numbered tab`]
+  ];
+  for (const [label, value] of details) {
+    const y = doc.y;
+    doc.font('Helvetica-Bold').fontSize(11).fillColor(TEXT).text(label, MARGIN + 60, y, { width: 110 });
+    doc.font('Helvetica').text(value, MARGIN + 170, y, { width: doc.page.width - MARGIN * 2 - 230 });
+    doc.moveDown(0.6);
+  }
+
+  doc.moveDown(3);
+  doc.font('Helvetica').fontSize(9).fillColor(GREY).text(
+    'Documents are reproduced as text. NHS and National Insurance numbers have been hidden in documents uploaded from the complainant\'s files, but not in the complaint letter or the chronology, which are as the complainant wrote them. The original documents can be provided on request.',
+    MARGIN + 30, doc.y, { width: doc.page.width - MARGIN * 2 - 60, align: 'center' }
+  );
+}
+
+function writeHeading(doc, text) {
+  doc.font('Helvetica-Bold').fontSize(14).fillColor(TEXT).text(text, MARGIN, doc.y);
+  doc.moveDown(0.5);
+  rule(doc);
+  doc.moveDown(0.8);
+}
+
+function writeChronology(doc, chronology) {
+  writeHeading(doc, 'Chronology');
+  writeChronologyTable(doc, chronology);
+}
+
+function writeTab(doc, number, document) {
+  doc.moveDown(10);
+  doc.font('Helvetica-Bold').fontSize(36).fillColor(TEXT).text(`Tab ${number}`, { align: 'center' });
+  doc.moveDown(0.8);
+  doc.font('Helvetica-Bold').fontSize(16).text(document.title, { align: 'center' });
+  doc.moveDown(0.4);
+  doc.font('Helvetica').fontSize(11).fillColor(GREY)
+    .text([KIND_LABELS[document.kind], document.date].filter(Boolean).join(' — '), { align: 'center' });
+}
+
+function writeDocumentText(doc, text) {
+  doc.font('Helvetica').fontSize(11).fillColor(TEXT);
+  const paragraphs = text.trim().split(/\n\n+/);
+  paragraphs.forEach((para, i) => {
+    para.split('\n').forEach(line => doc.text(line.trim(), { lineGap: 4 }));
+    if (i < paragraphs.length - 1) doc.moveDown(0.8);
+  });
+}
+
+function writeIndex(doc, entries, firstPage, pageCount) {
+  for (let page = 0; page < pageCount; page++) {
+    doc.switchToPage(firstPage + page);
+    doc.x = MARGIN;
+    doc.y = doc.page.margins.top;
+    writeHeading(doc, page === 0 ? 'Index' : 'Index (continued)');
+
+    const width = doc.page.width - MARGIN * 2;
+    for (const entry of entries.slice(page * INDEX_LINES_PER_PAGE, (page + 1) * INDEX_LINES_PER_PAGE)) {
+      const y = doc.y;
+      doc.font('Helvetica-Bold').fontSize(11).fillColor(TEXT).text(entry.tab, MARGIN, y, { width: 60 });
+      doc.font('Helvetica').text(entry.title, MARGIN + 60, y, { width: width - 60 - 120, height: 14, ellipsis: true });
+      doc.fillColor(GREY).text(entry.date || '', MARGIN + width - 110, y, { width: 70, lineBreak: false });
+      doc.fillColor(TEXT).text(String(entry.page), MARGIN + width - 40, y, { width: 40, align: 'right', lineBreak: false });
+      doc.x = MARGIN;
+      doc.y = y + 20;
+    }
+  }
+}
+
+// Page numbers on every page, and the tab a page belongs to in its header
+function writePageFurniture(doc, headers) {
+  const { start, count } = doc.bufferedPageRange();
+  for (let i = start; i < start + count; i++) {
+    doc.switchToPage(i);
+    const bottom = doc.page.margins.bottom;
+    // Writing inside the margin would otherwise start a new page
+    doc.page.margins.bottom = 0;
+    doc.font('Helvetica').fontSize(9).fillColor(GREY);
+    if (headers[i]) doc.text(headers[i], MARGIN, MARGIN / 2, { width: doc.page.width - MARGIN * 2, lineBreak: false, ellipsis: true });
+    doc.text(`Page ${i + 1} of ${count}`, MARGIN, doc.page.height - MARGIN / 2 - 9, { width: doc.page.width - MARGIN * 2, align: 'center', lineBreak: false });
+    doc.page.margins.bottom = bottom;
+  }
+}
+
+/**
+ * Build the bundle. The document is complete; pipe it to the response and call end().
+ *
+ * @param {Bundle} bundle - Checked with checkBundle
+ * @returns {PDFDocument}
+ */
+function createEvidenceBundle(bundle) {
+  const doc = new PDFDocument({
+    size: 'A4',
+    margins: { top: MARGIN, bottom: MARGIN, left: MARGIN, right: MARGIN },
+    bufferPages: true,
+    info: { Title: `Evidence bundle — complaint about ${bundle.publicBody}` }
+  });
+  const headers = {};
+  const pageIndex = () => doc.bufferedPageRange().count - 1;
+
+  writeCover(doc, bundle);
+
+  // Index pages are kept now and written once the page numbers are known
+  const entries = [];
+  const indexPages = Math.ceil((bundle.documents.length + 1) / INDEX_LINES_PER_PAGE);
+  doc.addPage();
+  const indexStart = pageIndex();
+  for (let i = 1; i < indexPages; i++) doc.addPage();
+
+  doc.addPage();
+  entries.push({ tab: '', title: 'Chronology', page: pageIndex() + 1 });
+  const chronologyStart = pageIndex();
+  writeChronology(doc, bundle.chronology);
+  for (let i = chronologyStart; i <= pageIndex(); i++) headers[i] = 'Chronology';
+
+  bundle.documents.forEach((document, i) => {
+    doc.addPage();
+    const tabStart = pageIndex();
+    entries.push({ tab: `Tab ${i + 1}`, title: document.title, date: document.date, page: tabStart + 1 });
+    writeTab(doc, i + 1, document);
+    doc.addPage();
+    writeDocumentText(doc, document.text);
+    for (let p = tabStart + 1; p <= pageIndex(); p++) headers[p] = `Tab ${i + 1}: ${document.title}`;
+  });
+
+  writeIndex(doc, entries, indexStart, indexPages);
+  writePageFurniture(doc, headers);
+  return doc;
+}
+
+module.exports = { createEvidenceBundle, checkBundle };
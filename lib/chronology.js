@@ -0,0 +1,185 @@
+// Chronology export
+// Sets out a complaint's chronology as a table — date, who, what happened and where it came
+// from — in a PDF or Word document, and draws the same table inside the evidence bundle.
+
+const PDFDocument = require('pdfkit');
+const { Document, Packer, Paragraph, TextRun, Table, TableRow, TableCell, WidthType, AlignmentType } = require('docx');
+
+const MARGIN = 72;
+const MAX_EVENTS = 300;
+
+const TEXT = '#1a2332';
+const GREY = '#666666';
+const RULE = '#cccccc';
+const HEADER_FILL = '#f0f4f5';
+
+const HEADINGS = ['Date', 'Who', 'What happened', 'Source'];
+
+/**
+ * One row of the table, ready to show.
+ * @typedef {Object} ChronologyRow
+ * @property {string} date
+ * @property {string} [actor]
+ * @property {string} what
+ * @property {string} [source]
+ */
+
+/**
+ * What is wrong with a chronology sent to the server, if anything.
+ *
+ * @param {ChronologyRow[]} events
+ * @returns {string|null} A message for the person, or null if it can be used
+ */
+function checkChronology(events) {
+  if (!Array.isArray(events)) return 'Missing chronology.';
+  if (events.length > MAX_EVENTS) return `A chronology can have up to ${MAX_EVENTS} events.`;
+  if (events.some(e => !e || typeof e.date !== 'string' || typeof e.what !== 'string' || !e.what.trim())) return 'Each chronology event needs a date and what happened.';
+  return null;
+}
+
+function formatToday() {
+  return new Date().toLocaleDateString('en-GB', { day: 'numeric', month: 'long', year: 'numeric' });
+}
+
+// Draws one row, starting a new page (with the headings again) when it would run past the
+// bottom margin
+function writeRow(doc, columns, cells, { header = false, onNewPage } = {}) {
+  const font = header ? 'Helvetica-Bold' : 'Helvetica';
+  const padding = 5;
+  doc.font(font).fontSize(10);
+  const height = Math.max(...cells.map((cell, i) => doc.heightOfString(cell, { width: columns[i] - padding * 2 }))) + padding * 2;
+
+  if (doc.y + height > doc.page.height - doc.page.margins.bottom) {
+    doc.addPage();
+    if (onNewPage) onNewPage();
+    doc.font(font).fontSize(10);
+  }
+
+  const top = doc.y;
+  let x = doc.page.margins.left;
+  if (header) doc.rect(x, top, columns.reduce((a, b) => a + b, 0), height).fill(HEADER_FILL);
+  doc.fillColor(TEXT);
+  cells.forEach((cell, i) => {
+    doc.text(cell, x + padding, top + padding, { width: columns[i] - padding * 2 });
+    x += columns[i];
+  });
+  doc.strokeColor(RULE).lineWidth(0.5)
+    .moveTo(doc.page.margins.left, top + height).lineTo(x, top + height).stroke();
+  doc.x = doc.page.margins.left;
+  doc.y = top + height;
+}
+
+/**
+ * Draw the chronology table from the current position, across as many pages as it needs.
+ *
+ * @param {PDFDocument} doc
+ * @param {ChronologyRow[]} events
+ */
+function writeChronologyTable(doc, events) {
+  if (events.length === 0) {
+    doc.font('Helvetica').fontSize(11).fillColor(GREY).text('No dated events were recorded.');
+    return;
+  }
+
+  const width = doc.page.width - doc.page.margins.left - doc.page.margins.right;
+  const columns = [85, 95, width - 85 - 95 - 90, 90];
+  const repeatHeadings = () => writeRow(doc, columns, HEADINGS, { header: true });
+  repeatHeadings();
+  for (const event of events) {
+    writeRow(doc, columns, [event.date || 'Date unknown', event.actor || '', event.what, event.source || ''], { onNewPage: repeatHeadings });
+  }
+}
+
+/**
+ * The chronology on its own as a PDF. The document is complete; pipe it and call end().
+ *
+ * @param {{publicBody?: string, events: ChronologyRow[]}} chronology
+ * @returns {PDFDocument}
+ */
+function createChronologyPdf({ publicBody, events }) {
+  const doc = new PDFDocument({
+    size: 'A4',
+    margins: { top: MARGIN, bottom: MARGIN, left: MARGIN, right: MARGIN },
+    bufferPages: true
+  });
+
+  doc.font('Helvetica-Bold').fontSize(11).fillColor(TEXT).text('Chronology', { align: 'center' });
+  doc.moveDown(0.5);
+  doc.font('Helvetica').fontSize(9).fillColor(GREY).text(
+    `${publicBody ? `Complaint about ${publicBody}. ` : ''}Prepared on ${formatToday()}`,
+    { align: 'center' }
+  );
+  doc.moveDown(1.5);
+  writeChronologyTable(doc, events);
+
+  const { start, count } = doc.bufferedPageRange();
+  for (let i = start; i < start + count; i++) {
+    doc.switchToPage(i);
+    // Writing inside the margin would otherwise start a new page
+    doc.page.margins.bottom = 0;
+    doc.font('Helvetica').fontSize(9).fillColor(GREY)
+      .text(`Page ${i + 1} of ${count}`, MARGIN, doc.page.height - MARGIN / 2 - 9, { width: doc.page.width - MARGIN * 2, align: 'center', lineBreak: false });
+    doc.page.margins.bottom = MARGIN;
+  }
+  return doc;
+}
+
+function docxCell(text, width, header) {
+  return new TableCell({
+    width: { size: width, type: WidthType.DXA },
+    shading: header ? { fill: HEADER_FILL.slice(1) } : undefined,
+    margins: { top: 60, bottom: 60, left: 100, right: 100 },
+    children: [new Paragraph({ children: [new TextRun({ text, bold: header, size: 20, font: 'Arial' })] })]
+  });
+}
+
+/**
+ * The chronology on its own as a Word document.
+ *
+ * @param {{publicBody?: string, events: ChronologyRow[]}} chronology
+ * @returns {Promise<Buffer>}
+ */
+async function createChronologyDocx({ publicBody, events }) {
+  // Widths in twips across the 6.27 inches between 1 inch margins on A4
+  const widths = [1500, 1700, 4200, 1630];
+  const rows = [
+    new TableRow({ tableHeader: true, children: HEADINGS.map((h, i) => docxCell(h, widths[i], true)) }),
+    ...events.map(e => new TableRow({
+      children: [e.date || 'Date unknown', e.actor || '', e.what, e.source || ''].map((text, i) => docxCell(text, widths[i], false))
+    }))
+  ];
+
+  const doc = new Document({
+    sections: [{
+      properties: {
+        page: {
+          margin: { top: 1440, right: 1440, bottom: 1440, left: 1440 }
+        }
+      },
+      children: [
+        new Paragraph({
+          children: [new TextRun({ text: 'Chronology', bold: true, size: 28, font: 'Arial' })],
+          alignment: AlignmentType.CENTER,
+          spacing: { after: 100 }
+        }),
+        new Paragraph({
+          children: [new TextRun({
+            text: `${publicBody ? `Complaint about ${publicBody}. ` : ''}Prepared on ${formatToday()}`,
+            size: 20,
+            font: 'Arial',
+            color: '666666'
+          })],
+          alignment: AlignmentType.CENTER,
+          spacing: { after: 400 }
+        }),
+        events.length
+          ? new Table({ rows, width: { size: widths.reduce((a, b) => a + b, 0), type: WidthType.DXA }, columnWidths: widths })
+          : new Paragraph({ children: [new TextRun({ text: 'No dated events were recorded.', size: 22, font: 'Arial' })] })
+      ]
+    }]
+  });
+
+  return Packer.toBuffer(doc);
+}
+
+module.exports = { checkChronology, writeChronologyTable, createChronologyPdf, createChronologyDocx };
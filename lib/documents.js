@@ -0,0 +1,94 @@
+// Document text extraction
+// Pulls the text out of an uploaded PDF, Word (.docx) or plain-text file, in memory. Nothing
+// is written to disk and the file is not kept once its text has been returned.
+
+const { PDFParse } = require('pdf-parse');
+const mammoth = require('mammoth');
+
+/** Largest file accepted, in bytes. */
+const MAX_DOCUMENT_BYTES = 10 * 1024 * 1024;
+
+/** Longest text returned, in characters; anything after this is cut off. */
+const MAX_TEXT_LENGTH = 30000;
+
+const DOCX_TYPE = 'application/vnd.openxmlformats-officedocument.wordprocessingml.document';
+
+class DocumentError extends Error {
+  /**
+   * @param {string} message - User-facing error message
+   * @param {number} [status=400] - HTTP status for the response
+   */
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'DocumentError';
+    this.status = status;
+  }
+}
+
+// What kind of file it is, from its first bytes where they say, then its type and name
+function detectKind(buffer, filename, contentType) {
+  const name = (filename || '').toLowerCase();
+  if (buffer.subarray(0, 5).toString('latin1') === '%PDF-') return 'pdf';
+  if (buffer.subarray(0, 4).toString('latin1') === 'PK\x03\x04' && (name.endsWith('.docx') || contentType === DOCX_TYPE)) return 'docx';
+  if (/^text\//.test(contentType || '') || contentType === 'message/rfc822' || /\.(txt|eml|md)$/.test(name)) return 'text';
+  return null;
+}
+
+async function extractPdf(buffer) {
+  const parser = new PDFParse({ data: buffer });
+  try {
+    const result = await parser.getText({ pageJoiner: '' });
+    return result.text;
+  } finally {
+    await parser.destroy();
+  }
+}
+
+async function extractDocx(buffer) {
+  const result = await mammoth.extractRawText({ buffer });
+  return result.value;
+}
+
+function tidy(text) {
+  return text
+    .replace(/\r\n?/g, '\n')
+    .replace(/[ \t]+\n/g, '\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+/**
+ * @param {Buffer} buffer - The uploaded file
+ * @param {object} info
+ * @param {string} [info.filename]
+ * @param {string} [info.contentType]
+ * @returns {Promise<{kind: 'pdf'|'docx'|'text', text: string, truncated: boolean}>}
+ */
+async function extractDocumentText(buffer, { filename, contentType } = {}) {
+  if (!buffer || buffer.length === 0) throw new DocumentError('The file is empty.');
+  if (buffer.length > MAX_DOCUMENT_BYTES) throw new DocumentError('The file is too large. Files can be up to 10 MB.', 413);
+
+  const kind = detectKind(buffer, filename, contentType);
+  if (!kind) throw new DocumentError('Only PDF, Word (.docx) and text files can be read.', 415);
+
+  let text;
+  try {
+    if (kind === 'pdf') text = await extractPdf(buffer);
+    else if (kind === 'docx') text = await extractDocx(buffer);
+    else text = buffer.toString('utf8');
+  } catch {
+    throw new DocumentError('The file could not be read. It may be damaged or password-protected.', 422);
+  }
+
+  text = tidy(text);
+  if (!text) {
+    throw new DocumentError(kind === 'pdf'
+      ? 'No text was found in this PDF. It may be a scanned image — please type out the parts you need.'
+      : 'No text was found in this file.', 422);
+  }
+
+  const truncated = text.length > MAX_TEXT_LENGTH;
+  return { kind, text: truncated ? text.slice(0, MAX_TEXT_LENGTH) : text, truncated };
+}
+
+module.exports = { extractDocumentText, DocumentError, MAX_DOCUMENT_BYTES };
@@ -0,0 +1,16 @@
+// Error type shared by the LLM providers
+// The message is safe to show to the user; status is the HTTP status /api/chat returns
+
+class ProviderError extends Error {
+  /**
+   * @param {string} message - User-facing error message
+   * @param {number} [status=502] - HTTP status for the proxy response
+   */
+  constructor(message, status = 502) {
+    super(message);
+    this.name = 'ProviderError';
+    this.status = status;
+  }
+}
+
+module.exports = { ProviderError };
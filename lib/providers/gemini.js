@@ -0,0 +1,101 @@
+// Google Gemini provider
+// Calls the generateContent / streamGenerateContent REST endpoints with the API key kept server-side
+
+const { ProviderError } = require('./errors');
+const { readSseData } = require('./sse');
+
+const GEMINI_API_BASE = 'https://generativelanguage.googleapis.com/v1beta/models';
+
+/**
+ * @param {object} config
+ * @param {string} [config.apiKey] - GEMINI_API_KEY
+ * @param {string} config.model - Model name, e.g. gemini-2.0-flash
+ * @param {{temperature: number, topP: number, maxOutputTokens: number}} config.generation
+ */
+function createGeminiProvider({ apiKey, model, generation }) {
+  function buildBody({ systemPrompt, history, userMessage }) {
+    const contents = [];
+    if (Array.isArray(history)) {
+      for (const msg of history) {
+        contents.push({
+          role: msg.role === 'ai' ? 'model' : msg.role,
+          parts: [{ text: msg.text }]
+        });
+      }
+    }
+    contents.push({ role: 'user', parts: [{ text: userMessage }] });
+
+    return {
+      system_instruction: { parts: [{ text: systemPrompt }] },
+      contents,
+      generationConfig: {
+        temperature: generation.temperature,
+        topP: generation.topP,
+        maxOutputTokens: generation.maxOutputTokens
+      }
+    };
+  }
+
+  async function post(method, request, query = '') {
+    if (!apiKey) {
+      throw new ProviderError('Server misconfigured: no GEMINI_API_KEY set.', 500);
+    }
+
+    const response = await fetch(`${GEMINI_API_BASE}/${model}:${method}?${query}key=${apiKey}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(buildBody(request)),
+      signal: request.signal
+    });
+
+    if (!response.ok) {
+      const status = response.status;
+      let message = `Gemini API error (${status}).`;
+      if (status === 400) message = 'Invalid request to Gemini API.';
+      if (status === 403) message = 'Gemini API access denied. Check server API key.';
+      if (status === 429) message = 'Rate limit reached. Please wait a moment.';
+      if (status >= 500) message = 'Gemini API server error.';
+      throw new ProviderError(message);
+    }
+
+    return response;
+  }
+
+  async function generate(request) {
+    const response = await post('generateContent', request);
+    const data = await response.json();
+    const candidate = data.candidates?.[0];
+    if (!candidate) {
+      throw new ProviderError('No response generated by Gemini.');
+    }
+
+    const text = candidate.content?.parts?.map(p => p.text).join('') || '';
+    if (!text) {
+      throw new ProviderError('Empty response from Gemini.');
+    }
+
+    return text;
+  }
+
+  async function* stream(request) {
+    const response = await post('streamGenerateContent', request, 'alt=sse&');
+    let received = false;
+
+    for await (const data of readSseData(response)) {
+      const chunk = JSON.parse(data);
+      const text = chunk.candidates?.[0]?.content?.parts?.map(p => p.text).join('') || '';
+      if (text) {
+        received = true;
+        yield text;
+      }
+    }
+
+    if (!received) {
+      throw new ProviderError('Empty response from Gemini.');
+    }
+  }
+
+  return { name: 'gemini', label: 'Gemini API', generate, stream };
+}
+
+module.exports = { createGeminiProvider };
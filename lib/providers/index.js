@@ -0,0 +1,48 @@
+// LLM provider selection
+// LLM_PROVIDER picks the backend behind /api/chat: gemini (default), openai or mock
+
+const { ProviderError } = require('./errors');
+const { createGeminiProvider } = require('./gemini');
+const { createOpenAIProvider } = require('./openai');
+const { createMockProvider } = require('./mock');
+
+const GENERATION_CONFIG = {
+  temperature: 0.7,
+  topP: 0.95,
+  maxOutputTokens: 3072
+};
+
+const FACTORIES = {
+  gemini: env => createGeminiProvider({
+    apiKey: env.GEMINI_API_KEY,
+    model: env.GEMINI_MODEL || 'gemini-2.0-flash',
+    generation: GENERATION_CONFIG
+  }),
+  openai: env => createOpenAIProvider({
+    baseUrl: env.OPENAI_BASE_URL || 'http://localhost:11434/v1',
+    apiKey: env.OPENAI_API_KEY,
+    model: env.OPENAI_MODEL || 'llama3.1',
+    generation: GENERATION_CONFIG
+  }),
+  mock: env => createMockProvider({
+    delayMs: parseInt(env.MOCK_LLM_DELAY_MS || '400', 10)
+  })
+};
+
+/**
+ * Create the provider named by LLM_PROVIDER.
+ * Throws on an unknown name so a typo fails at startup rather than on the first chat.
+ *
+ * @param {NodeJS.ProcessEnv} env
+ * @returns {{name: string, label: string, generate: function(object): Promise<string>, stream: function(object): AsyncGenerator<string>}}
+ */
+function createProvider(env) {
+  const name = (env.LLM_PROVIDER || 'gemini').toLowerCase();
+  const factory = FACTORIES[name];
+  if (!factory) {
+    throw new Error(`Unknown LLM_PROVIDER "${name}". Use one of: ${Object.keys(FACTORIES).join(', ')}.`);
+  }
+  return factory(env);
+}
+
+module.exports = { createProvider, ProviderError };
@@ -0,0 +1,435 @@
+// Canned intake conversations replayed by the mock provider
+// Each script matches on the user's first real message and replies turn by turn.
+// The final turn always emits the extractionComplete JSON block that js/intake.js parses.
+// A script with a `repair` facts object deliberately emits invalid values first, so the
+// schema validation and repair loop in js/chat.js can be exercised.
+
+const GREETING = `Hello, and thank you for getting in touch. I'm here to help you work out the right way to complain and to draft your complaint with you.
+
+Could you tell me, in your own words, what happened?`;
+
+/**
+ * Wrap a facts object in the fenced JSON block the intake prompt asks for.
+ *
+ * @param {object} facts
+ * @returns {string}
+ */
+function factsBlock(facts) {
+  return '```json\n' + JSON.stringify({ extractionComplete: true, facts }, null, 2) + '\n```';
+}
+
+const BASE_FACTS = {
+  dateSpecific: null,
+  awarenessDate: null,
+  complaintStage: 'not_started',
+  stageSubmittedDate: null,
+  responseStatus: 'none',
+  responseDate: null,
+  continuingHealthcare: false,
+  thirdParty: false,
+  thirdPartyName: null,
+  referenceNumbers: null,
+  staffInvolved: null,
+  legalActionStatus: 'none',
+  contactPreference: 'email',
+  postcode: null,
+  nation: 'England',
+  vulnerabilityFlags: null,
+  reasonableAdjustments: null,
+  safeguardingConcern: 'none',
+  safeguardingDetails: null,
+  additionalNotes: 'Mock conversation for offline testing'
+};
+
+const SCRIPTS = [
+  {
+    id: 'chc_eligibility',
+    match: /continuing healthcare|\bchc\b|decision support tool|\bdst\b|fully funded care/i,
+    turns: [
+      `I'm sorry — care funding disputes are exhausting, especially while you're looking after someone. Was there a full assessment using the Decision Support Tool (DST), or did it stop at the shorter Checklist?`,
+      `Thank you. What date is on the ICB's decision letter? You normally have 6 months from then to ask for the decision to be looked at again. Have you been sent copies of the DST and the care records it used?`,
+      `That helps. Do you have lasting power of attorney, or your mother's consent, to act for her? And what would you like the ICB to do?`,
+      `Thank you. Here's my summary:
+
+- **NHS Bristol, North Somerset and South Gloucestershire ICB** decided your mother, **Margaret Lewis**, is not eligible for NHS Continuing Healthcare.
+- A full DST assessment took place, and the decision letter is dated 14 August 2026.
+- You think the behaviour and cognition domains were scored too low — the care home's incident charts show she needs two staff at most times.
+- You want the decision reviewed and the fees refunded back to the date of the assessment.
+
+You hold lasting power of attorney for health and welfare. Is that right?
+
+` + factsBlock({
+        ...BASE_FACTS,
+        publicBody: 'NHS Bristol, North Somerset and South Gloucestershire ICB',
+        bodyType: 'nhs_trust',
+        service: 'NHS Continuing Healthcare',
+        issue: 'Found not eligible for NHS Continuing Healthcare after a full assessment',
+        details: 'My mother had a full Decision Support Tool assessment in July 2026. The ICB decided she is not eligible. I think the behaviour and cognition domains were scored too low — the care home incident charts show she needs two staff for most personal care and often becomes distressed and lashes out.',
+        dateRange: 'Decision letter dated 14 August 2026',
+        dateSpecific: '2026-08-14',
+        withinTimeLimit: 'yes',
+        severity: 'high',
+        desiredOutcome: 'The decision reviewed, and care home fees refunded back to the assessment date',
+        stepsTaken: 'None',
+        triedDirectResolution: 'no',
+        personalImpact: 'We are paying over £1,200 a week in nursing home fees from my mother\'s savings',
+        complaintType: 'decision',
+        continuingHealthcare: true,
+        thirdParty: true,
+        thirdPartyName: 'Margaret Lewis',
+        referenceNumbers: 'NHS number 943 476 5919'
+      })
+    ]
+  },
+  {
+    id: 'discharge_without_care',
+    match: /care package|social care|social worker|care assessment/i,
+    turns: [
+      `I'm sorry — it's frightening when someone comes home without the help they need. Which hospital discharged him, and which council was meant to arrange his care?`,
+      `Thank you. So the hospital and the council were both involved. What happened once he was home, and how has it affected you both?`,
+      `That sounds exhausting. What would you like each of them to do about it?`,
+      `Thank you for explaining all of that. Here's what I've understood:
+
+- **Riverside University Hospitals NHS Trust** discharged your father, **Peter Walsh**, on 21 August 2026 without checking that his care package was in place.
+- **Riverside City Council** adult social care had not finished his care assessment, so no carers came for nine days.
+- You had to take time off work to look after him, and he fell at home.
+- You want an explanation from both, and changes so discharges are properly co-ordinated.
+
+Your father has agreed to you complaining for him. Is that right?
+
+` + factsBlock({
+        ...BASE_FACTS,
+        publicBody: 'Riverside University Hospitals NHS Trust',
+        bodyType: 'nhs_trust',
+        service: 'Hospital discharge',
+        issue: 'Discharged without checking a care package was in place',
+        details: 'My father was discharged on 21 August 2026 after a stroke. The ward did not check that carers were arranged. The council had not finished his care assessment, so nobody came for nine days and he fell at home.',
+        dateRange: '21 August 2026 and the following nine days',
+        dateSpecific: '2026-08-21',
+        withinTimeLimit: 'yes',
+        severity: 'high',
+        desiredOutcome: 'An explanation from both, and changes so discharges are co-ordinated',
+        stepsTaken: 'None',
+        triedDirectResolution: 'no',
+        personalImpact: 'I had to take unpaid leave to care for him, and he fell and bruised his hip',
+        complaintType: 'service',
+        thirdParty: true,
+        thirdPartyName: 'Peter Walsh',
+        otherBodies: [
+          {
+            publicBody: 'Riverside City Council',
+            bodyType: 'social_care',
+            complaintType: 'service',
+            issue: 'Did not complete the care assessment or arrange carers before discharge'
+          }
+        ]
+      })
+    ]
+  },
+  {
+    id: 'hospital_discharge',
+    match: /hospital|discharg|ward|a&e|nurse|consultant/i,
+    turns: [
+      `I'm sorry to hear that — being discharged before you feel ready is worrying. Can you tell me which hospital this was, and roughly when it happened?`,
+      `Thank you. How has this affected you since, and have you already raised it with the hospital or PALS?`,
+      `That sounds really stressful. What would you like to happen as a result of your complaint — for example an apology, an explanation, or a change in how discharges are handled?`,
+      `Thank you for explaining all of that. Here's what I've understood:
+
+- You were discharged from **St Elsewhere Hospital** before your wound had been checked.
+- You were readmitted three days later with an infection.
+- You haven't made a formal complaint yet.
+- You'd like an explanation and an assurance it won't happen to anyone else.
+
+Does that look right?
+
+` + factsBlock({
+        ...BASE_FACTS,
+        publicBody: 'St Elsewhere Hospital NHS Foundation Trust',
+        bodyType: 'nhs_trust',
+        service: 'Surgical ward discharge',
+        issue: 'Discharged before wound was checked, readmitted with infection',
+        details: 'After surgery I was discharged from the surgical ward without my wound being checked. Three days later I was readmitted through A&E with a wound infection.',
+        dateRange: 'Two months ago',
+        withinTimeLimit: 'yes',
+        severity: 'high',
+        desiredOutcome: 'An explanation and assurance that discharge checks will be done properly',
+        stepsTaken: 'None',
+        triedDirectResolution: 'no',
+        personalImpact: 'Pain, a second hospital stay and two weeks off work',
+        complaintType: 'service'
+      })
+    ]
+  },
+  {
+    id: 'ehcp_refusal',
+    match: /ehcp|ehc plan|education, health and care|special educational/i,
+    turns: [
+      `I'm sorry — that's a hard letter to get when you know your child needs more help. What exactly did the council decide: did they refuse to assess, refuse to issue a plan, or do you disagree with what the plan says?`,
+      `Thank you. What is the date on the decision letter? The appeal window is only two months from that date, so it really matters.`,
+      `Understood. How is your child managing at school at the moment, and what support do you think they need?`,
+      `Thank you for explaining all of that. Here's what I've understood:
+
+- **Anytown Borough Council** refused to carry out an EHC needs assessment for your son.
+- The decision letter is dated 2 September 2026.
+- His school says he needs more support than it can provide from its own budget.
+- You want the council to carry out the assessment.
+
+This is an appeal to the SEND Tribunal rather than a complaint, and you need a mediation certificate first. Is that right?
+
+` + factsBlock({
+        ...BASE_FACTS,
+        publicBody: 'Anytown Borough Council',
+        bodyType: 'school',
+        service: 'SEND team — EHC needs assessment',
+        issue: 'Refusal to carry out an EHC needs assessment',
+        details: 'I asked the council to carry out an EHC needs assessment for my son, who is autistic and has fallen far behind in reading. The council refused, saying his needs can be met through SEN support, even though the school says it cannot meet them from its own budget.',
+        dateRange: 'Decision letter dated 2 September 2026',
+        dateSpecific: '2026-09-02',
+        withinTimeLimit: 'at_risk',
+        severity: 'high',
+        desiredOutcome: 'An EHC needs assessment for my son',
+        stepsTaken: 'None',
+        triedDirectResolution: 'no',
+        personalImpact: 'My son is anxious about school and refusing to go some days',
+        complaintType: 'decision',
+        thirdParty: true,
+        thirdPartyName: 'My son'
+      })
+    ]
+  },
+  {
+    id: 'visa_refusal',
+    match: /visa|home office|ukvi|immigration|asylum|\bbrp\b/i,
+    turns: [
+      `I'm sorry — a refusal is really stressful, especially when so much depends on it. Just so I point you the right way: are you challenging the refusal itself, or unhappy with how the Home Office handled your application?`,
+      `Thank you. What date is on the refusal letter, and does it say you can appeal or ask for an administrative review? The deadline is often only 14 days, so the date is important.`,
+      `Understood. I can't advise on your immigration case itself — only a regulated adviser can — but I can help you find the right route and free advice. What would you like to happen?`,
+      `Thank you. Here's my summary:
+
+- **UK Visas and Immigration** refused your Skilled Worker visa extension.
+- The letter is dated 12 October 2026 and offers an administrative review.
+- The refusal says your certificate of sponsorship was not valid, but your employer says it was.
+- You want the refusal overturned.
+
+Please get free regulated immigration advice as soon as you can — Citizens Advice or a Law Centre are good places to start. Is that right?
+
+` + factsBlock({
+        ...BASE_FACTS,
+        publicBody: 'UK Visas and Immigration',
+        bodyType: 'home_office',
+        service: 'Skilled Worker visa extension',
+        issue: 'Visa extension refused over certificate of sponsorship',
+        details: 'My Skilled Worker visa extension was refused because the Home Office said my certificate of sponsorship was not valid. My employer has confirmed the certificate was assigned correctly and is still valid.',
+        dateRange: 'Refusal letter dated 12 October 2026',
+        dateSpecific: '2026-10-12',
+        withinTimeLimit: 'at_risk',
+        severity: 'urgent',
+        desiredOutcome: 'The refusal overturned so I can keep working',
+        stepsTaken: 'None',
+        triedDirectResolution: 'no',
+        personalImpact: 'I may lose my job and my right to stay in the UK',
+        complaintType: 'decision',
+        referenceNumbers: 'GWF 012345678'
+      })
+    ]
+  },
+  {
+    id: 'prison_family',
+    match: /prison|\bhmp\b|comp1|prisoner|probation/i,
+    turns: [
+      `I'm sorry you're dealing with this — it's hard when someone you care about is inside and you can't sort things out yourself. Are you the person in prison, or are you complaining on their behalf?`,
+      `Thank you. Which prison is he in, and do you know his prisoner number? It usually looks like A1234BC. Has he already put in a complaint form (a COMP1) himself?`,
+      `That helps. Only he can fill in the COMP1, but you can write to the Governor as well. What would you like the prison to do?`,
+      `Thank you. Here's my summary:
+
+- Your son **Daniel Hughes** is at **HMP Bristol** (prisoner number A1234BC).
+- His property did not arrive when he was transferred there on 28 September 2026, including family photographs and his reading glasses.
+- He put in a COMP1 on 2 October 2026 and has not had a reply.
+- You want the property found or compensated, and to know why it went missing.
+
+Daniel knows you are complaining and agrees. Is that right?
+
+` + factsBlock({
+        ...BASE_FACTS,
+        publicBody: 'HMP Bristol',
+        bodyType: 'prison',
+        service: 'Reception and prisoner property',
+        issue: 'Property lost on transfer between prisons',
+        details: 'My son was transferred to HMP Bristol on 28 September 2026. His property bags did not arrive with him. They included family photographs and his reading glasses. He submitted a COMP1 on 2 October 2026 and has had no reply.',
+        dateRange: 'Transferred 28 September 2026',
+        dateSpecific: '2026-09-28',
+        withinTimeLimit: 'yes',
+        severity: 'medium',
+        desiredOutcome: 'His property found and returned, or compensation, and an explanation',
+        stepsTaken: 'He submitted a COMP1 on 2 October 2026 — no reply yet',
+        triedDirectResolution: 'yes',
+        complaintStage: 'formal',
+        stageSubmittedDate: '2026-10-02',
+        personalImpact: 'He cannot read without his glasses and is upset about losing the photos',
+        complaintType: 'service',
+        thirdParty: true,
+        thirdPartyName: 'Daniel Hughes',
+        referenceNumbers: 'Prisoner number A1234BC'
+      })
+    ]
+  },
+  {
+    id: 'pip_decision',
+    match: /\bpip\b|dwp|universal credit|benefit|\besa\b|assessment/i,
+    turns: [
+      `I'm sorry — a benefit decision going against you can be a real shock. Just so I send you down the right route: do you disagree with the decision itself, or are you unhappy with how DWP handled your claim?`,
+      `Thank you, that helps. When was the date on your decision letter? Mandatory reconsideration has a short one-month time limit, so the date matters.`,
+      `Understood. How has losing the award affected you, and what would you like DWP to do?`,
+      `Thank you for telling me all of this. Here's my summary:
+
+- **DWP** decided you are not entitled to PIP after your assessment.
+- You disagree with the points awarded for daily living.
+- The decision letter is dated three weeks ago, so you are still within the one-month window.
+- You want the decision looked at again and the award reinstated.
+
+Please note that a mandatory reconsideration looks at the whole claim, so the outcome could stay the same, go up or go down.
+
+Is that right?
+
+` + factsBlock({
+        ...BASE_FACTS,
+        publicBody: 'Department for Work and Pensions',
+        bodyType: 'dwp',
+        service: 'Personal Independence Payment (PIP)',
+        issue: 'PIP award refused after assessment',
+        details: 'My PIP assessment report does not reflect what I told the assessor about preparing food and washing. I was awarded 4 points for daily living and my claim was refused.',
+        dateRange: 'Decision letter received three weeks ago',
+        withinTimeLimit: 'at_risk',
+        severity: 'high',
+        desiredOutcome: 'A mandatory reconsideration and the daily living award reinstated',
+        stepsTaken: 'None',
+        triedDirectResolution: 'no',
+        personalImpact: 'Struggling to pay for help at home and very anxious about money',
+        complaintType: 'decision',
+        contactPreference: 'letter'
+      })
+    ]
+  },
+  {
+    id: 'housing_landlord',
+    match: /housing association|landlord|damp|mould|tenan/i,
+    turns: [
+      `I'm sorry you're living with that — damp and mould can be miserable and bad for your health. Who is your landlord: a housing association, or the council?`,
+      `Thank you. When did you first report it, and what has your landlord done so far?`,
+      `That must be exhausting. What would you like your landlord to do to put things right?`,
+      `Thank you. Here's what I've understood:
+
+- You rent from **Greenfields Housing Association**.
+- You first reported black mould in the bedroom four months ago, and a contractor painted over it.
+- The mould has come back and your child's asthma has got worse.
+- You'd like the cause fixed properly and compensation for damaged belongings.
+
+Is that right?
+
+` + factsBlock({
+        ...BASE_FACTS,
+        publicBody: 'Greenfields Housing Association',
+        bodyType: 'housing',
+        service: 'Repairs',
+        issue: 'Damp and mould not fixed after repeated reports',
+        details: 'I reported black mould in the main bedroom four months ago. A contractor painted over it but did not fix the cause, and the mould came back within weeks. I have reported it twice more with no visit.',
+        dateRange: 'Four months ago to now',
+        withinTimeLimit: 'yes',
+        severity: 'high',
+        desiredOutcome: 'The cause of the damp fixed properly and compensation for damaged belongings',
+        stepsTaken: 'Reported the repair three times by phone',
+        triedDirectResolution: 'yes',
+        complaintStage: 'informal',
+        personalImpact: 'My son\'s asthma has got worse and we have had to throw away clothes and a mattress',
+        complaintType: 'service',
+        referenceNumbers: 'Repair ref R-48213'
+      })
+    ]
+  },
+  {
+    id: 'council_service',
+    match: /council|bin|planning|council tax|pothole/i,
+    turns: [
+      `That sounds frustrating. Which council is this, and which service or department have you been dealing with?`,
+      `Thanks. Have you already contacted the service about this, and if so what did they say?`,
+      `I see. What would you like the council to do to put things right?`,
+      `Thank you. Here's what I've understood:
+
+- **Anytown Borough Council** has missed your bin collection repeatedly over the last three months.
+- You reported it online several times but nothing changed.
+- You'd like the collections fixed and an explanation.
+
+Does that sound right?
+
+` + factsBlock({
+        ...BASE_FACTS,
+        publicBody: 'Anytown Borough Council',
+        bodyType: 'council',
+        service: 'Waste collection',
+        issue: 'Repeated missed bin collections',
+        details: 'My general waste bin has been missed on at least six collection days over the last three months. I reported each one online and was told it would be collected, but it was not.',
+        dateRange: 'The last three months',
+        withinTimeLimit: 'yes',
+        severity: 'low',
+        desiredOutcome: 'Reliable collections and an explanation',
+        stepsTaken: 'Reported missed collections online several times',
+        triedDirectResolution: 'yes',
+        complaintStage: 'informal',
+        stageSubmittedDate: '2026-08-03',
+        personalImpact: 'Rubbish building up and attracting foxes',
+        complaintType: 'service'
+      })
+    ]
+  },
+  {
+    id: 'police_invalid_facts',
+    match: /police|officer|custody/i,
+    turns: [
+      `I'm sorry that happened. Which police force was it, and when did this take place?`,
+      `Thank you. Was anyone hurt, and what would you like to come out of your complaint?`,
+      `Thank you. Here's my summary:
+
+- An officer from **Anyshire Police** was rude to you at the front desk and refused to take your report.
+- This happened last month.
+- You would like an apology and your report to be taken.
+
+Is that right?
+
+` + factsBlock({
+        ...BASE_FACTS,
+        publicBody: 'Anyshire Police',
+        bodyType: 'police force',
+        service: 'Front counter',
+        issue: 'Officer was rude and refused to take a report',
+        details: 'I went to the front counter to report my bike being stolen. The officer was rude, told me it was a waste of time and would not take the report.',
+        dateRange: 'Last month',
+        withinTimeLimit: 'yes',
+        severity: 'moderate',
+        desiredOutcome: 'An apology and my report taken',
+        stepsTaken: 'None',
+        triedDirectResolution: 'no',
+        personalImpact: 'Felt humiliated and no crime reference for insurance',
+        complaintType: 'service',
+        nation: 'UK'
+      })
+    ],
+    repair: {
+      ...BASE_FACTS,
+      publicBody: 'Anyshire Police',
+      bodyType: 'police',
+      service: 'Front counter',
+      issue: 'Officer was rude and refused to take a report',
+      details: 'I went to the front counter to report my bike being stolen. The officer was rude, told me it was a waste of time and would not take the report.',
+      dateRange: 'Last month',
+      withinTimeLimit: 'yes',
+      severity: 'medium',
+      desiredOutcome: 'An apology and my report taken',
+      stepsTaken: 'None',
+      triedDirectResolution: 'no',
+      personalImpact: 'Felt humiliated and no crime reference for insurance',
+      complaintType: 'service'
+    }
+  }
+];
+
+module.exports = { GREETING, SCRIPTS, factsBlock };
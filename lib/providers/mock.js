@@ -0,0 +1,250 @@
+// Deterministic mock provider
+// Replays canned conversations so the whole intake → summary → pathway → letter flow
+// can be exercised offline. The system prompt decides which task is being mocked.
+
+const { GREETING, SCRIPTS, factsBlock } = require('./mock-scripts');
+
+/**
+ * Pull a "Label: value" line out of a prompt built by js/chat.js.
+ *
+ * @param {string} prompt
+ * @param {string} label
+ * @returns {string|null}
+ */
+function field(prompt, label) {
+  const match = prompt.match(new RegExp(`^${label}:\\s*(.+)$`, 'mi'));
+  return match ? match[1].trim() : null;
+}
+
+function intakeReply({ history, userMessage }) {
+  const userTurns = (history || []).filter(m => m.role === 'user').map(m => m.text);
+  if (userTurns.length === 0) return GREETING;
+
+  // The first user turn is the synthetic greeting; the story starts with the second
+  const opening = userTurns.length > 1 ? userTurns[1] : userMessage;
+  const script = SCRIPTS.find(s => s.match.test(opening)) || SCRIPTS[0];
+
+  // Repair requests from js/chat.js get a corrected facts block and nothing else
+  if (/^FACTS BLOCK INVALID/.test(userMessage)) {
+    const last = script.turns[script.turns.length - 1];
+    return script.repair ? factsBlock(script.repair) : last.slice(last.indexOf('```json'));
+  }
+
+  const turn = Math.min(userTurns.length - 1, script.turns.length - 1);
+  return script.turns[turn];
+}
+
+function letterReply({ userMessage }) {
+  const body = field(userMessage, 'Public body') || 'the organisation';
+  const issue = field(userMessage, 'Issue') || 'the problem I had';
+  const details = field(userMessage, 'Full details') || '';
+  const outcome = field(userMessage, 'Desired outcome') || 'a full response';
+  const recipient = field(userMessage, 'The complaint is directed to') || body;
+  const escalation = userMessage.includes('Note: This is an escalation');
+
+  if (userMessage.includes('Note: This is a follow-up')) {
+    const gaps = userMessage.match(/^What it did not deal with:\n((?:- .+\n?)+)/m);
+    return `Subject: Your reply to my complaint about ${issue.toLowerCase()}
+
+[YOUR NAME]
+[YOUR ADDRESS]
+[DATE]
+
+To: ${recipient}
+
+Thank you for your reply to my complaint. It did not deal with everything I asked, so please could you reply on these points:
+
+${gaps ? gaps[1].trim() : '- [WHAT YOU WANT THEM TO EXPLAIN]'}
+
+Please reply within 20 working days.
+
+[YOUR NAME]`;
+  }
+
+  return `Subject: ${escalation ? 'Escalating my complaint' : 'Complaint'} about ${issue.toLowerCase()}
+
+[YOUR NAME]
+[YOUR ADDRESS]
+[DATE]
+
+To: ${recipient}${escalation ? '' : `, ${body}`}
+
+${escalation ? `I complained to ${body} and it has not been put right, so I am asking you to look at my complaint about ${issue.toLowerCase()}. I enclose copies of my complaint and any replies.` : `I want to complain about ${issue.toLowerCase()}.`}
+
+What happened was this. ${details}
+
+I would like ${outcome.charAt(0).toLowerCase() + outcome.slice(1)}.
+
+Can you please explain why this happened and what you will do to stop it happening again?
+
+Please reply within 20 working days.
+
+[YOUR NAME]`;
+}
+
+function mpLetterReply({ userMessage }) {
+  const match = userMessage.match(/referral letter to (.+?), MP for (.+?)\./);
+  const mpName = match ? match[1] : '[MP NAME]';
+  const body = field(userMessage, 'The constituent wants the MP to take up their complaint against') || 'a public body';
+  const issue = field(userMessage, 'Issue') || 'a problem';
+
+  return `[YOUR NAME]
+[YOUR ADDRESS]
+[DATE]
+
+Dear ${mpName},
+
+I live in your constituency and I need your help with a complaint against ${body}.
+
+The problem is: ${issue.toLowerCase()}.
+
+Please could you raise this with them on my behalf?
+
+Thank you,
+[YOUR NAME]`;
+}
+
+// Checks the reply with a few keyword rules, so each verdict can be produced on purpose
+function responseAnalysisReply({ userMessage }) {
+  const complaint = (userMessage.match(/COMPLAINT SENT:\n([\s\S]*?)\n\nREPLY RECEIVED:/) || [])[1] || '';
+  const reply = (userMessage.split('REPLY RECEIVED:\n')[1] || '').toLowerCase();
+  const outcome = field(userMessage, 'Desired outcome');
+
+  const asked = (complaint.match(/[^.?!\n]+\?/g) || []).map(q => q.trim());
+  if (outcome && outcome !== 'Not specified') asked.push(outcome);
+
+  // A point counts as answered when the reply uses most of its longer words
+  const points = asked.map(point => {
+    const words = point.toLowerCase().match(/[a-z]{5,}/g) || [];
+    const used = words.filter(w => reply.includes(w)).length;
+    const status = used === 0 ? 'not_answered' : used * 2 >= words.length ? 'answered' : 'partly_answered';
+    return { point, status, comment: status === 'answered' ? 'The reply deals with this.' : 'The reply does not say.' };
+  });
+
+  const apology = /sorry|apologi[sz]e/.test(reply) ? 'given' : 'missing';
+  const remedy = /we will|refund|compensation/.test(reply) ? 'given' : 'missing';
+  const escalationInfo = /ombudsman|commissioner|tribunal/.test(reply) ? 'given' : 'missing';
+  const finalResponse = /final response/.test(reply);
+  const gaps = points.some(p => p.status !== 'answered') || [apology, remedy, escalationInfo].includes('missing');
+  const recommendation = !gaps ? 'accept' : finalResponse ? 'escalate' : 'clarify';
+
+  return `\`\`\`json
+${JSON.stringify({
+    summary: `The reply is ${reply.split(/\s+/).length} words long${apology === 'given' ? ' and apologises' : ''}.`,
+    points,
+    apology,
+    remedy,
+    escalationInfo,
+    finalResponse,
+    recommendation,
+    reason: gaps ? 'Some of the complaint is not dealt with.' : 'Everything in the complaint is dealt with.'
+  }, null, 2)}
+\`\`\``;
+}
+
+// Answers each form question from the facts in the prompt, keyed by the question id
+function ombudsmanFormReply({ userMessage }) {
+  const body = field(userMessage, 'Public body') || 'the organisation';
+  const gaps = (userMessage.match(/^WHAT THEIR REPLIES DID NOT DEAL WITH:\n((?:- .+\n?)+)/m) || [])[1];
+  const sources = {
+    what_happened: field(userMessage, 'What happened') || '[WHAT HAPPENED]',
+    why_unhappy: gaps
+      ? `${body}'s reply did not deal with everything I raised:\n${gaps.trim()}`
+      : `${body} did not put things right. [WHAT YOU DISAGREE WITH IN THEIR RESPONSE]`,
+    impact: field(userMessage, 'Impact') || '[HOW THIS HAS AFFECTED YOU]',
+    outcome: field(userMessage, 'Desired outcome') || '[WHAT YOU WANT TO HAPPEN]'
+  };
+
+  const ids = [...userMessage.matchAll(/^- (\w+) \(up to \d+ characters\):/gm)].map(m => m[1]);
+  const answers = Object.fromEntries(ids.map(id => [id, sources[id] || `[ANSWER TO ${id.toUpperCase()}]`]));
+  return `\`\`\`json
+${JSON.stringify({ answers }, null, 2)}
+\`\`\``;
+}
+
+// A full date written as YYYY-MM-DD or "5 March 2026"
+const DATE = /\b(\d{4}-\d{2}-\d{2}|\d{1,2}(?:st|nd|rd|th)? (?:January|February|March|April|May|June|July|August|September|October|November|December) \d{4})\b/i;
+
+// Turns each sentence of the document that has a date in it into an event
+function documentSummaryReply({ userMessage }) {
+  const name = field(userMessage, 'Document') || 'the document';
+  const text = (userMessage.split('DOCUMENT TEXT:\n')[1] || '').replace(/\s+/g, ' ').trim();
+  const sentences = text.match(/[^.!?]+[.!?]?/g) || [];
+
+  const events = sentences
+    .map(sentence => ({ sentence: sentence.trim(), date: (sentence.match(DATE) || [])[1] }))
+    .filter(s => s.date)
+    .map(s => ({ date: s.date, actor: (s.sentence.match(/\b(?:Dr|Nurse) [A-Z][a-z]+/) || [null])[0], what: s.sentence }));
+  const staff = [...new Set(text.match(/\b(?:Dr|Mr|Mrs|Ms|Nurse) [A-Z][a-z]+/g) || [])];
+  const reference = (text.match(/\b(?:ref(?:erence)?|case)(?: number)?:?\s*([A-Z0-9][A-Z0-9/-]{3,})/i) || [])[1];
+
+  return `\`\`\`json
+${JSON.stringify({
+    documentType: /discharge/i.test(text) ? 'Discharge letter' : 'Letter',
+    summary: `${name} is ${text.split(/\s+/).length} words long and mentions ${events.length === 1 ? 'one date' : `${events.length} dates`}.`,
+    events,
+    referenceNumbers: reference || null,
+    staffInvolved: staff.length ? staff.join('; ') : null
+  }, null, 2)}
+\`\`\``;
+}
+
+// The facts' dates, then each sentence the person said with a full date in it
+function chronologyReply({ userMessage }) {
+  const body = field(userMessage, 'Public body');
+  const events = [];
+  const when = field(userMessage, 'When');
+  if (when && when !== 'Not specified') events.push({ date: when, actor: body, what: field(userMessage, 'Issue') || 'The problem happened' });
+  const found = field(userMessage, 'Found out');
+  if (found && found !== 'Not specified') events.push({ date: found, actor: 'You', what: 'Found out about the problem' });
+
+  const said = [...userMessage.matchAll(/^Person: (.+)$/gm)].map(m => m[1]).join(' ');
+  for (const sentence of said.match(/[^.!?]+[.!?]?/g) || []) {
+    const date = (sentence.match(DATE) || [])[1];
+    if (date) events.push({ date, actor: null, what: sentence.trim() });
+  }
+
+  return `\`\`\`json
+${JSON.stringify({ events }, null, 2)}
+\`\`\``;
+}
+
+// Ordered: the first task whose pattern matches the system prompt wins
+const TASKS = [
+  { match: /^You write complaint text/, reply: letterReply },
+  { match: /^You write a short referral letter/, reply: mpLetterReply },
+  { match: /^You check a public body's reply/, reply: responseAnalysisReply },
+  { match: /^You fill in an ombudsman's online complaint form/, reply: ombudsmanFormReply },
+  { match: /^You read a document a UK citizen has uploaded/, reply: documentSummaryReply },
+  { match: /^You list the dated events in a UK citizen's complaint/, reply: chronologyReply },
+  { match: /complaints advisor/, reply: intakeReply }
+];
+
+/**
+ * @param {object} config
+ * @param {number} config.delayMs - Artificial latency so the typing indicator is visible
+ */
+function createMockProvider({ delayMs }) {
+  const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+  async function generate(request) {
+    if (delayMs > 0) await wait(delayMs);
+    const task = TASKS.find(t => t.match.test(request.systemPrompt));
+    return task ? task.reply(request) : 'This is a mock response.';
+  }
+
+  // Replays the same reply a few words at a time, like a real token stream
+  async function* stream(request) {
+    const text = await generate(request);
+    const pieces = text.match(/\S+\s*|\s+/g) || [text];
+    for (let i = 0; i < pieces.length; i += 3) {
+      if (request.signal?.aborted) return;
+      if (delayMs > 0) await wait(Math.ceil(delayMs / 20));
+      yield pieces.slice(i, i + 3).join('');
+    }
+  }
+
+  return { name: 'mock', label: 'mock AI provider', generate, stream };
+}
+
+module.exports = { createMockProvider };
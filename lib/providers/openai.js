@@ -0,0 +1,94 @@
+// OpenAI-compatible provider
+// Works with any server exposing /v1/chat/completions: llama.cpp, Ollama, vLLM, LM Studio, OpenAI itself
+
+const { ProviderError } = require('./errors');
+const { readSseData } = require('./sse');
+
+/**
+ * @param {object} config
+ * @param {string} config.baseUrl - e.g. http://localhost:11434/v1 (Ollama) or http://localhost:8080/v1 (llama.cpp)
+ * @param {string} [config.apiKey] - Sent as a bearer token if set; local servers usually need none
+ * @param {string} config.model - Model name the server should use
+ * @param {{temperature: number, topP: number, maxOutputTokens: number}} config.generation
+ */
+function createOpenAIProvider({ baseUrl, apiKey, model, generation }) {
+  const endpoint = `${baseUrl.replace(/\/+$/, '')}/chat/completions`;
+
+  function buildBody({ systemPrompt, history, userMessage }) {
+    const messages = [{ role: 'system', content: systemPrompt }];
+    if (Array.isArray(history)) {
+      for (const msg of history) {
+        messages.push({
+          role: msg.role === 'user' ? 'user' : 'assistant',
+          content: msg.text
+        });
+      }
+    }
+    messages.push({ role: 'user', content: userMessage });
+
+    return {
+      model,
+      messages,
+      temperature: generation.temperature,
+      top_p: generation.topP,
+      max_tokens: generation.maxOutputTokens
+    };
+  }
+
+  async function post(request, extra = {}) {
+    const headers = { 'Content-Type': 'application/json' };
+    if (apiKey) headers.Authorization = `Bearer ${apiKey}`;
+
+    const response = await fetch(endpoint, {
+      method: 'POST',
+      headers,
+      body: JSON.stringify({ ...buildBody(request), ...extra }),
+      signal: request.signal
+    });
+
+    if (!response.ok) {
+      const status = response.status;
+      let message = `AI model server error (${status}).`;
+      if (status === 400) message = 'Invalid request to the AI model server.';
+      if (status === 401 || status === 403) message = 'AI model server access denied. Check server API key.';
+      if (status === 404) message = 'AI model not found. Check OPENAI_MODEL and OPENAI_BASE_URL.';
+      if (status === 429) message = 'Rate limit reached. Please wait a moment.';
+      throw new ProviderError(message);
+    }
+
+    return response;
+  }
+
+  async function generate(request) {
+    const response = await post(request);
+    const data = await response.json();
+    const text = data.choices?.[0]?.message?.content || '';
+    if (!text) {
+      throw new ProviderError('Empty response from the AI model server.');
+    }
+
+    return text;
+  }
+
+  async function* stream(request) {
+    const response = await post(request, { stream: true });
+    let received = false;
+
+    for await (const data of readSseData(response)) {
+      if (data === '[DONE]') break;
+      const text = JSON.parse(data).choices?.[0]?.delta?.content || '';
+      if (text) {
+        received = true;
+        yield text;
+      }
+    }
+
+    if (!received) {
+      throw new ProviderError('Empty response from the AI model server.');
+    }
+  }
+
+  return { name: 'openai', label: 'AI model server', generate, stream };
+}
+
+module.exports = { createOpenAIProvider };
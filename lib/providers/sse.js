@@ -0,0 +1,30 @@
+// Minimal Server-Sent Events reader for upstream streaming APIs
+// Yields the payload of each `data:` field; multi-line data fields are joined with \n
+
+/**
+ * @param {Response} response - A fetch response whose body is an SSE stream
+ * @returns {AsyncGenerator<string>}
+ */
+async function* readSseData(response) {
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  for await (const chunk of response.body) {
+    buffer += decoder.decode(chunk, { stream: true });
+
+    let boundary;
+    while ((boundary = buffer.search(/\r?\n\r?\n/)) !== -1) {
+      const rawEvent = buffer.slice(0, boundary);
+      buffer = buffer.slice(boundary).replace(/^\r?\n\r?\n/, '');
+
+      const data = rawEvent
+        .split(/\r?\n/)
+        .filter(line => line.startsWith('data:'))
+        .map(line => line.slice(5).replace(/^ /, ''))
+        .join('\n');
+      if (data) yield data;
+    }
+  }
+}
+
+module.exports = { readSseData };
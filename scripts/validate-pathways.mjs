@@ -0,0 +1,34 @@
+// Check every file in data/pathways/ against the pathway schema
+// Run after editing pathway content: npm run validate:pathways
+
+import { readFile } from 'node:fs/promises';
+import { validatePathwayData } from '../js/router.js';
+
+const dataDir = new URL('../data/pathways/', import.meta.url);
+
+async function readJson(name) {
+  try {
+    return JSON.parse(await readFile(new URL(name, dataDir), 'utf8'));
+  } catch (err) {
+    console.error(`${name}: ${err.message}`);
+    return undefined;
+  }
+}
+
+const manifest = await readJson('index.json');
+const ids = Array.isArray(manifest?.pathways) ? manifest.pathways : [];
+const files = {};
+for (const id of ids) {
+  files[id] = await readJson(`${id}.json`);
+}
+
+const problems = manifest === undefined
+  ? ['index.json: could not be loaded']
+  : validatePathwayData(manifest, files);
+
+if (problems.length > 0) {
+  console.error(`Pathway data is invalid:\n${problems.map(p => `  - ${p}`).join('\n')}`);
+  process.exit(1);
+}
+
+console.log(`${ids.length} pathways valid.`);
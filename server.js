@@ -3,6 +3,13 @@ const path = require('path');
 const PDFDocument = require('pdfkit');
 const { Document, Packer, Paragraph, TextRun, AlignmentType } = require('docx');
 const nodemailer = require('nodemailer');
+const { createProvider, ProviderError } = require('./lib/providers');
+const { extractDocumentText, DocumentError, MAX_DOCUMENT_BYTES } = require('./lib/documents');
+const { createEvidenceBundle, checkBundle } = require('./lib/bundle');
+const { checkChronology, createChronologyPdf, createChronologyDocx } = require('./lib/chronology');
+
+// The browser's redaction rules, so uploaded documents are redacted the same way as chat messages
+const redaction = import('./js/redact.js');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -19,8 +26,8 @@ function sanitiseError(err) {
     .replace(/\b[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Z]{2,}\b/gi, '[EMAIL]');
 }
 
-const GEMINI_API_URL =
-  'https://generativelanguage.googleapis.com/v1beta/models/gemini-2.0-flash:generateContent';
+// LLM provider chosen by LLM_PROVIDER (gemini, openai or mock)
+const llm = createProvider(process.env);
 
 // ── In-memory rate limiter (per IP, for /api/chat) ──
 const RATE_LIMIT_WINDOW_MS = 60 * 1000; // 1 minute
@@ -62,81 +69,122 @@ function rateLimiter(req, res, next) {
 app.use(express.static(path.join(__dirname)));
 app.use(express.json({ limit: '1mb' }));
 
-// Proxy chat requests to Gemini API (rate-limited)
+// Proxy chat requests to the configured LLM provider (rate-limited)
 app.post('/api/chat', rateLimiter, async (req, res) => {
-  const apiKey = process.env.GEMINI_API_KEY;
-  if (!apiKey) {
-    return res.status(500).json({ error: 'Server misconfigured: no GEMINI_API_KEY set.' });
-  }
-
   const { systemPrompt, history, userMessage } = req.body;
   if (!systemPrompt || !userMessage) {
     return res.status(400).json({ error: 'Missing systemPrompt or userMessage.' });
   }
 
-  // Build Gemini request body
-  const contents = [];
-  if (Array.isArray(history)) {
-    for (const msg of history) {
-      contents.push({
-        role: msg.role === 'ai' ? 'model' : msg.role,
-        parts: [{ text: msg.text }]
-      });
+  try {
+    const text = await llm.generate({ systemPrompt, history, userMessage });
+    res.json({ text });
+  } catch (err) {
+    if (err instanceof ProviderError) {
+      return res.status(err.status).json({ error: err.message });
     }
+    console.error(`${llm.label} proxy error:`, sanitiseError(err));
+    res.status(502).json({ error: `Could not reach ${llm.label}.` });
+  }
+});
+
+// Stream chat replies from the LLM provider as Server-Sent Events (rate-limited)
+// Events: `data: {"text": "<chunk>"}` per chunk, then `event: done` or `event: error`
+app.post('/api/chat/stream', rateLimiter, async (req, res) => {
+  const { systemPrompt, history, userMessage } = req.body;
+  if (!systemPrompt || !userMessage) {
+    return res.status(400).json({ error: 'Missing systemPrompt or userMessage.' });
   }
-  contents.push({ role: 'user', parts: [{ text: userMessage }] });
-
-  const body = {
-    system_instruction: { parts: [{ text: systemPrompt }] },
-    contents,
-    generationConfig: {
-      temperature: 0.7,
-      topP: 0.95,
-      maxOutputTokens: 3072
+
+  // Stop generating if the browser goes away mid-stream
+  const controller = new AbortController();
+  res.on('close', () => controller.abort());
+
+  // Headers go out with the first chunk so earlier failures can still be plain JSON errors
+  const sendEvent = (event, data) => {
+    if (!res.headersSent) {
+      res.setHeader('Content-Type', 'text/event-stream');
+      res.setHeader('Cache-Control', 'no-cache');
+      res.setHeader('X-Accel-Buffering', 'no');
+      res.flushHeaders();
     }
+    if (event) res.write(`event: ${event}\n`);
+    res.write(`data: ${JSON.stringify(data)}\n\n`);
   };
 
   try {
-    const response = await fetch(`${GEMINI_API_URL}?key=${apiKey}`, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify(body)
-    });
-
-    if (!response.ok) {
-      const status = response.status;
-      let message = `Gemini API error (${status}).`;
-      if (status === 400) message = 'Invalid request to Gemini API.';
-      if (status === 403) message = 'Gemini API access denied. Check server API key.';
-      if (status === 429) message = 'Rate limit reached. Please wait a moment.';
-      if (status >= 500) message = 'Gemini API server error.';
-      return res.status(502).json({ error: message });
+    const chunks = llm.stream({ systemPrompt, history, userMessage, signal: controller.signal });
+    for await (const text of chunks) {
+      sendEvent(null, { text });
+    }
+    sendEvent('done', {});
+    res.end();
+  } catch (err) {
+    if (controller.signal.aborted) return;
+
+    let status = 502;
+    let message = `Could not reach ${llm.label}.`;
+    if (err instanceof ProviderError) {
+      status = err.status;
+      message = err.message;
+    } else {
+      console.error(`${llm.label} stream error:`, sanitiseError(err));
     }
 
-    const data = await response.json();
-    const candidate = data.candidates?.[0];
-    if (!candidate) {
-      return res.status(502).json({ error: 'No response generated by Gemini.' });
+    if (!res.headersSent) {
+      return res.status(status).json({ error: message });
     }
+    sendEvent('error', { error: message });
+    res.end();
+  }
+});
 
-    const text = candidate.content?.parts?.map(p => p.text).join('') || '';
-    if (!text) {
-      return res.status(502).json({ error: 'Empty response from Gemini.' });
+// Extract the text of an uploaded PDF, Word or text file, with identifiers redacted (rate-limited)
+// The file is the raw request body; X-Filename carries its name. Nothing is stored.
+const readDocument = express.raw({ type: () => true, limit: MAX_DOCUMENT_BYTES });
+
+app.post('/api/extract-document', rateLimiter, (req, res, next) => {
+  readDocument(req, res, err => {
+    if (err) {
+      const tooLarge = err.type === 'entity.too.large';
+      return res.status(tooLarge ? 413 : 400).json({ error: tooLarge ? 'The file is too large. Files can be up to 10 MB.' : 'The file could not be uploaded.' });
+    }
+    // A body sent as JSON has already been parsed by express.json, so it is not a file
+    if (!Buffer.isBuffer(req.body)) {
+      return res.status(415).json({ error: 'Only PDF, Word (.docx) and text files can be read.' });
     }
+    next();
+  });
+}, async (req, res) => {
+  let filename = '';
+  try {
+    filename = decodeURIComponent(req.get('X-Filename') || '');
+  } catch {
+    // An undecodable name only loses the hint it gives about the file type
+  }
 
-    res.json({ text });
+  try {
+    const { kind, text, truncated } = await extractDocumentText(req.body, { filename, contentType: req.get('Content-Type') });
+    const { redactIdentifiers, countIdentifiers } = await redaction;
+    res.json({ kind, text: redactIdentifiers(text), redactions: countIdentifiers(text), truncated });
   } catch (err) {
-    console.error('Gemini proxy error:', sanitiseError(err));
-    res.status(502).json({ error: 'Could not reach Gemini API.' });
+    if (err instanceof DocumentError) {
+      return res.status(err.status).json({ error: err.message });
+    }
+    console.error('Document extraction error:', sanitiseError(err));
+    res.status(500).json({ error: 'Failed to read the document.' });
   }
 });
 
-// Generate PDF from letter text
+// Generate PDF from letter text, headed with its title
 app.post('/api/generate-pdf', (req, res) => {
-  const { letterText } = req.body;
+  const { letterText, title = 'Complaint Letter' } = req.body;
   if (!letterText) {
     return res.status(400).json({ error: 'Missing letterText.' });
   }
+  if (typeof title !== 'string' || title.length > 100) {
+    return res.status(400).json({ error: 'Invalid title.' });
+  }
 
   try {
     const doc = new PDFDocument({
@@ -150,7 +198,7 @@ app.post('/api/generate-pdf', (req, res) => {
     doc.pipe(res);
 
     // Header
-    doc.font('Helvetica-Bold').fontSize(11).text('Complaint Letter', { align: 'center' });
+    doc.font('Helvetica-Bold').fontSize(11).text(title, { align: 'center' });
     doc.moveDown(0.5);
     doc.font('Helvetica').fontSize(9).fillColor('#666666').text(
       `Generated on ${new Date().toLocaleDateString('en-GB', { day: 'numeric', month: 'long', year: 'numeric' })}`,
@@ -185,12 +233,76 @@ app.post('/api/generate-pdf', (req, res) => {
   }
 });
 
-// Generate DOCX from letter text
+// Generate the chronology on its own as a PDF or Word table
+app.post('/api/generate-chronology-pdf', (req, res) => {
+  const { publicBody, events } = req.body;
+  const problem = checkChronology(events);
+  if (problem) {
+    return res.status(400).json({ error: problem });
+  }
+
+  try {
+    const doc = createChronologyPdf({ publicBody, events });
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="chronology-${new Date().toISOString().slice(0, 10)}.pdf"`);
+    doc.pipe(res);
+    doc.end();
+  } catch (err) {
+    console.error('Chronology PDF error:', sanitiseError(err));
+    if (!res.headersSent) {
+      res.status(500).json({ error: 'Failed to generate PDF.' });
+    }
+  }
+});
+
+app.post('/api/generate-chronology-docx', async (req, res) => {
+  const { publicBody, events } = req.body;
+  const problem = checkChronology(events);
+  if (problem) {
+    return res.status(400).json({ error: problem });
+  }
+
+  try {
+    const buffer = await createChronologyDocx({ publicBody, events });
+    res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.wordprocessingml.document');
+    res.setHeader('Content-Disposition', `attachment; filename="chronology-${new Date().toISOString().slice(0, 10)}.docx"`);
+    res.send(buffer);
+  } catch (err) {
+    console.error('Chronology DOCX error:', sanitiseError(err));
+    res.status(500).json({ error: 'Failed to generate Word document.' });
+  }
+});
+
+// Generate an evidence bundle PDF: cover sheet, index, chronology and each document behind a tab
+app.post('/api/generate-bundle', (req, res) => {
+  const problem = checkBundle(req.body);
+  if (problem) {
+    return res.status(400).json({ error: problem });
+  }
+
+  try {
+    const doc = createEvidenceBundle(req.body);
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="evidence-bundle-${new Date().toISOString().slice(0, 10)}.pdf"`);
+    doc.pipe(res);
+    doc.end();
+  } catch (err) {
+    console.error('Bundle generation error:', sanitiseError(err));
+    if (!res.headersSent) {
+      res.status(500).json({ error: 'Failed to generate the evidence bundle.' });
+    }
+  }
+});
+
+// Generate DOCX from letter text, headed with its title
 app.post('/api/generate-docx', async (req, res) => {
-  const { letterText } = req.body;
+  const { letterText, title = 'Complaint Letter' } = req.body;
   if (!letterText) {
     return res.status(400).json({ error: 'Missing letterText.' });
   }
+  if (typeof title !== 'string' || title.length > 100) {
+    return res.status(400).json({ error: 'Invalid title.' });
+  }
 
   try {
     const paragraphs = letterText.split(/\n\n+/);
@@ -198,7 +310,7 @@ app.post('/api/generate-docx', async (req, res) => {
 
     // Title
     docParagraphs.push(new Paragraph({
-      children: [new TextRun({ text: 'Complaint Letter', bold: true, size: 28, font: 'Arial' })],
+      children: [new TextRun({ text: title, bold: true, size: 28, font: 'Arial' })],
       alignment: AlignmentType.CENTER,
       spacing: { after: 100 }
     }));
@@ -401,5 +513,5 @@ app.get('/api/mp/:postcode', async (req, res) => {
 });
 
 app.listen(PORT, () => {
-  console.log(`Server listening on http://localhost:${PORT}`);
+  console.log(`Server listening on http://localhost:${PORT} (LLM provider: ${llm.name})`);
 });
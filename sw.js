@@ -0,0 +1,84 @@
+// Complaint reminders service worker
+// Shows the reminder notifications scheduled by js/reminders.js. The schedule is kept in this
+// browser's Cache Storage and replaced each time the app opens; nothing is sent to a server.
+
+const CACHE_NAME = 'complaints-navigator-reminders';
+const SCHEDULE_URL = 'reminders/schedule.json';
+const PERIODIC_SYNC_TAG = 'complaint-reminders';
+
+// A local date as YYYY-MM-DD, matching the dates in the schedule
+function today() {
+  const now = new Date();
+  const pad = n => String(n).padStart(2, '0');
+  return `${now.getFullYear()}-${pad(now.getMonth() + 1)}-${pad(now.getDate())}`;
+}
+
+async function readSchedule() {
+  const cache = await caches.open(CACHE_NAME);
+  const response = await cache.match(SCHEDULE_URL);
+  if (!response) return { entries: [], shown: [] };
+  try {
+    return await response.json();
+  } catch {
+    return { entries: [], shown: [] };
+  }
+}
+
+async function writeSchedule(schedule) {
+  const cache = await caches.open(CACHE_NAME);
+  await cache.put(SCHEDULE_URL, new Response(JSON.stringify(schedule), { headers: { 'Content-Type': 'application/json' } }));
+}
+
+// Show the notifications due today that have not been shown yet. Notifications for days the
+// browser did not check are skipped, as their text would count the days wrongly.
+async function showDueNotifications() {
+  const { entries, shown } = await readSchedule();
+  const date = today();
+
+  const fresh = entries.filter(entry => entry.notifyOn === date && !shown.includes(entry.id));
+  for (const entry of fresh) {
+    await self.registration.showNotification('Complaint reminder', {
+      body: entry.text,
+      tag: entry.reminderId,
+      data: { sessionId: entry.sessionId }
+    });
+  }
+
+  const scheduled = new Set(entries.map(entry => entry.id));
+  await writeSchedule({ entries, shown: [...shown.filter(id => scheduled.has(id)), ...fresh.map(entry => entry.id)] });
+}
+
+self.addEventListener('install', () => self.skipWaiting());
+
+self.addEventListener('activate', event => event.waitUntil(self.clients.claim()));
+
+self.addEventListener('message', event => {
+  const { type, entries } = event.data || {};
+  if (type === 'schedule') {
+    event.waitUntil(readSchedule()
+      .then(({ shown }) => writeSchedule({ entries: Array.isArray(entries) ? entries : [], shown }))
+      .then(showDueNotifications));
+  } else if (type === 'clear') {
+    event.waitUntil(caches.delete(CACHE_NAME));
+  }
+});
+
+self.addEventListener('periodicsync', event => {
+  if (event.tag === PERIODIC_SYNC_TAG) event.waitUntil(showDueNotifications());
+});
+
+// Open the complaint the notification is about, in an open tab if there is one
+self.addEventListener('notificationclick', event => {
+  event.notification.close();
+  const sessionId = event.notification.data?.sessionId;
+  event.waitUntil((async () => {
+    const windows = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+    const app = windows.find(client => new URL(client.url).pathname.endsWith('/app.html'));
+    if (app) {
+      await app.focus();
+      app.postMessage({ type: 'resume', sessionId });
+      return;
+    }
+    await self.clients.openWindow(`app.html?resume=${encodeURIComponent(sessionId || '')}`);
+  })());
+});